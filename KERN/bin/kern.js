@@ -5,6 +5,7 @@ const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const Compiler = require('../src/compiler');
+const { parse } = require('../src/documents');
 
 program
   .name('kern')
@@ -23,14 +24,14 @@ program
       
       // Read SPC file
       const spcContent = fs.readFileSync(input, 'utf8');
-      const spc = JSON.parse(spcContent);
+      const spc = parse(spcContent, input);
       
       // Create compiler
-      const compiler = new Compiler(spc, options);
+      const compiler = new Compiler(spc, { ...options, baseDir: path.dirname(path.resolve(input)) });
       const output = await compiler.compile();
       
       // Write output
-      const outputFile = options.output || `${path.basename(input, '.spc.json')}.${options.target}.js`;
+      const outputFile = options.output || `${path.basename(input).replace(/\.spc\.(json|ya?ml)$/i, '')}.${options.target}.js`;
       fs.writeFileSync(outputFile, output);
       
       console.log(chalk.green(`✅ Compiled to ${outputFile}`));
@@ -47,7 +48,7 @@ program
   .command('optimize <input>')
   .description('Show optimization opportunities')
   .action((input) => {
-    const spc = JSON.parse(fs.readFileSync(input, 'utf8'));
+    const spc = parse(fs.readFileSync(input, 'utf8'), input);
     const Optimizer = require('../src/optimizer');
     const optimizer = new Optimizer(spc);
     const report = optimizer.analyze();
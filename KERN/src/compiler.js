@@ -1,7 +1,12 @@
+const fs = require('fs');
+const path = require('path');
 const wasmTarget = require('./targets/wasm');
 const bytecodeTarget = require('./targets/bytecode');
 const htmlTarget = require('./targets/html');
 const Optimizer = require('./optimizer');
+const SPCValidator = require('../../spc-validator');
+const SPCCore = require('../../spc-core');
+const { parse } = require('./documents');
 
 class Compiler {
   constructor(spc, options = {}) {
@@ -15,12 +20,15 @@ class Compiler {
     // Step 1: Validate SPC
     this.validate();
     
-    // Step 2: Optimize if requested
+    // Step 2: Inline included rule sets; compiled output has no files to read them from
+    this.spc = await this.expandIncludes();
+    
+    // Step 3: Optimize if requested
     if (this.options.optimize) {
       this.spc = this.performOptimizations();
     }
     
-    // Step 3: Compile to target
+    // Step 4: Compile to target
     switch (this.target) {
       case 'wasm':
         return wasmTarget.compile(this.spc);
@@ -34,69 +42,58 @@ class Compiler {
   }
 
   validate() {
-    if (!this.spc.services) {
-      throw new Error('SPC must have services');
+    // Check structure against the SPC JSON Schema
+    const errors = SPCValidator.validateSPC(this.spc);
+    if (errors.length > 0) {
+      throw new Error(`Invalid SPC file:\n  ${SPCValidator.format(errors).join('\n  ')}`);
     }
     
-    // Check for circular dependencies
-    const deps = this.buildDependencyGraph();
-    if (this.hasCycles(deps)) {
-      throw new Error('Circular dependencies detected');
+    // Check for circular dependencies (reports the offending service chain)
+    const cycle = this.findCycle(this.buildDependencyGraph());
+    if (cycle) {
+      throw new Error(`Circular dependency: ${cycle.join(' → ')}`);
     }
   }
 
+  // Copy of the SPC with every `include` replaced by the rules it names.
+  // Paths resolve against options.baseDir (the SPC file's directory);
+  // names against the document's ruleSets.
+  async expandIncludes() {
+    const spc = JSON.parse(JSON.stringify(this.spc));
+    const baseDir = this.options.baseDir || process.cwd();
+    const core = new SPCCore({
+      ruleLoader: {
+        resolve: (ref, from) => path.resolve(from ? path.dirname(from) : baseDir, ref),
+        load: file => parse(fs.readFileSync(file, 'utf8'), file)
+      }
+    }).load(spc);
+
+    for (const service of Object.values(core.services)) {
+      const key = service.type === 'processor' ? 'transform' : 'rules';
+      const config = (service.spec || {})[key];
+      if (!config || !config.include) continue;
+      await core.expandRules(service);
+      service.spec[key] = core.rulesConfigOf(service);
+    }
+    return spc;
+  }
+
   performOptimizations() {
     const optimizer = new Optimizer(this.spc);
     return optimizer.optimize();
   }
 
   buildDependencyGraph() {
-    const graph = {};
-    const services = this.spc.services || {};
-    
-    Object.entries(services).forEach(([id, service]) => {
-      graph[id] = [];
-      
-      if (service.type === 'processor' && service.spec?.inputKey) {
-        // Find which service produces this input
-        Object.entries(services).forEach(([otherId, otherService]) => {
-          if (otherService.spec?.outputKey === service.spec.inputKey) {
-            graph[id].push(otherId);
-          }
-        });
-      }
-    });
-    
-    return graph;
+    // Same graph the runtimes execute with (shared SPC core)
+    return new SPCCore().load(this.spc).buildDependencyGraph();
+  }
+
+  findCycle(graph) {
+    return new SPCCore().findCycle(graph);
   }
 
   hasCycles(graph) {
-    const visited = new Set();
-    const recursionStack = new Set();
-    
-    const hasCycleDFS = (node) => {
-      visited.add(node);
-      recursionStack.add(node);
-      
-      for (const neighbor of (graph[node] || [])) {
-        if (!visited.has(neighbor)) {
-          if (hasCycleDFS(neighbor)) return true;
-        } else if (recursionStack.has(neighbor)) {
-          return true;
-        }
-      }
-      
-      recursionStack.delete(node);
-      return false;
-    };
-    
-    for (const node in graph) {
-      if (!visited.has(node)) {
-        if (hasCycleDFS(node)) return true;
-      }
-    }
-    
-    return false;
+    return this.findCycle(graph) !== null;
   }
 }
 
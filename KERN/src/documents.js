@@ -0,0 +1,13 @@
+const yaml = require('js-yaml');
+const SPCDocuments = require('../../spc-documents');
+
+// SPC files as JSON or YAML (.yaml/.yml) through the shared reader
+// (spc-documents.js), so parse errors read exactly as in the AXIS CLI
+
+const documents = new SPCDocuments({ yaml });
+
+function parse(text, file) {
+  return documents.parse(text, documents.formatOf(file), file);
+}
+
+module.exports = { parse };
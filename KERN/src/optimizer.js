@@ -1,3 +1,6 @@
+const SPCCore = require('../../spc-core');
+const AxisAnalyzer = require('../../axis-analyzer');
+
 class Optimizer {
   constructor(spc) {
     this.spc = JSON.parse(JSON.stringify(spc)); // Deep clone
@@ -6,19 +9,23 @@ class Optimizer {
   analyze() {
     const opportunities = [];
     
-    // Check for constant conditions
+    // Static rule analysis: constant, unreachable, shadowed and conflicting rules
     const services = this.spc.services || {};
+    const analyzer = new AxisAnalyzer();
     Object.entries(services).forEach(([id, service]) => {
-      if (service.spec?.rules?.rules) {
-        service.spec.rules.rules.forEach(rule => {
-          if (rule.if === 'true' || rule.if === '1') {
-            opportunities.push(`Service ${id}: Rule always true, can be inlined`);
-          }
-          if (rule.if === 'false' || rule.if === '0') {
-            opportunities.push(`Service ${id}: Rule never executes, can be removed`);
-          }
-        });
-      }
+      const transform = service.type === 'processor' && service.spec?.transform;
+      const ruleSets = [service.spec?.rules, Array.isArray(transform) ? { rules: transform } : transform];
+      ruleSets.filter(config => Array.isArray(config?.rules)).forEach(config => {
+        const { rules } = config;
+        const report = analyzer.analyze(config);
+        report.rules
+          .filter(rule => {
+            const source = rules.find(r => r.name === rule.name);
+            return rule.fires === 'always' && typeof source.if === 'string' && !source.else;
+          })
+          .forEach(rule => opportunities.push(`Service ${id}: Rule ${rule.name} always true, can be inlined`));
+        report.issues.forEach(issue => opportunities.push(`Service ${id}: ${issue.message}`));
+      });
     });
     
     // Check for unused state keys
@@ -66,30 +73,8 @@ class Optimizer {
   }
 
   calculateExecutionOrder() {
-    const order = [];
-    const visited = new Set();
-    const services = this.spc.services || {};
-    
-    // Topological sort
-    const visit = (id) => {
-      if (visited.has(id)) return;
-      visited.add(id);
-      
-      const service = services[id];
-      if (service?.spec?.inputKey) {
-        // Find dependencies
-        Object.entries(services).forEach(([depId, depService]) => {
-          if (depService.spec?.outputKey === service.spec.inputKey) {
-            visit(depId);
-          }
-        });
-      }
-      
-      order.push(id);
-    };
-    
-    Object.keys(services).forEach(visit);
-    return order;
+    // Same order every runtime uses (shared SPC core)
+    return new SPCCore().load(this.spc).executionOrder();
   }
 }
 
@@ -1,78 +1,62 @@
 // Compiles SPC to optimized JSON bytecode for faster interpretation
 
+const SPCCore = require('../../../spc-core');
+const runtime = require('./runtime');
+
+const OPCODES = {
+  connector: 'FETCH',
+  processor: 'PROCESS',
+  monitor: 'MONITOR'
+};
+
 exports.compile = function(spc) {
   const bytecode = {
-    version: '1.0',
+    version: '1.1',
     meta: spc.meta || {},
     instructions: [],
     state: spc.state || {}
   };
-  
+
   // Convert services to linear instruction sequence
   const services = spc.services || {};
-  const executionOrder = spc._executionOrder || Object.keys(services);
-  
+  const executionOrder = spc._executionOrder || new SPCCore().load(spc).executionOrder();
+
   executionOrder.forEach(id => {
     const service = services[id];
-    if (!service) return;
-    
-    switch (service.type) {
-      case 'connector':
-        bytecode.instructions.push({
-          op: 'FETCH',
-          id,
-          url: service.spec.url,
-          outputKey: service.spec.outputKey || `${id}_data`
-        });
-        
-        if (service.spec?.rules?.rules) {
-          service.spec.rules.rules.forEach(rule => {
-            bytecode.instructions.push({
-              op: 'TRANSFORM',
-              id: `${id}_rule`,
-              condition: rule.if,
-              transforms: rule.then,
-              inputKey: service.spec.outputKey || `${id}_data`,
-              outputKey: service.spec.outputKey || `${id}_data`
-            });
-          });
-        }
-        break;
-        
-      case 'processor':
-        bytecode.instructions.push({
-          op: 'PROCESS',
-          id,
-          inputKey: service.spec.inputKey,
-          outputKey: service.spec.outputKey,
-          transforms: service.spec.transform
-        });
-        break;
-        
-      case 'monitor':
-        bytecode.instructions.push({
-          op: 'MONITOR',
-          id,
-          checks: service.spec.checks,
-          thresholds: service.spec.thresholds,
-          outputKey: `${id}_monitoring`
-        });
-        break;
-    }
+    if (!service || !OPCODES[service.type]) return;
+
+    bytecode.instructions.push({
+      op: OPCODES[service.type],
+      id,
+      spec: service.spec || {}
+    });
   });
-  
+
   // Generate bytecode runner
   return `#!/usr/bin/env node
 // Generated by KERN compiler v0.1
 
 const fetch = require('node-fetch');
 
+${runtime.bundle()}
+
 const bytecode = ${JSON.stringify(bytecode, null, 2)};
 
+const SERVICE_TYPES = { FETCH: 'connector', PROCESS: 'processor', MONITOR: 'monitor' };
+
+// Connector caches persist across runs when KERN_CACHE_DIR is set
+const cacheDir = process.env.KERN_CACHE_DIR;
+
 class BytecodeVM {
   constructor(bytecode) {
     this.bytecode = bytecode;
-    this.state = bytecode.state || {};
+    this.core = new SPCCore({
+      fetch,
+      env: process.env,
+      cache: cacheDir ? new SPCCache.FileCache(cacheDir) : undefined
+    });
+    this.core.load({ meta: bytecode.meta, state: bytecode.state || {} });
+    this.state = this.core.state;
   }
 
   async execute() {
@@ -83,96 +67,9 @@ class BytecodeVM {
   }
 
   async executeInstruction(inst) {
-    switch (inst.op) {
-      case 'FETCH':
-        try {
-          const response = await fetch(inst.url);
-          const data = await response.json();
-          this.state[inst.outputKey] = data;
-        } catch (e) {
-          this.state[inst.outputKey + '_error'] = e.message;
-        }
-        break;
-        
-      case 'TRANSFORM':
-        const input = this.state[inst.inputKey];
-        if (!input) return;
-        
-        if (this.evaluateCondition(inst.condition, input)) {
-          const result = {};
-          for (const [key, expr] of Object.entries(inst.transforms || {})) {
-            result[key] = this.resolveExpression(expr, input);
-          }
-          this.state[inst.outputKey] = { ...input, ...result };
-        }
-        break;
-        
-      case 'PROCESS':
-        const processInput = this.state[inst.inputKey];
-        if (!processInput) return;
-        
-        let result = processInput;
-        for (const transform of (inst.transforms || [])) {
-          if (this.evaluateCondition(transform.if, result)) {
-            for (const [key, expr] of Object.entries(transform.then || {})) {
-              result[key] = this.resolveExpression(expr, result);
-            }
-          }
-        }
-        this.state[inst.outputKey] = result;
-        break;
-        
-      case 'MONITOR':
-        const results = {};
-        for (const check of (inst.checks || [])) {
-          const data = this.state[check.dataKey];
-          if (data) {
-            const value = this.evaluateExpression(check.expression, data);
-            const threshold = inst.thresholds[check.name] || {};
-            results[check.name] = {
-              value,
-              status: this.evaluateThreshold(value, threshold)
-            };
-          }
-        }
-        this.state[inst.outputKey] = results;
-        break;
-    }
-  }
-
-  evaluateCondition(condition, context) {
-    if (!condition || condition === true) return true;
-    if (condition === false) return false;
-    try {
-      return new Function('data', \`return \${condition}\`)(context);
-    } catch {
-      return false;
-    }
-  }
-
-  resolveExpression(expr, context) {
-    if (typeof expr !== 'string') return expr;
-    const match = expr.match(/^\\{\\{\\s*(.*?)\\s*\\}\\}$/);
-    if (!match) return expr;
-    try {
-      return new Function('data', \`return \${match[1]}\`)(context);
-    } catch {
-      return expr;
-    }
-  }
-
-  evaluateExpression(expr, data) {
-    try {
-      return new Function('data', \`return \${expr}\`)(data);
-    } catch {
-      return null;
-    }
-  }
-
-  evaluateThreshold(value, t) {
-    if (typeof t.above === 'number' && value >= t.above) return 'critical';
-    if (typeof t.below === 'number' && value <= t.below) return 'critical';
-    return 'ok';
+    const type = SERVICE_TYPES[inst.op];
+    if (!type) return;
+    await this.core.runService(inst.id, { type, spec: inst.spec });
   }
 }
 
@@ -1,5 +1,7 @@
 // Compiles SPC to standalone HTML file with embedded deck-shell
 
+const runtime = require('./runtime');
+
 exports.compile = function(spc) {
   return `<!DOCTYPE html>
 <html lang="en">
@@ -20,15 +22,19 @@ exports.compile = function(spc) {
   <div id="status">Initializing...</div>
   <div id="output"></div>
   
+  ${runtime.scripts()}
+  
   <script>
     // Embedded SPC configuration
     const SPC = ${JSON.stringify(spc, null, 2)};
     
-    // Minimal runtime
+    // Minimal runtime on top of the shared SPC core
     class SPCRuntime {
       constructor(config) {
         this.config = config;
-        this.state = config.state || {};
+        this.core = new SPCCore({ cache: new SPCCache.StorageCache(window.localStorage) });
+        this.core.load({ ...config, state: config.state || {} });
+        this.state = this.core.state;
       }
       
       async run() {
@@ -37,25 +43,8 @@ exports.compile = function(spc) {
         statusEl.className = '';
         
         try {
-          // Execute connectors
-          for (const [id, service] of Object.entries(this.config.services || {})) {
-            if (service.type === 'connector' && service.spec?.url) {
-              statusEl.textContent = \`Fetching \${id}...\`;
-              const response = await fetch(service.spec.url);
-              const data = await response.json();
-              this.state[service.spec.outputKey || id + '_data'] = data;
-            }
-          }
-          
-          // Execute processors
-          for (const [id, service] of Object.entries(this.config.services || {})) {
-            if (service.type === 'processor' && service.spec?.inputKey) {
-              const input = this.state[service.spec.inputKey];
-              if (input) {
-                this.state[service.spec.outputKey || id + '_output'] = input;
-              }
-            }
-          }
+          // Connectors, processors and monitors
+          await this.core.execute();
           
           statusEl.textContent = 'Complete!';
           statusEl.className = 'success';
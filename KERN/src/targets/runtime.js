@@ -0,0 +1,41 @@
+// Embeds the shared SPC core (spc-core.js and its dependencies) in generated targets
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..', '..');
+const MODULES = ['axis-expression', 'axis-rules', 'spc-cache', 'spc-core'];
+
+function read(name) {
+  return fs.readFileSync(path.join(ROOT, `${name}.js`), 'utf8');
+}
+
+// CommonJS bundle for Node targets; defines `SPCCore` and `SPCCache` in the generated file
+exports.bundle = function() {
+  const definitions = MODULES.map(name =>
+    `__define('${name}', function(module, exports, require) {\n${read(name)}\n});`
+  ).join('\n\n');
+
+  return `// ---- Shared SPC core (${MODULES.join(', ')}) ----
+const __modules = {};
+function __require(name) {
+  const bundled = __modules[name.replace(/^.*\\//, '').replace(/\\.js$/, '')];
+  return bundled || require(name);
+}
+function __define(name, factory) {
+  const module = { exports: {} };
+  factory.call({}, module, module.exports, __require);
+  __modules[name] = module.exports;
+}
+
+${definitions}
+
+const SPCCore = __require('spc-core');
+const SPCCache = __require('spc-cache');
+// ---- End shared SPC core ----`;
+};
+
+// Inline <script> tags for browser targets; defines `window.SPCCore`
+exports.scripts = function() {
+  return MODULES.map(name => `<script>\n${read(name)}\n</script>`).join('\n');
+};
@@ -1,47 +1,48 @@
 // Compiles SPC to JavaScript module with optimized execution
 
+const SPCCore = require('../../../spc-core');
+const runtime = require('./runtime');
+
 exports.compile = function(spc) {
   // For v0, we're generating optimized JavaScript that could later compile to WASM
   // This proves the concept without the complexity of actual WASM generation
-  
+
   return `#!/usr/bin/env node
 // Generated by KERN compiler v0.1
 // This module can be compiled to WASM in future versions
 
-const fetch = ${typeof fetch !== 'undefined' ? 'fetch' : "require('node-fetch')"};
+const fetchImpl = typeof globalThis.fetch === 'function' ? globalThis.fetch : require('node-fetch');
+
+// Connector caches persist across runs when KERN_CACHE_DIR is set
+const cacheDir = process.env.KERN_CACHE_DIR;
+
+${runtime.bundle()}
 
 const config = ${JSON.stringify(spc, null, 2)};
 
 class CompiledSPC {
   constructor() {
-    this.state = ${JSON.stringify(spc.state || {})};
+    this.core = new SPCCore({
+      fetch: fetchImpl,
+      env: process.env,
+      cache: cacheDir ? new SPCCache.FileCache(cacheDir) : undefined
+    });
+    this.core.load({ ...config, state: ${JSON.stringify(spc.state || {})} });
+    this.state = this.core.state;
     this.services = config.services;
   }
 
   async run() {
     const startTime = Date.now();
-    
+
     // Optimized execution order
     ${generateOptimizedExecution(spc)}
-    
+
     const endTime = Date.now();
     console.error(\`Execution time: \${endTime - startTime}ms\`);
-    
+
     return this.state;
   }
-  
-  // Helper functions
-  evaluateCondition(condition, context) {
-    if (!condition || condition === true) return true;
-    return new Function('data', \`return \${condition}\`)(context);
-  }
-  
-  resolveTemplate(template, context) {
-    if (typeof template !== 'string') return template;
-    const match = template.match(/^\\{\\{\\s*(.*?)\\s*\\}\\}$/);
-    if (!match) return template;
-    return new Function('data', \`return \${match[1]}\`)(context);
-  }
 }
 
 // Export for use as module
@@ -64,45 +65,12 @@ if (require.main === module) {
 
 function generateOptimizedExecution(spc) {
   const services = spc.services || {};
-  const code = [];
-  
-  // Generate optimized code for each service
-  Object.entries(services).forEach(([id, service]) => {
-    if (service.type === 'connector') {
-      code.push(`
-    // Connector: ${id}
-    try {
-      const ${id}_response = await fetch('${service.spec.url}');
-      const ${id}_data = await ${id}_response.json();
-      this.state['${service.spec.outputKey || id + '_data'}'] = ${id}_data;
-    } catch (e) {
-      this.state['${id}_error'] = e.message;
-    }`);
-    }
-    
-    if (service.type === 'processor' && service.spec?.inputKey) {
-      code.push(`
-    // Processor: ${id}
-    const ${id}_input = this.state['${service.spec.inputKey}'];
-    if (${id}_input) {
-      let ${id}_result = ${id}_input;
-      ${generateTransforms(service.spec.transform, id)}
-      this.state['${service.spec.outputKey}'] = ${id}_result;
-    }`);
-    }
-  });
-  
-  return code.join('\n');
-}
+  const order = spc._executionOrder || new SPCCore().load(spc).executionOrder();
 
-function generateTransforms(transforms, prefix) {
-  if (!transforms) return '';
-  
-  return transforms.map((t, i) => `
-      // Transform ${i}
-      if (this.evaluateCondition(\`${t.if}\`, ${prefix}_result)) {
-        ${Object.entries(t.then || {}).map(([key, expr]) => 
-          `${prefix}_result['${key}'] = this.resolveTemplate(\`${expr}\`, ${prefix}_result);`
-        ).join('\n        ')}
-      }`).join('');
+  // Pre-calculated, linearized service calls through the shared core
+  return order
+    .filter(id => services[id])
+    .map(id => `// ${services[id].type}: ${id}
+    await this.core.runService(${JSON.stringify(id)}, this.services[${JSON.stringify(id)}]);`)
+    .join('\n    ');
 }
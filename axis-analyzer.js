@@ -0,0 +1,702 @@
+/**
+ * AXIS Analyzer v1.0.0
+ * Static analysis of AXIS rule sets
+ *
+ * Works out which fields each rule reads and writes and, before anything
+ * runs, reports:
+ *   unreachable → a condition (or else branch) that can never hold
+ *   shadowed    → a rule whose every write a later rule always overwrites
+ *   overridden  → a single write that a later rule always overwrites
+ *   conflict    → two rules that can fire in one iteration and write
+ *                 different values to one field (the later rule wins)
+ *
+ * A field that rules write before any rule reads it is assumed to start
+ * unset, so its possible values are the literals rules write to it. A
+ * field read at or before its first write comes from the input and can
+ * hold anything. The input may hold the others too: unless the `inputs`
+ * option lists every field it holds, a finding that rests on such a field
+ * starting unset is only reported as "may never be true" (info).
+ *
+ * @license MIT
+ * @author AXIS Project
+ */
+
+(function(global) {
+    'use strict';
+
+    const AxisExpression = (typeof module !== 'undefined' && module.exports)
+        ? require('./axis-expression')
+        : global.AxisExpression;
+
+    // Abstract value whose contents and truthiness are both unknown
+    const UNKNOWN = { values: null, truth: null };
+
+    // Largest cross product of possible operand values worth enumerating
+    const MAX_COMBINATIONS = 64;
+
+    const COMPARISONS = ['==', '===', '!=', '!==', '<', '<=', '>', '>='];
+    const FLIPPED = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+    const NEGATED = { '==': '!=', '===': '!==', '!=': '==', '!==': '===', '<': '>=', '<=': '>', '>': '<=', '>=': '<' };
+
+    const unique = values => values.filter((value, index) => values.indexOf(value) === index);
+
+    // Branch keys that are actions rather than field writes (see AxisRulesEngine)
+    const ACTIONS = ['$halt', '$skipGroup'];
+
+    const isTemplate = value => typeof value === 'string' && value.includes('{{');
+
+    // Paths overlap when one is the other or contains it ("credit" and "credit.status")
+    const related = (a, b) => a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+
+    const describe = value => (value === undefined ? 'unset' : JSON.stringify(value));
+
+    /**
+     * AXIS Analyzer
+     * Reports unreachable, shadowed and conflicting rules without running them
+     */
+    class AxisAnalyzer {
+        /**
+         * @param {Object} options - Analyzer options
+         * @param {string[]} options.inputs - Every field the input holds; written fields not listed start unset
+         */
+        constructor(options = {}) {
+            this.inputs = options.inputs || [];
+            this.inputsDeclared = Array.isArray(options.inputs);
+            this.expressions = new AxisExpression();
+        }
+
+        /**
+         * Analyze a rules configuration
+         * @param {Object} rulesConfig - { rules, max_iterations }
+         * @returns {Object} { rules: [{ name, priority, order, fires, reads, writes }], issues: [{ type, severity, rule, message, ... }] }
+         */
+        analyze(rulesConfig) {
+            const issues = [];
+            const rules = executionOrder(rulesConfig.rules || [], rulesConfig.stages)
+                .map((rule, order) => this.describeRule(rule, order, issues));
+
+            // Narrow what every field can hold until no more branches drop out
+            let domains = this.domains(rules);
+            for (let round = 0; round < rules.length + 1; round++) {
+                rules.forEach(rule => { rule.truth = this.truthOf(rule.ast, rule.constant, domains); });
+                const next = this.domains(rules);
+                if (sameDomains(next, domains)) break;
+                domains = next;
+            }
+
+            const overrides = this.findOverrides(rules);
+            issues.push(
+                ...this.findUnreachable(rules, domains),
+                ...overrides,
+                ...this.findConflicts(rules, overrides)
+            );
+
+            return {
+                rules: rules.map(rule => ({
+                    name: rule.name,
+                    priority: rule.priority,
+                    order: rule.order,
+                    fires: rule.truth === true ? 'always' : rule.truth === false ? 'never' : 'sometimes',
+                    ...(rule.stage !== null ? { stage: rule.stage } : {}),
+                    ...(rule.forEach ? { forEach: rule.forEach } : {}),
+                    reads: rule.reads,
+                    writes: unique([...rule.writes.then, ...rule.writes.else])
+                })),
+                issues
+            };
+        }
+
+        /**
+         * Parse a rule and collect the fields it reads and writes
+         */
+        describeRule(rule, order, issues) {
+            // Inside forEach, `item.x` is field x of every element: "items.*.x"
+            const scope = rule.forEach ? { as: rule.as || 'item', path: `${fieldPath(rule.forEach)}.*` } : null;
+            const field = path => scopedPath(fieldPath(path), scope);
+            const fields = branch => (rule[branch]
+                ? Object.keys(rule[branch])
+                    .filter(path => !ACTIONS.includes(path))
+                    .reduce((all, path) => ({ ...all, [field(path)]: rule[branch][path] }), {})
+                : null);
+
+            const described = {
+                name: rule.name,
+                priority: rule.priority === undefined ? null : rule.priority,
+                order,
+                stage: rule.group === undefined ? null : rule.group,
+                forEach: rule.forEach || null,
+                // $halt or $skipGroup: the rules after it may not run
+                stops: ['then', 'else'].some(branch => ACTIONS.some(action => (rule[branch] || {})[action])),
+                ast: null,
+                constant: undefined,
+                branches: { then: fields('then'), else: fields('else') },
+                writes: { then: Object.keys(fields('then') || {}), else: Object.keys(fields('else') || {}) },
+                reads: rule.forEach ? [fieldPath(rule.forEach)] : []
+            };
+
+            // Same reading as AxisRulesEngine.evaluateCondition
+            if (typeof rule.if === 'boolean') {
+                described.constant = rule.if;
+            } else if (!rule.if) {
+                described.constant = true;
+            } else {
+                try {
+                    described.ast = scopedNode(this.expressions.parse(rule.if), scope);
+                    described.reads.push(...this.references(rule.if, scope));
+                } catch (e) {
+                    issues.push({
+                        type: 'invalid',
+                        severity: 'error',
+                        rule: rule.name,
+                        message: `${rule.name}: condition does not parse - ${e.message}`
+                    });
+                }
+            }
+
+            ['then', 'else'].forEach(branch => {
+                Object.values(rule[branch] || {}).forEach(value => {
+                    this.expressions.templateExpressions(value).forEach(expression => {
+                        try {
+                            described.reads.push(...this.references(expression, scope));
+                        } catch (e) {
+                            // Reported by AxisRulesEngine.validate
+                        }
+                    });
+                });
+            });
+            described.reads = unique(described.reads);
+
+            return described;
+        }
+
+        /**
+         * Dotted field paths an expression reads (`$index` is the forEach position, not a field)
+         */
+        references(source, scope) {
+            return this.expressions.references(source)
+                .filter(path => !scope || path[0] !== '$index')
+                .map(path => scopedPath(path.join('.'), scope));
+        }
+
+        /**
+         * Possible values of every field rules write, from the branches that can fire
+         * A field disappears from the map (unknown) once any write to it is a
+         * template, a rule reads it no later than the first write (so the
+         * input supplies it), or it is declared as an input.
+         * @returns {Map} path → possible values (always including undefined)
+         */
+        domains(rules) {
+            const domains = new Map();
+            const unknown = new Set(this.inputs);
+            const firstWrite = new Map();
+
+            rules.forEach(rule => {
+                firableBranches(rule).forEach(branch => {
+                    Object.entries(rule.branches[branch]).forEach(([path, value]) => {
+                        if (isTemplate(value)) unknown.add(path);
+                        if (!firstWrite.has(path)) firstWrite.set(path, rule.order);
+                        if (!domains.has(path)) domains.set(path, [undefined]);
+                        const values = domains.get(path);
+                        if (!values.some(existing => sameValue(existing, value))) values.push(value);
+                    });
+                });
+            });
+
+            // Read before (or by) the rule that first writes it: an input value
+            firstWrite.forEach((order, path) => {
+                const readFirst = rules.some(rule => rule.order <= order &&
+                    rule.reads.some(read => related(read, path)));
+                if (readFirst) unknown.add(path);
+            });
+
+            // Whole-object and nested writes make each other's values unknowable
+            const written = Array.from(domains.keys());
+            written.forEach(path => {
+                if (written.some(other => other !== path && related(other, path))) unknown.add(path);
+            });
+            unknown.forEach(path => domains.delete(path));
+
+            return domains;
+        }
+
+        /**
+         * Whether a condition always (true), never (false) or sometimes (null) holds
+         */
+        truthOf(ast, constant, domains) {
+            if (constant !== undefined) return Boolean(constant);
+            if (!ast) return null;
+            return truthiness(this.evaluate(ast, domains));
+        }
+
+        /**
+         * Evaluate an AST over sets of possible values
+         * @param {Object} node - AST node
+         * @param {Map} domains - path → possible values
+         * @returns {Object} { values: [...] } or { values: null, truth: true | false | null }
+         */
+        evaluate(node, domains) {
+            switch (node.type) {
+                case 'Literal':
+                    return { values: [node.value] };
+
+                case 'Identifier':
+                case 'Member': {
+                    const path = pathOf(node);
+                    if (path && domains.has(path.join('.'))) {
+                        return { values: domains.get(path.join('.')) };
+                    }
+                    return UNKNOWN;
+                }
+
+                case 'Array':
+                    return { values: null, truth: true };
+
+                case 'Unary': {
+                    const argument = this.evaluate(node.argument, domains);
+                    if (argument.values) {
+                        return { values: argument.values.map(value => this.compute({ ...node, argument: literal(value) })) };
+                    }
+                    if (node.operator === '!' && argument.truth !== null) {
+                        return { values: [!argument.truth] };
+                    }
+                    return UNKNOWN;
+                }
+
+                case 'Binary': {
+                    const left = this.evaluate(node.left, domains);
+                    const right = this.evaluate(node.right, domains);
+                    if (!left.values || !right.values ||
+                        left.values.length * right.values.length > MAX_COMBINATIONS) {
+                        return UNKNOWN;
+                    }
+                    const values = [];
+                    left.values.forEach(a => right.values.forEach(b => {
+                        values.push(this.compute({ ...node, left: literal(a), right: literal(b) }));
+                    }));
+                    return { values: uniqueValues(values) };
+                }
+
+                case 'Logical':
+                    return this.evaluateLogical(node, domains);
+
+                case 'Conditional': {
+                    const test = truthiness(this.evaluate(node.test, domains));
+                    const consequent = this.evaluate(node.consequent, domains);
+                    const alternate = this.evaluate(node.alternate, domains);
+                    if (test === true) return consequent;
+                    if (test === false) return alternate;
+                    return union(consequent, alternate);
+                }
+            }
+
+            return UNKNOWN;
+        }
+
+        evaluateLogical(node, domains) {
+            const left = this.evaluate(node.left, domains);
+            const right = this.evaluate(node.right, domains);
+
+            if (node.operator === '??') {
+                if (!left.values) return UNKNOWN;
+                const missing = left.values.filter(value => value === null || value === undefined);
+                if (missing.length === 0) return left;
+                const present = { values: left.values.filter(value => value !== null && value !== undefined) };
+                return missing.length === left.values.length ? right : union(present, right);
+            }
+
+            const leftTruth = truthiness(left);
+            const isAnd = node.operator === '&&';
+
+            // Short-circuit decided by the left side
+            if (leftTruth === !isAnd) return left;
+            if (leftTruth === isAnd) return right;
+
+            // Either side can be the result: the left when it short-circuits, else the right
+            const passed = left.values
+                ? { values: left.values.filter(value => Boolean(value) !== isAnd) }
+                : { values: null, truth: !isAnd };
+            return union(passed, right);
+        }
+
+        /**
+         * Apply one operator to literal operands with the real interpreter
+         */
+        compute(node) {
+            try {
+                return this.expressions.evaluateNode(node, {});
+            } catch (e) {
+                return undefined;
+            }
+        }
+
+        findUnreachable(rules, domains) {
+            const issues = [];
+            rules.forEach(rule => {
+                // Fields the finding assumes start unset, unless inputs are declared
+                const assumes = this.inputsDeclared ? [] : rule.reads.filter(path => domains.has(path));
+                const finding = (branch, claim) => {
+                    const unless = assumes.length > 0 ? ` unless the input holds ${assumes.join(', ')}` : '';
+                    issues.push({
+                        type: 'unreachable',
+                        severity: assumes.length > 0 ? 'info' : 'warning',
+                        rule: rule.name,
+                        branch,
+                        ...(assumes.length > 0 ? { assumes } : {}),
+                        message: `${rule.name}: ${claim}${this.reason(rule, domains)}${unless}`
+                    });
+                };
+                if (rule.truth === false && rule.branches.then) {
+                    finding('then', `condition ${assumes.length > 0 ? 'may never be' : 'can never be'} true`);
+                }
+                if (rule.truth === true && rule.branches.else) {
+                    finding('else', `else branch ${assumes.length > 0 ? 'may never run' : 'never runs'}; the condition is always true`);
+                }
+            });
+            return issues;
+        }
+
+        /**
+         * Why a condition is decided: the possible values of the fields it reads
+         */
+        reason(rule, domains) {
+            const known = rule.reads.filter(path => domains.has(path));
+            if (known.length === 0) return '';
+            return ` (${known.map(path => `${path} is only ever ${domains.get(path).map(describe).join(', ')}`).join('; ')})`;
+        }
+
+        /**
+         * Writes that a later rule always replaces before anything reads them
+         */
+        findOverrides(rules) {
+            const issues = [];
+
+            rules.forEach(rule => {
+                const writes = firableBranches(rule).reduce((all, branch) => all.concat(
+                    Object.entries(rule.branches[branch]).map(([path, value]) => ({ path, value }))
+                ), []);
+                if (writes.length === 0) return;
+
+                const found = writes.map(write => ({ ...write, by: this.overrider(rules, rule, write.path) }));
+                const overwritten = found.filter(write => write.by);
+
+                if (overwritten.length === 0) return;
+
+                if (overwritten.length === found.length) {
+                    const by = unique(overwritten.map(write => write.by.rule.name));
+                    issues.push({
+                        type: 'shadowed',
+                        severity: 'warning',
+                        rule: rule.name,
+                        by,
+                        fields: overwritten.map(write => write.path),
+                        message: `${rule.name}: has no effect; ${by.join(', ')} always overwrite${by.length === 1 ? 's' : ''} ` +
+                            `${overwritten.map(write => write.path).join(', ')} later in the same iteration${unsettled(overwritten)}`
+                    });
+                } else {
+                    overwritten.forEach(write => {
+                        issues.push({
+                            type: 'overridden',
+                            severity: 'info',
+                            rule: rule.name,
+                            by: [write.by.rule.name],
+                            fields: [write.path],
+                            message: `${rule.name}: ${write.path} is always overwritten by ${write.by.rule.name}, ` +
+                                `which runs later${unsettled([write])}`
+                        });
+                    });
+                }
+            });
+
+            return issues;
+        }
+
+        /**
+         * First later rule that always writes `path` with no reader in between
+         * @returns {Object|null} { rule, value }
+         */
+        overrider(rules, rule, path) {
+            if (rule.reads.some(read => related(read, path)) || rule.stops) return null;
+
+            for (const later of rules.slice(rule.order + 1)) {
+                if (later.stage !== rule.stage) return null;
+                const always = alwaysWrites(later, path);
+                if (always) return { rule: later, value: always.value };
+                if (later.reads.some(read => related(read, path)) || later.stops) return null;
+            }
+            return null;
+        }
+
+        /**
+         * Pairs of rules that can write different values to one field in the same iteration
+         * Writes already reported as shadowed or overridden are left out.
+         */
+        findConflicts(rules, overrides) {
+            const reported = (rule, by, path) => overrides.some(issue =>
+                issue.rule === rule && issue.by.includes(by) && issue.fields.includes(path));
+
+            const issues = [];
+
+            rules.forEach((first, i) => {
+                // Stages run one after another, never in the same iteration
+                rules.slice(i + 1).filter(second => second.stage === first.stage).forEach(second => {
+                    const fields = [];
+                    firableBranches(first).forEach(a => firableBranches(second).forEach(b => {
+                        if (exclusive(this.guard(first, a), this.guard(second, b))) return;
+                        Object.entries(first.branches[a]).forEach(([path, value]) => {
+                            Object.entries(second.branches[b]).forEach(([otherPath, otherValue]) => {
+                                if (!related(path, otherPath)) return;
+                                if (path === otherPath && !isTemplate(value) && sameValue(value, otherValue)) return;
+                                if (reported(first.name, second.name, path)) return;
+                                fields.push(path === otherPath ? path : `${path} / ${otherPath}`);
+                            });
+                        });
+                    }));
+
+                    if (fields.length > 0) {
+                        issues.push({
+                            type: 'conflict',
+                            severity: 'info',
+                            rule: second.name,
+                            rules: [first.name, second.name],
+                            fields: unique(fields),
+                            message: `${first.name} and ${second.name} can both write ${unique(fields).join(', ')} ` +
+                                `in one iteration; ${second.name} runs later and wins`
+                        });
+                    }
+                });
+            });
+
+            return issues;
+        }
+
+        /**
+         * Simple comparisons that must hold for a branch to run
+         * `then` needs every conjunct of the condition, `else` the negation
+         * of every disjunct. Parts that are not `field op literal` are left
+         * out, which only ever makes branches look less exclusive.
+         * @returns {Object[]} Atoms { path, operator, value }
+         */
+        guard(rule, branch) {
+            if (!rule.ast) return [];
+            const parts = branch === 'then' ? split(rule.ast, '&&') : split(rule.ast, '||');
+            return parts
+                .map(atom)
+                .filter(Boolean)
+                .map(a => (branch === 'then' ? a : negate(a)));
+        }
+    }
+
+    /**
+     * Rules in the order AxisRulesEngine.apply runs them: stage by stage, then by priority
+     */
+    function executionOrder(rules, stages) {
+        const byPriority = [...rules].sort((a, b) => (a.priority || 999) - (b.priority || 999));
+        if (!Array.isArray(stages)) return byPriority;
+        const names = stages.map(stage => (typeof stage === 'string' ? stage : (stage || {}).name));
+        return names.reduce((ordered, name) => ordered.concat(byPriority.filter(rule => rule.group === name)), []);
+    }
+
+    function firableBranches(rule) {
+        return ['then', 'else'].filter(branch => rule.branches[branch] &&
+            (branch === 'then' ? rule.truth !== false : rule.truth !== true));
+    }
+
+    /**
+     * The branch write that replaces `path` however the condition comes out
+     */
+    function alwaysWrites(rule, path) {
+        // A forEach rule does not run at all for an empty array
+        if (rule.forEach) return null;
+        const covering = branch => {
+            const fields = rule.branches[branch] || {};
+            const key = Object.keys(fields).find(field => field === path || path.startsWith(`${field}.`));
+            return key === undefined ? null : { value: fields[key] };
+        };
+        const then = covering('then');
+        const otherwise = covering('else');
+        if (rule.truth === true) return then;
+        if (rule.truth === false) return otherwise;
+        return then && otherwise ? then : null;
+    }
+
+    /**
+     * Note on overwrites whose values differ: the earlier rule changes the
+     * field back every iteration, so the fixpoint loop never settles
+     */
+    function unsettled(writes) {
+        const flips = writes.some(write => !isTemplate(write.value) && !isTemplate(write.by.value) &&
+            !sameValue(write.value, write.by.value));
+        return flips ? '; the values differ, so the rules never settle' : '';
+    }
+
+    function pathOf(node) {
+        if (node.type === 'Identifier') return [node.name];
+        if (node.type !== 'Member') return null;
+        const base = pathOf(node.object);
+        if (!base) return null;
+        if (!node.computed) return [...base, node.property];
+        return node.property.type === 'Literal' ? [...base, String(node.property.value)] : null;
+    }
+
+    /**
+     * "items[2].price" → "items.2.price", the form expression member paths take
+     */
+    function fieldPath(path) {
+        return path.replace(/\[(\d+)\]/g, '.$1');
+    }
+
+    /**
+     * Replace a leading forEach alias ("item.price") with the element path ("order.items.*.price")
+     */
+    function scopedPath(path, scope) {
+        if (!scope) return path;
+        if (path === scope.as) return scope.path;
+        return path.startsWith(`${scope.as}.`) ? scope.path + path.slice(scope.as.length) : path;
+    }
+
+    /**
+     * Copy of an AST with the forEach alias replaced by the element path
+     */
+    function scopedNode(node, scope) {
+        if (!scope) return node;
+        if (Array.isArray(node)) return node.map(child => scopedNode(child, scope));
+        if (!node || typeof node !== 'object') return node;
+        if (node.type === 'Identifier' && node.name === scope.as) {
+            const [head, ...rest] = scope.path.split('.');
+            return rest.reduce((object, property) => ({ type: 'Member', object, property, computed: false }),
+                { type: 'Identifier', name: head });
+        }
+        return Object.keys(node).reduce((copy, key) => ({ ...copy, [key]: scopedNode(node[key], scope) }), {});
+    }
+
+    function literal(value) {
+        return { type: 'Literal', value };
+    }
+
+    function sameValue(a, b) {
+        return a === b || JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    function uniqueValues(values) {
+        return values.filter((value, index) => values.findIndex(other => sameValue(other, value)) === index);
+    }
+
+    function sameDomains(a, b) {
+        if (a.size !== b.size) return false;
+        return Array.from(a.keys()).every(key => b.has(key) && a.get(key).length === b.get(key).length);
+    }
+
+    function truthiness(abstract) {
+        if (!abstract.values) return abstract.truth;
+        if (abstract.values.every(Boolean)) return true;
+        if (abstract.values.every(value => !value)) return false;
+        return null;
+    }
+
+    function union(a, b) {
+        if (a.values && b.values) return { values: uniqueValues([...a.values, ...b.values]) };
+        const truthA = truthiness(a);
+        return { values: null, truth: truthA !== null && truthA === truthiness(b) ? truthA : null };
+    }
+
+    function split(node, operator) {
+        if (node.type === 'Logical' && node.operator === operator) {
+            return [...split(node.left, operator), ...split(node.right, operator)];
+        }
+        return [node];
+    }
+
+    /**
+     * `field op literal`, `literal op field`, `field` or `!field` as an atom
+     */
+    function atom(node) {
+        const path = pathOf(node);
+        if (path) return { path: path.join('.'), operator: 'truthy' };
+
+        if (node.type === 'Unary' && node.operator === '!') {
+            const inner = atom(node.argument);
+            return inner ? negate(inner) : null;
+        }
+
+        if (node.type !== 'Binary' || !COMPARISONS.includes(node.operator)) return null;
+        const left = pathOf(node.left);
+        const right = pathOf(node.right);
+        if (left && node.right.type === 'Literal') {
+            return { path: left.join('.'), operator: node.operator, value: node.right.value };
+        }
+        if (right && node.left.type === 'Literal') {
+            return { path: right.join('.'), operator: FLIPPED[node.operator] || node.operator, value: node.left.value };
+        }
+        return null;
+    }
+
+    function negate(a) {
+        if (a.operator === 'truthy') return { path: a.path, operator: 'falsy' };
+        if (a.operator === 'falsy') return { path: a.path, operator: 'truthy' };
+        return { ...a, operator: NEGATED[a.operator] };
+    }
+
+    /**
+     * Whether two sets of atoms can never hold together
+     * Loose equality is read as strict equality here.
+     */
+    function exclusive(first, second) {
+        const byPath = {};
+        [...first, ...second].forEach(a => { (byPath[a.path] = byPath[a.path] || []).push(a); });
+        return Object.values(byPath).some(atoms => !satisfiable(atoms));
+    }
+
+    function satisfiable(atoms) {
+        const equal = [];
+        const notEqual = [];
+        let low = -Infinity, lowInclusive = true, high = Infinity, highInclusive = true;
+        let truthy = false, falsy = false;
+
+        atoms.forEach(({ operator, value }) => {
+            switch (operator) {
+                case '==': case '===': equal.push(value); break;
+                case '!=': case '!==': notEqual.push(value); break;
+                case 'truthy': truthy = true; break;
+                case 'falsy': falsy = true; break;
+                default:
+                    if (typeof value !== 'number') return;
+                    if (operator === '>' || operator === '>=') {
+                        if (value > low || (value === low && operator === '>')) {
+                            low = value;
+                            lowInclusive = operator === '>=';
+                        }
+                    } else if (value < high || (value === high && operator === '<')) {
+                        high = value;
+                        highInclusive = operator === '<=';
+                    }
+            }
+        });
+
+        if (truthy && falsy) return false;
+        if (low > high || (low === high && !(lowInclusive && highInclusive))) return false;
+        if (uniqueValues(equal).length > 1) return false;
+        if (equal.length === 0) return true;
+
+        const value = equal[0];
+        if (notEqual.some(other => sameValue(other, value))) return false;
+        if ((truthy && !value) || (falsy && value)) return false;
+        if (typeof value === 'number') {
+            if (value < low || (value === low && !lowInclusive)) return false;
+            if (value > high || (value === high && !highInclusive)) return false;
+        }
+        return true;
+    }
+
+    // Export for different environments
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js
+        module.exports = AxisAnalyzer;
+    } else if (typeof define === 'function' && define.amd) {
+        // AMD
+        define(function() { return AxisAnalyzer; });
+    } else {
+        // Browser global
+        global.AxisAnalyzer = AxisAnalyzer;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
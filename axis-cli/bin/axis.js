@@ -8,6 +8,13 @@ const runCommand = require('../src/commands/run');
 const watchCommand = require('../src/commands/watch');
 const replCommand = require('../src/commands/repl');
 const exportCommand = require('../src/commands/export');
+const validateCommand = require('../src/commands/validate');
+const applyCommand = require('../src/commands/apply');
+const verifyAuditCommand = require('../src/commands/verify-audit');
+const analyzeCommand = require('../src/commands/analyze');
+const convertCommand = require('../src/commands/convert');
+const tableCompileCommand = require('../src/commands/table-compile');
+const testCommand = require('../src/commands/test');
 
 program
   .name('axis')
@@ -19,6 +26,9 @@ program
   .description('Run an SPC file once')
   .option('--pretty', 'Pretty-print JSON output')
   .option('--verbose', 'Show execution details')
+  .option('--cache-dir <dir>', 'Directory for cached connector responses', '.axis-cache')
+  .option('--audit <file>', 'Write the rules audit trail as JSON Lines')
+  .option('--strict', 'Fail when a processor\'s rules never settle')
   .action(runCommand);
 
 program
@@ -26,6 +36,8 @@ program
   .description('Watch and continuously run an SPC file')
   .option('--interval <ms>', 'Polling interval in milliseconds', '5000')
   .option('--pretty', 'Pretty-print JSON output')
+  .option('--cache-dir <dir>', 'Directory for cached connector responses', '.axis-cache')
+  .option('--audit <file>', 'Append each tick\'s rules audit trail as JSON Lines')
   .action(watchCommand);
 
 program
@@ -40,6 +52,67 @@ program
   .option('--pretty', 'Pretty-print JSON output')
   .action(exportCommand);
 
+program
+  .command('validate <file>')
+  .description('Validate an SPC file against the SPC JSON Schema')
+  .option('--json', 'Output errors as JSON')
+  .action(validateCommand);
+
+program
+  .command('apply <rules> <data>')
+  .description('Apply a rules file to a JSON data file')
+  .option('--pretty', 'Pretty-print JSON output')
+  .option('--audit <file>', 'Write the audit trail as JSON Lines')
+  .option('--explain <field>', 'Show which rules changed a field, e.g. credit.status')
+  .option('--clock <time>', 'Fixed time for now(), timestamp() and audit entries (ISO date or epoch ms)')
+  .option('--seed <seed>', 'Seed uuid() so runs are repeatable')
+  .option('--strict', 'Fail when the rules never settle instead of printing the last state')
+  .option('--registry <file>', 'JSON file mapping rule set names to paths, for include')
+  .action(applyCommand);
+
+program
+  .command('analyze <file>')
+  .description('Find unreachable, shadowed and conflicting rules in a rules or SPC file')
+  .option('--inputs <fields>', 'Comma-separated fields the input holds, e.g. tier,status; other written fields start unset')
+  .option('--verbose', 'List the fields each rule reads and writes')
+  .option('--json', 'Output the analysis as JSON')
+  .option('--strict', 'Exit with an error on warnings too')
+  .option('--registry <file>', 'JSON file mapping rule set names to paths, for include')
+  .action(analyzeCommand);
+
+program
+  .command('convert <input> [output]')
+  .description('Convert an SPC, rules or data file between JSON and YAML')
+  .option('--to <format>', 'Target format: json or yaml (default: from the output file, else the other format)')
+  .action(convertCommand);
+
+program
+  .command('test [paths...]')
+  .description('Run *.test.json / *.test.yaml fixtures against their SPC or rules files')
+  .option('--junit <file>', 'Also write the results as JUnit XML, for CI')
+  .action(testCommand);
+
+const table = program
+  .command('table')
+  .description('Work with decision tables');
+
+table
+  .command('compile <file> [output]')
+  .description('Compile a CSV or YAML decision table into a rules file, reporting gaps and overlaps')
+  .option('--hit-policy <policy>', 'first, unique or collect (default: the table\'s own, else first)')
+  .option('--name <name>', 'Table name, used in rule names (default: the file name)')
+  .option('--priority <n>', 'Priority of the first row\'s rule (default: 1)')
+  .option('--group <stage>', 'Stage group for every rule')
+  .option('--strict', 'Exit with an error on gaps and other warnings too')
+  .action(tableCompileCommand);
+
+program
+  .command('verify-audit <file>')
+  .description('Check a JSON Lines audit trail for edited, reordered or removed entries')
+  .option('--head <hash>', 'Expected hash of the last entry, recorded when the trail was written')
+  .option('--json', 'Output the result as JSON')
+  .action(verifyAuditCommand);
+
 program
   .command('hash <file>')
   .description('Calculate SHA256 hash of SPC file')
@@ -55,12 +128,22 @@ program
   .command('dry-run <file>')
   .description('Show what services would execute without running them')
   .action(async (file) => {
-    const fs = require('fs');
-    const spc = JSON.parse(fs.readFileSync(file, 'utf8'));
-    console.log('Services that would execute:');
-    Object.entries(spc.services || {}).forEach(([id, service]) => {
-      console.log(`  ${id} (${service.type}): ${service.title || 'Untitled'}`);
-    });
+    const SPCEngine = require('../src/engine');
+    const { readDocument } = require('../src/documents');
+    try {
+      const engine = new SPCEngine().load(readDocument(file));
+      const levels = engine.executionLevels();
+      console.log('Services that would execute (in dependency order):');
+      levels.forEach((level, i) => {
+        level.forEach(id => {
+          const service = engine.services[id];
+          console.log(`  ${i + 1}. ${id} (${service.type}): ${service.title || 'Untitled'}`);
+        });
+      });
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
   });
 
 program.parse(process.argv);
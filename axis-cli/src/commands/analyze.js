@@ -0,0 +1,77 @@
+const path = require('path');
+const chalk = require('chalk');
+const AxisAnalyzer = require('../../../axis-analyzer');
+const AxisRulesEngine = require('../../../axis-rules');
+const { loader, readRegistry, readRules } = require('../rulesets');
+const { readDocument } = require('../documents');
+
+const ICONS = { error: chalk.red('✖'), warning: chalk.yellow('⚠'), info: chalk.gray('ℹ') };
+
+// Rule sets in a file, includes expanded: a rules file ({ rules } or a bare
+// array), or every processor transform and connector rules block of an SPC file
+async function ruleSets(document, file, registry) {
+  if (Array.isArray(document) || !document.services) {
+    return [{ label: file, rulesConfig: await readRules(file, registry) }];
+  }
+
+  const expand = rulesConfig => AxisRulesEngine.expand(Array.isArray(rulesConfig) ? { rules: rulesConfig } : rulesConfig, {
+    registry: { ...readRegistry(registry), ...document.ruleSets },
+    ...loader({ baseDir: path.dirname(path.resolve(file)) })
+  });
+
+  const sets = [];
+  for (const [id, service] of Object.entries(document.services)) {
+    const spec = service.spec || {};
+    if (service.type === 'processor' && spec.transform) {
+      sets.push({ label: `${id} (processor)`, rulesConfig: await expand(spec.transform) });
+    }
+    if (service.type === 'connector' && spec.rules) {
+      sets.push({ label: `${id} (connector rules)`, rulesConfig: await expand(spec.rules) });
+    }
+  }
+  return sets;
+}
+
+async function analyzeCommand(file, options) {
+  try {
+    const document = readDocument(file);
+    const analyzer = new AxisAnalyzer({
+      inputs: options.inputs ? options.inputs.split(',').map(field => field.trim()).filter(Boolean) : undefined
+    });
+
+    const reports = (await ruleSets(document, file, options.registry)).map(({ label, rulesConfig }) => ({
+      label,
+      ...analyzer.analyze(rulesConfig)
+    }));
+    const issues = [].concat(...reports.map(report => report.issues));
+
+    if (options.json) {
+      console.log(JSON.stringify({ file, reports }, null, 2));
+    } else {
+      reports.forEach(report => {
+        console.log(chalk.cyan(report.label));
+        if (options.verbose) {
+          const width = Math.max(...report.rules.map(rule => rule.name.length));
+          report.rules.forEach(rule => {
+            console.log(chalk.gray(
+              `  ${rule.name.padEnd(width)}  ${rule.stage ? `[${rule.stage}] ` : ''}fires ${rule.fires.padEnd(9)} ` +
+              `reads ${rule.reads.join(', ') || '-'}  writes ${rule.writes.join(', ') || '-'}`
+            ));
+          });
+        }
+        report.issues.forEach(issue => console.log(`  ${ICONS[issue.severity]} ${issue.message}`));
+        if (report.issues.length === 0) console.log(chalk.green('  ✅ no issues'));
+      });
+    }
+
+    const failing = issues.filter(issue => issue.severity === 'error' ||
+      (options.strict && issue.severity === 'warning'));
+    if (failing.length > 0) process.exit(1);
+
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = analyzeCommand;
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const AxisRulesEngine = require('../../../axis-rules');
+const { readRules } = require('../rulesets');
+const { readDocument } = require('../documents');
+
+const describe = value => (value === undefined ? '(unset)' : JSON.stringify(value));
+
+// "name", "name [2]" for a forEach element, plus " (else)" for the else branch
+const ruleLabel = ({ rule, index, branch }) =>
+  `${rule}${index === undefined ? '' : ` [${index}]`}${branch === 'else' ? ' (else)' : ''}`;
+
+// "1700000000000" → epoch ms, "42" → numeric seed; anything else stays a string
+const numeric = value => (value !== undefined && /^\d+$/.test(value) ? Number(value) : value);
+
+// Apply a rules file ({ rules, max_iterations } or a bare rules array) to a JSON data file
+async function applyCommand(rulesFile, dataFile, options) {
+  try {
+    const rulesConfig = await readRules(rulesFile, options.registry);
+    const data = readDocument(dataFile);
+
+    const engine = new AxisRulesEngine({
+      chain: Boolean(options.audit),
+      clock: numeric(options.clock),
+      seed: numeric(options.seed),
+      strict: Boolean(options.strict)
+    });
+    const errors = engine.validate(rulesConfig);
+    if (errors.length > 0) {
+      console.error(chalk.red(`❌ ${rulesFile}: ${errors.length} error(s)`));
+      errors.forEach(message => console.error(`  ${message}`));
+      process.exit(1);
+    }
+
+    const result = engine.apply(data, rulesConfig);
+
+    if (options.audit) {
+      fs.writeFileSync(options.audit, engine.exportAudit(result.audit));
+    }
+
+    if (options.explain) {
+      const changes = engine.getFieldChanges(options.explain);
+      if (changes.length === 0) {
+        console.error(chalk.gray(`${options.explain}: not changed by any rule`));
+      }
+      changes.forEach(change => {
+        console.error(chalk.gray(
+          `${options.explain}: ${describe(change.before)} → ${describe(change.after)} ` +
+          `by ${ruleLabel(change)} in iteration ${change.iteration}`
+        ));
+      });
+    }
+
+    if (result.halted) {
+      const { rule, stage, reason } = result.halted;
+      console.error(chalk.yellow(`⏹ Halted by ${rule}${stage ? ` in stage ${stage}` : ''}${reason ? `: ${reason}` : ''}`));
+    }
+
+    const output = options.pretty
+      ? JSON.stringify(result.output, null, 2)
+      : JSON.stringify(result.output);
+
+    console.log(output);
+
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = applyCommand;
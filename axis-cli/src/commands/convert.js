@@ -0,0 +1,39 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const { formatOf, parse, stringify, readDocument } = require('../documents');
+
+const FORMATS = ['json', 'yaml'];
+
+// Convert an SPC, rules or data file between JSON and YAML. The target
+// format comes from --to, else the output file's extension, else the
+// opposite of the input's.
+async function convertCommand(input, output, options) {
+  try {
+    const from = formatOf(input);
+    const to = options.to || (output ? formatOf(output) : from === 'yaml' ? 'json' : 'yaml');
+    if (!FORMATS.includes(to)) {
+      throw new Error(`Unknown format "${to}"; use ${FORMATS.join(' or ')}`);
+    }
+
+    const document = readDocument(input);
+    const text = stringify(document, to);
+
+    // Refuse a lossy conversion rather than write a file that reads back differently
+    if (JSON.stringify(parse(text, to, output || to)) !== JSON.stringify(document)) {
+      throw new Error(`${input} does not survive conversion to ${to}`);
+    }
+
+    if (output) {
+      fs.writeFileSync(output, text);
+      console.error(chalk.green(`✅ ${input} → ${output}`));
+    } else {
+      process.stdout.write(text);
+    }
+
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = convertCommand;
@@ -1,14 +1,14 @@
-const fs = require('fs');
+const path = require('path');
 const SPCEngine = require('../engine');
+const { readDocument } = require('../documents');
 
 async function exportCommand(file, options) {
   try {
-    const spcContent = fs.readFileSync(file, 'utf8');
-    const spc = JSON.parse(spcContent);
+    const spc = readDocument(file);
     
     if (options.stateOnly) {
       // Export just the state
-      const engine = new SPCEngine();
+      const engine = new SPCEngine({ baseDir: path.dirname(path.resolve(file)) });
       engine.load(spc);
       await engine.execute();
       
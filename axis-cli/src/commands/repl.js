@@ -1,7 +1,48 @@
-const fs = require('fs');
+const path = require('path');
 const readline = require('readline');
 const chalk = require('chalk');
 const SPCEngine = require('../engine');
+const { readRules } = require('../rulesets');
+const { readDocument } = require('../documents');
+
+const describe = value => (value === undefined ? '(unset)' : JSON.stringify(value));
+
+// "name", "name [2]" for a forEach element, plus " (else)" for the else branch
+const ruleLabel = ({ rule, index, branch }) =>
+  `${rule}${index === undefined ? '' : ` [${index}]`}${branch === 'else' ? ' (else)' : ''}`;
+
+// Print a replay frame: its position, the rule that fired and what it changed
+function showFrame(replay) {
+  const { frame } = replay;
+  const label = frame.rule
+    ? `iteration ${frame.iteration} · ${ruleLabel(frame)}`
+    : 'input';
+  console.log(chalk.cyan(`[${replay.position}/${replay.frames.length - 1}] ${label}`));
+  frame.changes.forEach(change => {
+    console.log(`  ${change.path}: ${describe(change.before)} → ${describe(change.after)}`);
+  });
+  if (frame.rule && frame.changes.length === 0) console.log(chalk.gray('  no changes'));
+}
+
+// Rules and input for `trace`: a processor id, or a rules file and a data file
+async function traceTarget(engine, args) {
+  if (args.length === 2) {
+    const rulesConfig = await readRules(args[0]);
+    const data = readDocument(args[1]);
+    return { rulesConfig, data };
+  }
+
+  const service = engine.services[args[0]];
+  if (!service || service.type !== 'processor' || !(service.spec || {}).transform) {
+    throw new Error(`Not a processor with transform rules: ${args[0]}`);
+  }
+  const data = engine.processorInput(service);
+  if (data === undefined) {
+    throw new Error(`Inputs of ${args[0]} are not in state yet; run execute first`);
+  }
+  await engine.expandRules(service);
+  return { rulesConfig: engine.rulesConfigOf(service), data };
+}
 
 function replCommand() {
   const rl = readline.createInterface({
@@ -12,6 +53,12 @@ function replCommand() {
   
   let engine = new SPCEngine();
   let currentFile = null;
+  let replay = null;
+
+  const requireReplay = () => {
+    if (!replay) throw new Error('Nothing traced yet; use trace <processor> first');
+    return replay;
+  };
   
   console.log(chalk.green('AXIS REPL v1.0'));
   console.log(chalk.gray('Type "help" for commands\n'));
@@ -40,6 +87,12 @@ Commands:
   state.all()         Show entire state
   run <service>       Run a specific service
   execute             Execute all services
+  trace <processor>   Record a processor's rules run (or: trace <rules> <data>)
+  step [n]            Move forward n rule firings
+  back [n]            Move back n rule firings
+  goto <iteration>    Jump to the end of an iteration (0 = input)
+  why <field>         Show which rule produced the field's current value
+  frame               Show the traced state at the current position
   clear              Clear state
   exit               Exit REPL
           `);
@@ -49,8 +102,9 @@ Commands:
           if (!args[0]) {
             console.log(chalk.red('Usage: load <file>'));
           } else {
-            const spc = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+            const spc = readDocument(args[0]);
             engine.load(spc);
+            engine.baseDir = path.dirname(path.resolve(args[0]));
             currentFile = args[0];
             console.log(chalk.green(`Loaded: ${args[0]}`));
           }
@@ -71,6 +125,54 @@ Commands:
           console.log(chalk.green('All services executed'));
           break;
           
+        case 'trace':
+          if (!args[0]) {
+            console.log(chalk.red('Usage: trace <processor> | trace <rules> <data>'));
+          } else {
+            const { rulesConfig, data } = await traceTarget(engine, args);
+            replay = engine.rulesEngine.replay(data, rulesConfig);
+            console.log(chalk.green(
+              `Recorded ${replay.frames.length - 1} rule firing(s) over ${replay.iterations} iteration(s)`
+            ));
+            showFrame(replay);
+          }
+          break;
+
+        case 'step':
+          requireReplay().step(parseInt(args[0]) || 1);
+          showFrame(replay);
+          break;
+
+        case 'back':
+          requireReplay().back(parseInt(args[0]) || 1);
+          showFrame(replay);
+          break;
+
+        case 'goto':
+          requireReplay().goto(parseInt(args[0]));
+          showFrame(replay);
+          break;
+
+        case 'why':
+          if (!args[0]) {
+            console.log(chalk.red('Usage: why <field>'));
+          } else {
+            const reason = requireReplay().why(args[0]);
+            const current = engine.rulesEngine.getNestedPath(replay.state, args[0]);
+            const value = describe(current);
+            if (!reason) {
+              console.log(`${args[0]} = ${value} ${chalk.gray(current === undefined ? '(not set yet)' : '(from the input)')}`);
+            } else {
+              console.log(`${args[0]} = ${value} ← ${ruleLabel(reason)} in iteration ${reason.iteration} ` +
+                chalk.gray(`[frame ${reason.frame}${reason.path !== args[0] ? `, via ${reason.path}` : ''}]`));
+            }
+          }
+          break;
+
+        case 'frame':
+          console.log(JSON.stringify(requireReplay().state, null, 2));
+          break;
+
         case 'clear':
           engine.state = {};
           console.log(chalk.yellow('State cleared'));
@@ -95,13 +197,8 @@ Commands:
             if (!service) {
               console.log(chalk.red(`Service not found: ${serviceId}`));
             } else {
-              if (service.type === 'connector') {
-                await engine.runConnector(serviceId, service);
-              } else if (service.type === 'processor') {
-                engine.executeProcessors();
-              } else if (service.type === 'monitor') {
-                engine.executeMonitors();
-              }
+              await engine.expandRules(service);
+              await engine.runService(serviceId, service);
               console.log(chalk.green(`Executed: ${serviceId}`));
             }
           } else {
@@ -1,17 +1,27 @@
 const fs = require('fs');
+const path = require('path');
 const SPCEngine = require('../engine');
+const { readDocument } = require('../documents');
 
 async function runCommand(file, options) {
   try {
     // Load SPC file
-    const spcContent = fs.readFileSync(file, 'utf8');
-    const spc = JSON.parse(spcContent);
+    const spc = readDocument(file);
     
     // Create engine and execute
-    const engine = new SPCEngine();
+    const engine = new SPCEngine({
+      cacheDir: options.cacheDir,
+      baseDir: path.dirname(path.resolve(file)),
+      audit: Boolean(options.audit),
+      strict: Boolean(options.strict)
+    });
     engine.load(spc);
     
     const state = await engine.execute({ verbose: options.verbose });
+
+    if (options.audit) {
+      fs.writeFileSync(options.audit, engine.rulesEngine.exportAudit(engine.auditLog));
+    }
     
     // Output result
     const output = options.pretty 
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const AxisDecisionTable = require('../../../axis-decision-table');
+const { formatOf, stringify, readDocument } = require('../documents');
+
+const ICONS = { error: chalk.red('✖'), warning: chalk.yellow('⚠'), info: chalk.gray('ℹ') };
+
+// A CSV grid, or a YAML/JSON table; options override the table's own settings
+function readTable(file, options) {
+  const table = path.extname(file).toLowerCase() === '.csv'
+    ? AxisDecisionTable.fromCSV(fs.readFileSync(file, 'utf8'))
+    : readDocument(file);
+  return {
+    ...table,
+    name: options.name || table.name || path.basename(file).replace(/(\.table)?\.(csv|json|ya?ml)$/i, ''),
+    ...(options.hitPolicy ? { hitPolicy: options.hitPolicy } : {}),
+    ...(options.priority ? { priority: Number(options.priority) } : {}),
+    ...(options.group ? { group: options.group } : {})
+  };
+}
+
+// Compile a decision table into a rules file; gaps and overlaps go to stderr
+async function tableCompileCommand(file, output, options) {
+  try {
+    const { name, hitPolicy, rules, issues } = new AxisDecisionTable().compile(readTable(file, options));
+
+    console.error(chalk.cyan(`${file} (${name}, hit policy ${hitPolicy})`));
+    issues.forEach(issue => console.error(`  ${ICONS[issue.severity]} ${issue.message}`));
+
+    const failing = issues.filter(issue => issue.severity === 'error' ||
+      (options.strict && issue.severity === 'warning'));
+    if (failing.length > 0) process.exit(1);
+
+    const text = stringify({ rules }, output ? formatOf(output) : 'json');
+    if (output) {
+      fs.writeFileSync(output, text);
+      console.error(chalk.green(`✅ ${rules.length} rules → ${output}`));
+    } else {
+      process.stdout.write(text);
+    }
+
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = tableCompileCommand;
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const { discover, runFixture } = require('../fixtures');
+const { toJUnit } = require('../junit');
+
+// Run the *.test.json / *.test.yaml fixtures under the given paths (default: .)
+async function testCommand(paths, options) {
+  try {
+    const files = discover(paths.length ? paths : ['.']);
+    if (files.length === 0) {
+      throw new Error('No fixtures found; name them *.test.json, *.test.yaml or *.test.yml');
+    }
+
+    const results = [];
+    for (const file of files) {
+      const cases = await runFixture(file);
+      console.log(chalk.cyan(file));
+      cases.forEach(result => {
+        const passed = !result.error && result.failures.length === 0;
+        console.log(`  ${passed ? chalk.green('✓') : chalk.red('✗')} ${result.name} ${chalk.gray(`(${result.ms} ms)`)}`);
+        if (result.error) console.log(chalk.red(`      Error: ${result.error}`));
+        result.failures.forEach(failure => console.log(chalk.red(`      ${failure}`)));
+      });
+      results.push(...cases);
+    }
+
+    if (options.junit) fs.writeFileSync(options.junit, toJUnit(results));
+
+    const failed = results.filter(result => result.error || result.failures.length > 0).length;
+    const summary = `${results.length - failed} passed, ${failed} failed`;
+    console.log(failed ? chalk.red(summary) : chalk.green(summary));
+    if (failed > 0) process.exit(1);
+
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = testCommand;
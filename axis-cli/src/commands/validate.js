@@ -0,0 +1,27 @@
+const chalk = require('chalk');
+const SPCValidator = require('../../../spc-validator');
+const { readDocument } = require('../documents');
+
+async function validateCommand(file, options) {
+  try {
+    const spc = readDocument(file);
+    const errors = SPCValidator.validateSPC(spc);
+
+    if (options.json) {
+      console.log(JSON.stringify({ file, valid: errors.length === 0, errors }, null, 2));
+    } else if (errors.length === 0) {
+      console.log(chalk.green(`✅ ${file} is a valid SPC file`));
+    } else {
+      console.error(chalk.red(`❌ ${file}: ${errors.length} error(s)`));
+      SPCValidator.format(errors).forEach(line => console.error(`  ${line}`));
+    }
+
+    if (errors.length > 0) process.exit(1);
+
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = validateCommand;
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const AxisRulesEngine = require('../../../axis-rules');
+
+async function verifyAuditCommand(file, options) {
+  try {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+
+    const entries = lines.map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new Error(`${file}:${index + 1}: ${e.message}`);
+      }
+    });
+
+    const result = AxisRulesEngine.verifyAudit(entries);
+
+    // Removing whole runs from the end leaves a valid chain; only a
+    // head recorded elsewhere catches that
+    if (options.head && result.head !== options.head) {
+      result.errors.push({ line: entries.length, message: `last entry hash ${result.head} does not match --head` });
+      result.valid = false;
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify({ file, ...result }, null, 2));
+    } else if (result.valid) {
+      console.log(chalk.green(`✅ ${file}: ${result.entries} entries in ${result.chains} chain(s) verified`));
+      console.log(chalk.gray(`head ${result.head}`));
+    } else {
+      console.error(chalk.red(`❌ ${file}: ${result.errors.length} error(s)`));
+      result.errors.forEach(error => console.error(`  line ${error.line}: ${error.message}`));
+    }
+
+    if (!result.valid) process.exit(1);
+
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = verifyAuditCommand;
@@ -1,6 +1,8 @@
 const fs = require('fs');
+const path = require('path');
 const chalk = require('chalk');
 const SPCEngine = require('../engine');
+const { readDocument } = require('../documents');
 
 async function watchCommand(file, options) {
   const interval = parseInt(options.interval) || 5000;
@@ -12,15 +14,23 @@ async function watchCommand(file, options) {
   
   async function tick() {
     try {
-      const spcContent = fs.readFileSync(file, 'utf8');
-      const spc = JSON.parse(spcContent);
+      const spc = readDocument(file);
       
       if (!engine) {
-        engine = new SPCEngine();
+        engine = new SPCEngine({
+          cacheDir: options.cacheDir,
+          baseDir: path.dirname(path.resolve(file)),
+          audit: Boolean(options.audit)
+        });
       }
       
       engine.load(spc);
       const state = await engine.execute();
+
+      if (options.audit) {
+        fs.appendFileSync(options.audit, engine.rulesEngine.exportAudit(engine.auditLog));
+        engine.auditLog = [];
+      }
       
       const timestamp = new Date().toISOString();
       console.log(chalk.gray(`[${timestamp}]`));
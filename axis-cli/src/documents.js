@@ -0,0 +1,18 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const SPCDocuments = require('../../spc-documents');
+
+// SPC, rules and data files as JSON or YAML, chosen by extension, through
+// the shared reader (spc-documents.js) that KERN uses too
+
+const documents = new SPCDocuments({ yaml });
+
+const formatOf = file => documents.formatOf(file);
+const parse = (text, format, label) => documents.parse(text, format, label);
+const stringify = (value, format) => documents.stringify(value, format);
+
+function readDocument(file) {
+  return parse(fs.readFileSync(file, 'utf8'), formatOf(file), file);
+}
+
+module.exports = { formatOf, parse, stringify, readDocument };
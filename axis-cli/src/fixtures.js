@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const AxisRulesEngine = require('../../axis-rules');
+const { MemoryCache } = require('../../spc-cache');
+const SPCEngine = require('./engine');
+const sinks = require('./sinks');
+const { readRegistry, readRules } = require('./rulesets');
+const { readDocument } = require('./documents');
+
+// Fixture tests for SPC and rules files. A fixture (*.test.json, *.test.yaml
+// or *.test.yml) names the file under test as `spc` or `rules`, relative to
+// the fixture, and lists `cases`: an `input` state, mocked `connectors`
+// responses by service id, and what to `expect`. Runs are offline: a
+// connector without a mocked response records `<id>_error`, and alert
+// sinks and history files are left alone.
+
+const FIXTURE = /\.test\.(json|ya?ml)$/i;
+
+const QUIET = { log() {}, warn() {}, error() {} };
+
+// Every alert sink type, delivered nowhere
+const SILENT_SINKS = ['stdout', 'webhook', ...Object.keys(sinks)]
+  .reduce((silent, type) => ({ ...silent, [type]: () => {} }), {});
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+const unique = values => values.filter((value, index) => values.indexOf(value) === index);
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Same wording as `axis apply --explain`
+const show = value => (value === undefined ? '(unset)' : JSON.stringify(value));
+
+function offline(url) {
+  return Promise.reject(new Error(`No mocked response for ${url}; add one under "connectors"`));
+}
+
+// SPC engine whose connectors answer from the case's `connectors` first;
+// a response of { "$error": "message" } fails the connector instead
+class FixtureEngine extends SPCEngine {
+  constructor(responses, options) {
+    super(options);
+    this.responses = responses;
+  }
+
+  async runConnector(id, service) {
+    if (!hasOwn(this.responses, id)) return super.runConnector(id, service);
+    const response = this.responses[id];
+    if (isObject(response) && hasOwn(response, '$error')) throw new Error(response.$error);
+    this.storeConnectorData(id, service, clone(response));
+  }
+}
+
+// Fixture files at each path: a file as given, or every fixture under a directory
+function discover(paths) {
+  const found = [];
+  const walk = target => {
+    if (fs.statSync(target).isFile()) {
+      found.push(target);
+      return;
+    }
+    fs.readdirSync(target, { withFileTypes: true })
+      .filter(entry => !entry.name.startsWith('.') && entry.name !== 'node_modules')
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => {
+        const child = path.join(target, entry.name);
+        if (entry.isDirectory()) walk(child);
+        else if (entry.isFile() && FIXTURE.test(entry.name)) found.push(child);
+      });
+  };
+  paths.forEach(walk);
+  return unique(found);
+}
+
+// Read a fixture and the SPC or rules file it tests; a fixture without `cases` is one case
+async function loadFixture(file) {
+  const fixture = readDocument(file);
+  if (!isObject(fixture)) throw new Error(`${file}: a fixture must be an object`);
+  if (Boolean(fixture.spc) === Boolean(fixture.rules)) {
+    throw new Error(`${file}: name the file under test as either "spc" or "rules"`);
+  }
+
+  const dir = path.dirname(path.resolve(file));
+  const registry = fixture.registry ? path.resolve(dir, fixture.registry) : undefined;
+  const cases = fixture.cases === undefined ? [fixture] : fixture.cases;
+  if (!Array.isArray(cases)) throw new Error(`${file}: "cases" must be a list`);
+
+  if (fixture.spc) {
+    const location = path.resolve(dir, fixture.spc);
+    return { ...fixture, cases, spc: { document: readDocument(location), dir: path.dirname(location), registry: readRegistry(registry) } };
+  }
+  return { ...fixture, cases, rules: await readRules(path.resolve(dir, fixture.rules), registry) };
+}
+
+// Settings a case may override: clock, seed and strict
+function settingsOf(fixture, testCase) {
+  return ['clock', 'seed', 'strict'].reduce((settings, key) => {
+    const value = hasOwn(testCase, key) ? testCase[key] : fixture[key];
+    return value === undefined ? settings : { ...settings, [key]: value };
+  }, {});
+}
+
+// Run a case against an SPC: { output: final state, rules: { service: [applied] }, monitors: { id: { check: status } } }
+async function runSPC(fixture, testCase) {
+  const engine = new FixtureEngine(testCase.connectors || {}, {
+    ...settingsOf(fixture, testCase),
+    baseDir: fixture.spc.dir,
+    registry: fixture.spc.registry,
+    cache: new MemoryCache(),
+    historyStore: null,
+    fetch: offline,
+    sleep: () => Promise.resolve(),
+    sinks: SILENT_SINKS,
+    logger: QUIET,
+    audit: true
+  });
+  engine.load(clone(fixture.spc.document));
+  Object.assign(engine.state, clone(testCase.input || {}));
+
+  const output = await engine.execute();
+
+  const rules = engine.auditLog
+    .filter(entry => entry.event === 'rule' && entry.applied)
+    .reduce((applied, entry) => {
+      const name = entry.branch === 'else' ? `${entry.rule} (else)` : entry.rule;
+      applied[entry.service] = unique((applied[entry.service] || []).concat(name));
+      return applied;
+    }, {});
+
+  const monitors = Object.keys(engine.services)
+    .filter(id => engine.services[id].type === 'monitor')
+    .reduce((statuses, id) => {
+      statuses[id] = Object.entries(output[`${id}_monitoring`] || {})
+        .reduce((checks, [check, result]) => ({ ...checks, [check]: result.status }), {});
+      return statuses;
+    }, {});
+
+  return { output, rules, monitors };
+}
+
+// Run a case against a rules file: { output, rules: [applied] }
+function runRules(fixture, testCase) {
+  const engine = new AxisRulesEngine(settingsOf(fixture, testCase));
+  const result = engine.apply(clone(testCase.input || {}), fixture.rules);
+  return { output: result.output, rules: unique(result.rulesApplied) };
+}
+
+// Differences between an expected and an actual value, down to the fields
+// that differ; an expected null also accepts an unset field
+function diff(expected, actual, at) {
+  if (expected === null && actual === undefined) return [];
+  if (isObject(expected) && isObject(actual)) {
+    return unique(Object.keys(expected).concat(Object.keys(actual)))
+      .reduce((all, key) => all.concat(diff(expected[key], actual[key], `${at}.${key}`)), []);
+  }
+  if (Array.isArray(expected) && Array.isArray(actual) && expected.length === actual.length) {
+    return expected.reduce((all, item, index) => all.concat(diff(item, actual[index], `${at}[${index}]`)), []);
+  }
+  return JSON.stringify(expected) === JSON.stringify(actual) ? [] : [`${at}: expected ${show(expected)}, got ${show(actual)}`];
+}
+
+function compareRules(label, expected, actual = []) {
+  const missing = expected.filter(name => !actual.includes(name));
+  const unexpected = actual.filter(name => !expected.includes(name));
+  if (missing.length === 0 && unexpected.length === 0) return [];
+  return [`${label}: ${[
+    missing.length ? `missing ${missing.join(', ')}` : null,
+    unexpected.length ? `unexpected ${unexpected.join(', ')}` : null
+  ].filter(Boolean).join('; ')}`];
+}
+
+/**
+ * Failed expectations of a case, as one line each
+ *   output:   { "field.path": value } compared in full (null: null or unset)
+ *   rules:    rules that applied, exactly (an else branch as "name (else)");
+ *             for an SPC, a list per service id
+ *   monitors: { monitorId: { check: status } }
+ */
+function check(expect, run, spc) {
+  const reader = new AxisRulesEngine();
+  const failures = [];
+
+  Object.entries(expect.output || {}).forEach(([field, value]) => {
+    failures.push(...diff(value, reader.getNestedPath(run.output, field), `output ${field}`));
+  });
+
+  if (expect.rules !== undefined) {
+    if (spc) {
+      Object.entries(expect.rules).forEach(([service, names]) => {
+        failures.push(...compareRules(`rules of ${service}`, [].concat(names), run.rules[service]));
+      });
+    } else {
+      failures.push(...compareRules('rules', [].concat(expect.rules), run.rules));
+    }
+  }
+
+  if (expect.monitors !== undefined) {
+    if (!spc) throw new Error('"monitors" needs an "spc" to test');
+    Object.entries(expect.monitors).forEach(([monitor, checks]) => {
+      Object.entries(checks || {}).forEach(([name, status]) => {
+        const actual = (run.monitors[monitor] || {})[name];
+        if (actual !== status) failures.push(`monitor ${monitor}.${name}: expected ${show(status)}, got ${show(actual)}`);
+      });
+    });
+  }
+
+  return failures;
+}
+
+/**
+ * Run every case of a fixture file
+ * @returns {Promise<Object[]>} { file, name, ms, failures: string[], error: string|null } per case
+ */
+async function runFixture(file) {
+  let fixture;
+  try {
+    fixture = await loadFixture(file);
+  } catch (error) {
+    return [{ file, name: path.basename(file), ms: 0, failures: [], error: error.message }];
+  }
+
+  const results = [];
+  for (const [index, testCase] of fixture.cases.entries()) {
+    const name = (testCase && testCase.name) || `case ${index + 1}`;
+    const started = Date.now();
+    const result = { file, name, ms: 0, failures: [], error: null };
+    try {
+      if (!isObject(testCase)) throw new Error('a case must be an object');
+      const run = fixture.spc ? await runSPC(fixture, testCase) : runRules(fixture, testCase);
+      result.failures = check(testCase.expect || {}, run, Boolean(fixture.spc));
+    } catch (error) {
+      result.error = error.message;
+    }
+    result.ms = Date.now() - started;
+    results.push(result);
+  }
+  return results;
+}
+
+module.exports = { discover, runFixture };
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+
+// Sidecar store for monitor `history.file`: the ring buffers live in a
+// JSON file next to the SPC file, so one-shot `axis run` invocations
+// (e.g. from cron) build up trend data across runs.
+
+function resolve(file, engine) {
+  return path.resolve(engine.baseDir || process.cwd(), file);
+}
+
+function load(file, engine) {
+  try {
+    return JSON.parse(fs.readFileSync(resolve(file, engine), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return {};
+    throw new Error(`History file ${file}: ${e.message}`);
+  }
+}
+
+function save(file, history, engine) {
+  const target = resolve(file, engine);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, JSON.stringify(history, null, 2));
+}
+
+module.exports = { load, save };
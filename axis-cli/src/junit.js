@@ -0,0 +1,59 @@
+// JUnit XML for `axis test --junit`, one <testsuite> per fixture file,
+// the format CI servers (Jenkins, GitLab, GitHub Actions reporters) read.
+
+// Characters XML 1.0 cannot hold at all
+const INVALID = /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g;
+
+function escape(text) {
+  return String(text)
+    .replace(INVALID, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const seconds = ms => (ms / 1000).toFixed(3);
+
+function counts(results) {
+  return {
+    tests: results.length,
+    failures: results.filter(result => !result.error && result.failures.length > 0).length,
+    errors: results.filter(result => result.error).length,
+    ms: results.reduce((total, result) => total + result.ms, 0)
+  };
+}
+
+function attributes(name, { tests, failures, errors, ms }) {
+  return `name="${escape(name)}" tests="${tests}" failures="${failures}" errors="${errors}" time="${seconds(ms)}"`;
+}
+
+function testcase(result) {
+  const open = `    <testcase name="${escape(result.name)}" classname="${escape(result.file)}" time="${seconds(result.ms)}"`;
+  if (result.error) {
+    return `${open}>\n      <error message="${escape(result.error)}"/>\n    </testcase>`;
+  }
+  if (result.failures.length > 0) {
+    const message = `${result.failures.length} expectation(s) failed`;
+    return `${open}>\n      <failure message="${escape(message)}">${escape(result.failures.join('\n'))}</failure>\n    </testcase>`;
+  }
+  return `${open}/>`;
+}
+
+// results: [{ file, name, ms, failures, error }] in run order
+function toJUnit(results) {
+  const files = results.map(result => result.file).filter((file, index, all) => all.indexOf(file) === index);
+  const suites = files.map(file => {
+    const cases = results.filter(result => result.file === file);
+    return `  <testsuite ${attributes(file, counts(cases))}>\n${cases.map(testcase).join('\n')}\n  </testsuite>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites ${attributes('axis test', counts(results))}>`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+module.exports = { toJUnit };
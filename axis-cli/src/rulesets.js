@@ -0,0 +1,41 @@
+const path = require('path');
+const AxisRulesEngine = require('../../axis-rules');
+const { readDocument } = require('./documents');
+
+// Rule files pulled in by `include` (see AxisRulesEngine.expand). A path
+// resolves against the file that includes it; top-level includes and
+// registry entries resolve against owner.baseDir (the SPC or rules
+// file's directory).
+
+// { resolve, load } for SPCCore's ruleLoader option; owner.baseDir is read on every call
+function loader(owner) {
+  return {
+    resolve: (ref, from) => path.resolve(from ? path.dirname(from) : owner.baseDir || process.cwd(), ref),
+    load: readDocument
+  };
+}
+
+// --registry file: { "name": "relative/path.json" | { rules } }, paths relative to the registry file
+function readRegistry(file) {
+  if (!file) return {};
+  const registry = readDocument(path.resolve(file));
+  const dir = path.dirname(path.resolve(file));
+  return Object.entries(registry).reduce((resolved, [name, entry]) => {
+    resolved[name] = typeof entry === 'string' ? path.resolve(dir, entry) : entry;
+    return resolved;
+  }, {});
+}
+
+// Read a rules file ({ rules, ... } or a bare array) and expand its includes
+async function readRules(file, registryFile) {
+  const location = path.resolve(file);
+  const document = readDocument(location);
+  const rulesConfig = Array.isArray(document) ? { rules: document } : document;
+  return AxisRulesEngine.expand(rulesConfig, {
+    from: location,
+    registry: readRegistry(registryFile),
+    ...loader({ baseDir: path.dirname(location) })
+  });
+}
+
+module.exports = { loader, readRegistry, readRules };
@@ -0,0 +1,15 @@
+const fs = require('fs');
+const path = require('path');
+
+// Alert sinks the CLI adds to the core's stdout and webhook sinks.
+// Each sink is called as (sink, event, engine); relative paths resolve
+// against engine.baseDir (the SPC file's directory).
+
+// { type: "file", path } appends one JSON line per transition
+function file(sink, event, engine) {
+  const target = path.resolve(engine.baseDir || process.cwd(), sink.path);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.appendFileSync(target, `${JSON.stringify(event)}\n`);
+}
+
+module.exports = { file };
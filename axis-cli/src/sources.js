@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+
+// Connector `source` loaders for local data: { type: file | glob | stdin }.
+// Each loader is called as (source, engine) and returns the parsed data;
+// relative paths resolve against engine.baseDir (the SPC file's directory).
+
+const FORMATS_BY_EXTENSION = {
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.csv': 'csv'
+};
+
+const NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+function formatOf(source, file) {
+  return source.format || FORMATS_BY_EXTENSION[path.extname(file || '').toLowerCase()] || 'json';
+}
+
+function parse(text, format, label, source) {
+  switch (format) {
+    case 'json':
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        throw new Error(`${label}: ${e.message}`);
+      }
+    case 'ndjson':
+      return parseNDJSON(text, label);
+    case 'csv':
+      return parseCSV(text, source.delimiter);
+    default:
+      throw new Error(`${label}: unsupported format "${format}"`);
+  }
+}
+
+function parseNDJSON(text, label) {
+  const records = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) {
+      throw new Error(`${label}:${index + 1}: ${e.message}`);
+    }
+  });
+  return records;
+}
+
+// RFC 4180 CSV with a header row; numeric fields become numbers
+function parseCSV(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(r => r.length > 1 || r[0] !== '');
+  return records.map(values => header.reduce((record, name, index) => {
+    const value = values[index] === undefined ? '' : values[index];
+    record[name] = NUMBER.test(value) ? Number(value) : value;
+    return record;
+  }, {}));
+}
+
+function resolvePath(file, engine) {
+  return path.resolve(engine.baseDir || process.cwd(), file);
+}
+
+function globToRegExp(pattern) {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches any number of directories, including none
+      regex += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${regex}$`);
+}
+
+function walk(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce((files, entry) => {
+    const relative = prefix + entry.name;
+    if (entry.isDirectory()) return files.concat(walk(path.join(dir, entry.name), `${relative}/`));
+    return entry.isFile() ? files.concat(relative) : files;
+  }, []);
+}
+
+// { type: "file", path, format? }
+function file(source, engine) {
+  const target = resolvePath(source.path, engine);
+  const text = fs.readFileSync(target, 'utf8');
+  return parse(text, formatOf(source, target), source.path, source);
+}
+
+// { type: "glob", pattern, format? } → { "relative/path": data, ... } in path order
+function glob(source, engine) {
+  const pattern = source.pattern.replace(/\\/g, '/');
+  const segments = pattern.split('/');
+  const literal = segments.findIndex(segment => /[*?]/.test(segment));
+  const base = literal === -1 ? segments.slice(0, -1) : segments.slice(0, literal);
+  const root = resolvePath(base.join('/') || '.', engine);
+  const matcher = globToRegExp(segments.slice(base.length).join('/'));
+
+  if (!fs.existsSync(root)) return {};
+
+  return walk(root)
+    .filter(relative => matcher.test(relative))
+    .sort()
+    .reduce((files, relative) => {
+      const name = base.concat(relative).join('/');
+      const text = fs.readFileSync(path.join(root, relative), 'utf8');
+      files[name] = parse(text, formatOf(source, relative), name, source);
+      return files;
+    }, {});
+}
+
+// { type: "stdin", format? }; stdin is read once per process and shared
+let stdinRead = null;
+
+function readStdin() {
+  if (process.stdin.isTTY) {
+    return Promise.reject(new Error('stdin source needs piped input, e.g. cat data.json | axis run app.spc.json'));
+  }
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on('data', chunk => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    process.stdin.on('error', reject);
+  });
+}
+
+async function stdin(source) {
+  stdinRead = stdinRead || readStdin();
+  return parse(await stdinRead, source.format || 'json', 'stdin', source);
+}
+
+module.exports = { file, glob, stdin };
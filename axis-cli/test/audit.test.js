@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const AxisRulesEngine = require('../../axis-rules');
+
+const AXIS = path.join(__dirname, '../bin/axis.js');
+
+const CREDIT = {
+  rules: [
+    { name: 'review', if: 'score >= 600 && credit.status == "new"', then: { 'credit.status': 'review' } },
+    { name: 'approve', if: 'score >= 700 && credit.status == "review"', then: { 'credit.status': 'approved', 'credit.limit': 5000 } },
+    { name: 'young', if: 'age < 21', then: { flag: 'young' }, else: { flag: 'adult' } }
+  ]
+};
+const INPUT = { score: 720, age: 30, credit: { status: 'new' } };
+
+test('rule entries record the condition, the branch and a diff of every changed field', () => {
+  const engine = new AxisRulesEngine({ clock: 0 });
+  const { audit, rulesApplied } = engine.apply(INPUT, CREDIT);
+  // As exported: JSON leaves out the `before` of a field that did not exist
+  const fired = JSON.parse(JSON.stringify(audit.filter(entry => entry.event === 'rule' && entry.changes.length > 0)));
+
+  assert.deepStrictEqual(fired.map(({ rule, iteration, condition, conditionResult, branch, changes }) => ({ rule, iteration, condition, conditionResult, branch, changes })), [
+    {
+      rule: 'review', iteration: 1, condition: 'score >= 600 && credit.status == "new"', conditionResult: true, branch: 'then',
+      changes: [{ path: 'credit.status', before: 'new', after: 'review' }]
+    },
+    {
+      rule: 'approve', iteration: 1, condition: 'score >= 700 && credit.status == "review"', conditionResult: true, branch: 'then',
+      changes: [{ path: 'credit.status', before: 'review', after: 'approved' }, { path: 'credit.limit', after: 5000 }]
+    },
+    {
+      rule: 'young', iteration: 1, condition: 'age < 21', conditionResult: false, branch: 'else',
+      changes: [{ path: 'flag', after: 'adult' }]
+    }
+  ]);
+  // One name per firing; the else branch fires again in the settling iteration
+  assert.deepStrictEqual(rulesApplied, ['review', 'approve', 'young (else)', 'young (else)']);
+  assert.ok(audit.every(entry => typeof entry.event === 'string' && entry.timestamp === '1970-01-01T00:00:00.000Z'));
+});
+
+test('getFieldChanges() answers which rule set a field and from what', () => {
+  const engine = new AxisRulesEngine();
+  engine.apply(INPUT, CREDIT);
+
+  assert.deepStrictEqual(engine.getFieldChanges('credit.status').map(({ rule, branch, iteration, before, after }) => ({ rule, branch, iteration, before, after })), [
+    { rule: 'review', branch: 'then', iteration: 1, before: 'new', after: 'review' },
+    { rule: 'approve', branch: 'then', iteration: 1, before: 'review', after: 'approved' }
+  ]);
+  assert.deepStrictEqual(engine.getFieldChanges('score'), []);
+});
+
+test('the audit trail exports as JSON Lines', () => {
+  const engine = new AxisRulesEngine();
+  const { audit } = engine.apply(INPUT, CREDIT);
+  const lines = engine.exportAudit(audit).split('\n');
+
+  assert.strictEqual(lines.pop(), '');
+  assert.deepStrictEqual(lines.map(line => JSON.parse(line)), JSON.parse(JSON.stringify(audit)));
+});
+
+test('axis apply writes the trail with --audit and explains a field with --explain', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axis-audit-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'rules.json'), JSON.stringify(CREDIT));
+    fs.writeFileSync(path.join(dir, 'data.json'), JSON.stringify(INPUT));
+    const output = execFileSync(process.execPath, [AXIS, 'apply', 'rules.json', 'data.json', '--audit', 'audit.jsonl', '--explain', 'credit.status'], {
+      cwd: dir, stdio: 'pipe', encoding: 'utf8', env: { ...process.env, FORCE_COLOR: '0' }
+    });
+
+    assert.strictEqual(JSON.parse(output).credit.status, 'approved');
+    const entries = fs.readFileSync(path.join(dir, 'audit.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.ok(entries.some(entry => entry.event === 'rule' && entry.rule === 'approve' && entry.applied));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+const chained = () => {
+  const engine = new AxisRulesEngine({ chain: true, clock: '2025-01-01T00:00:00Z' });
+  return { engine, audit: engine.apply(INPUT, CREDIT).audit };
+};
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+const copy = value => JSON.parse(JSON.stringify(value));
+// JSON with sorted keys, as the engine hashes it
+const canonical = value => JSON.stringify(value, (key, inner) => (inner && typeof inner === 'object' && !Array.isArray(inner)
+  ? Object.keys(inner).sort().reduce((sorted, name) => ({ ...sorted, [name]: inner[name] }), {})
+  : inner));
+const problems = entries => AxisRulesEngine.verifyAudit(copy(entries)).errors.map(({ line, message }) => `${line}: ${message}`);
+
+test('chained entries carry the rules and input hashes and link to the entry before', () => {
+  const { audit } = chained();
+
+  assert.ok(audit.length > 3);
+  assert.strictEqual(audit[0].prev, '0'.repeat(64));
+  audit.slice(1).forEach((entry, index) => assert.strictEqual(entry.prev, audit[index].hash));
+  assert.ok(audit.every(entry => /^[0-9a-f]{64}$/.test(entry.hash)));
+  assert.ok(audit.every(entry => entry.rulesHash === sha256(canonical(CREDIT))));
+  assert.ok(audit.every(entry => entry.inputHash === sha256('{"age":30,"credit":{"status":"new"},"score":720}')));
+
+  assert.deepStrictEqual(AxisRulesEngine.verifyAudit(copy(audit)), {
+    valid: true, entries: audit.length, chains: 1, head: audit[audit.length - 1].hash, errors: []
+  });
+});
+
+test('verifyAudit() detects edited, removed, reordered and truncated entries', () => {
+  const { audit } = chained();
+  const last = audit.length;
+
+  const edited = copy(audit);
+  edited[2].message = 'Applied: nothing to see';
+  assert.deepStrictEqual(problems(edited), ['3: entry was modified (hash mismatch)']);
+
+  const removed = copy(audit);
+  removed.splice(2, 1);
+  assert.deepStrictEqual(problems(removed), ['3: entry does not follow the previous one (entries removed or reordered)']);
+
+  const reordered = copy(audit);
+  [reordered[2], reordered[3]] = [reordered[3], reordered[2]];
+  assert.deepStrictEqual(problems(reordered), [
+    '3: entry does not follow the previous one (entries removed or reordered)',
+    '4: entry does not follow the previous one (entries removed or reordered)',
+    '5: entry does not follow the previous one (entries removed or reordered)'
+  ]);
+
+  assert.deepStrictEqual(problems(audit.slice(0, last - 1)), [`${last - 1}: chain ends without a "complete" entry (entries removed after it?)`]);
+  assert.deepStrictEqual(problems([{ message: 'unchained', event: 'complete' }]), ['1: entry has no hash; was the trail written with chaining on?']);
+});
+
+test('separate runs appended to one trail verify as several chains', () => {
+  const first = chained().audit;
+  const second = chained().audit;
+  const result = AxisRulesEngine.verifyAudit(copy([...first, ...second]));
+
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.chains, 2);
+});
+
+test('axis verify-audit fails on a tampered trail and on a head that does not match', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axis-verify-'));
+  try {
+    const { engine, audit } = chained();
+    const trail = path.join(dir, 'audit.jsonl');
+    const axis = (...args) => execFileSync(process.execPath, [AXIS, 'verify-audit', trail, ...args], {
+      stdio: 'pipe', encoding: 'utf8', env: { ...process.env, FORCE_COLOR: '0' }
+    });
+    const head = audit[audit.length - 1].hash;
+
+    fs.writeFileSync(trail, engine.exportAudit(audit));
+    assert.match(axis('--head', head), new RegExp(`${audit.length} entries in 1 chain\\(s\\) verified`));
+    assert.throws(() => axis('--head', '0'.repeat(64)), error => error.status === 1 && /does not match --head/.test(error.stderr));
+
+    const tampered = copy(audit);
+    tampered[1].level = 'error';
+    fs.writeFileSync(trail, engine.exportAudit(tampered));
+    assert.throws(() => axis(), error => error.status === 1 && /line 2: entry was modified/.test(error.stderr));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
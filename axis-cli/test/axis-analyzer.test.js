@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AxisAnalyzer = require('../../axis-analyzer');
+
+const messages = (rules, options) => new AxisAnalyzer(options).analyze({ rules }).issues.map(issue => issue.message);
+
+const TIERS = [
+  { name: 'gold', if: 'spend > 1000', then: { tier: 'gold' } },
+  { name: 'silver', if: 'spend > 500 && spend <= 1000', then: { tier: 'silver' } },
+  { name: 'platinum-perk', if: "tier == 'platinum'", then: { perk: 'lounge' } }
+];
+
+test('a field read by the rule that first writes it is an input', () => {
+  assert.deepStrictEqual(messages([
+    { name: 'approve', if: "status == 'pending'", then: { status: 'approved' } }
+  ]), []);
+});
+
+test('a field read before its first write is an input', () => {
+  assert.deepStrictEqual(messages([
+    { name: 'flag', if: "status == 'pending'", then: { review: true } },
+    { name: 'approve', if: 'score > 700', then: { status: 'approved' } }
+  ]), []);
+});
+
+test('a field only read after rules write it holds the written literals once inputs are declared', () => {
+  assert.deepStrictEqual(messages(TIERS, { inputs: ['spend'] }), [
+    'platinum-perk: condition can never be true (tier is only ever unset, "gold", "silver")'
+  ]);
+  assert.deepStrictEqual(messages(TIERS, { inputs: ['spend', 'tier'] }), []);
+});
+
+test('without declared inputs a written field may come from the input', () => {
+  const [issue, ...rest] = new AxisAnalyzer().analyze({ rules: TIERS }).issues;
+  assert.deepStrictEqual(rest, []);
+  assert.deepStrictEqual(issue, {
+    type: 'unreachable',
+    severity: 'info',
+    rule: 'platinum-perk',
+    branch: 'then',
+    assumes: ['tier'],
+    message: 'platinum-perk: condition may never be true (tier is only ever unset, "gold", "silver") unless the input holds tier'
+  });
+
+  // One rule sets status, a later one tests a value the input could supply
+  const issues = new AxisAnalyzer().analyze({
+    rules: [
+      { name: 'submit', if: 'amount > 0', then: { status: 'pending' } },
+      { name: 'ship', if: 'status == "approved"', then: { shipped: true } }
+    ]
+  }).issues;
+  assert.deepStrictEqual(issues.map(({ severity, rule }) => ({ severity, rule })), [{ severity: 'info', rule: 'ship' }]);
+});
+
+test('a condition that never holds whatever the input is a warning', () => {
+  const issues = new AxisAnalyzer().analyze({ rules: [{ name: 'never', if: '1 > 2', then: { a: 1 } }] }).issues;
+  assert.deepStrictEqual(issues.map(({ severity, message }) => ({ severity, message })), [
+    { severity: 'warning', message: 'never: condition can never be true' }
+  ]);
+});
+
+test('an else branch on an input field is reachable', () => {
+  assert.deepStrictEqual(messages([
+    { name: 'open', if: "state != 'closed'", then: { state: 'open' }, else: { archived: true } }
+  ]), []);
+});
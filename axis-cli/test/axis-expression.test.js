@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AxisExpression = require('../../axis-expression');
+
+const expressions = new AxisExpression();
+
+test('state fields named like host globals are ordinary data', () => {
+  const scope = { document: { status: 'signed' }, process: { step: 2 }, window: 'night' };
+  assert.deepStrictEqual(expressions.validate('document.status == "signed" && process.step > 1'), []);
+  assert.strictEqual(expressions.evaluate('document.status == "signed" && process.step > 1', scope), true);
+  assert.strictEqual(expressions.evaluate('window', scope), 'night');
+});
+
+test('host globals are unreachable without a state field of that name', () => {
+  assert.strictEqual(expressions.evaluate('typeof process'), 'undefined');
+  assert.strictEqual(expressions.evaluate('document ?? "none"'), 'none');
+  assert.throws(() => expressions.evaluate('fetch("http://example.com")', { fetch: () => 'called' }), /Function "fetch" is not allowed/);
+});
+
+test('prototype names fail validation', () => {
+  ['constructor', '__proto__', 'prototype', 'user.constructor', 'user["__proto__"]'].forEach(source => {
+    const errors = expressions.validate(source);
+    assert.ok(errors.some(error => error.includes('is not allowed')), `${source}: ${errors.join('; ')}`);
+  });
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AxisRulesEngine = require('../../axis-rules');
+
+// Rules files are JSON, where "__proto__" is an ordinary key
+const pollute = path => JSON.parse(`{ "rules": [{ "name": "pollute", "if": "true", "then": { "${path}": "yes" } }] }`);
+
+test('validate() rejects write paths through a prototype', () => {
+  const engine = new AxisRulesEngine();
+  ['__proto__.polluted', 'constructor.prototype.polluted', 'order.__proto__.polluted', 'items[0].prototype'].forEach(path => {
+    const errors = engine.validate(pollute(path));
+    assert.ok(errors.some(error => error.includes(`Invalid path "${path}"`)), `${path}: ${errors.join('; ')}`);
+  });
+  assert.deepStrictEqual(engine.validate(pollute('order.status')), []);
+});
+
+test('validate() rejects a forEach path through a prototype', () => {
+  const errors = new AxisRulesEngine().validate({
+    rules: [{ name: 'each', forEach: '__proto__', as: 'item', then: { 'item.seen': true } }]
+  });
+  assert.ok(errors.some(error => error.includes('Invalid forEach path "__proto__"')), errors.join('; '));
+});
+
+test('apply() refuses to write through a prototype', () => {
+  const engine = new AxisRulesEngine();
+  ['__proto__.polluted', 'constructor.prototype.polluted', 'order.__proto__.polluted'].forEach(path => {
+    assert.throws(() => engine.apply({ order: {} }, pollute(path)), /Refusing to write/);
+  });
+  assert.strictEqual({}.polluted, undefined);
+  assert.strictEqual(Object.prototype.polluted, undefined);
+});
+
+test('setNestedPath() still creates missing containers', () => {
+  const state = {};
+  new AxisRulesEngine().setNestedPath(state, 'order.items[0].price', 5);
+  assert.deepStrictEqual(state, { order: { items: [{ price: 5 }] } });
+});
+
+const ruleEntries = result => result.audit.filter(entry => entry.event === 'rule');
+
+test('a condition that fails to evaluate runs neither branch', () => {
+  const result = new AxisRulesEngine().apply({}, {
+    rules: [{ name: 'age', if: 'user.age > 5', then: { y: 'adult' }, else: { y: 'minor' } }]
+  });
+  assert.deepStrictEqual(result.output, {});
+  assert.deepStrictEqual(result.rulesApplied, []);
+  const [entry] = ruleEntries(result);
+  assert.strictEqual(entry.conditionResult, null);
+  assert.strictEqual(entry.applied, false);
+  assert.strictEqual(entry.message, 'Skipped: age (condition could not be evaluated)');
+  assert.ok(result.audit.some(logged => logged.event === 'error' && logged.expression === 'user.age > 5'));
+});
+
+test('a false condition runs the else branch', () => {
+  const result = new AxisRulesEngine().apply({ user: { age: 3 } }, {
+    rules: [{ name: 'age', if: 'user.age > 5', then: { y: 'adult' }, else: { y: 'minor' } }]
+  });
+  assert.strictEqual(result.output.y, 'minor');
+  assert.strictEqual(ruleEntries(result)[0].message, 'Applied: age (else)');
+});
+
+test('an else-only rule whose condition holds is logged as skipped', () => {
+  const result = new AxisRulesEngine().apply({ x: 1 }, {
+    rules: [{ name: 'only-else', if: 'x == 1', else: { y: 1 } }]
+  });
+  assert.deepStrictEqual(result.output, { x: 1 });
+  const [entry] = ruleEntries(result);
+  assert.strictEqual(entry.applied, false);
+  assert.strictEqual(entry.message, 'Skipped: only-else (condition met, no then branch)');
+});
+
+test('replay why() finds writes to a field, its parents and its children', () => {
+  const replay = new AxisRulesEngine().replay({ user: { name: 'ada' } }, {
+    rules: [
+      { name: 'activate', if: 'user.status == null', then: { 'user.status': 'active' } },
+      { name: 'tier', if: 'user.status == "active"', then: { account: { tier: 'gold' } } }
+    ]
+  });
+  replay.seek(replay.frames.length - 1);
+
+  const child = replay.why('user');
+  assert.strictEqual(child.rule, 'activate');
+  assert.strictEqual(child.path, 'user.status');
+  assert.strictEqual(child.after, 'active');
+  assert.deepStrictEqual(child.value, { name: 'ada', status: 'active' });
+
+  assert.strictEqual(replay.why('user.status').rule, 'activate');
+  assert.strictEqual(replay.why('account.tier').rule, 'tier');
+  assert.strictEqual(replay.why('user.name'), null);
+
+  replay.seek(0);
+  assert.strictEqual(replay.why('user'), null);
+});
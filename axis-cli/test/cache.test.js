@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { MemoryCache, StorageCache } = require('../../spc-cache');
+const SPCEngine = require('../src/engine');
+
+// Stub API that answers with the current price until it is taken down
+let up = true;
+let hits = 0;
+let server;
+let base;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    hits++;
+    if (!up) return res.writeHead(503).end();
+    res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ price: 42 }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test.beforeEach(() => {
+  up = true;
+  hits = 0;
+});
+
+const prices = cache => ({ prices: { type: 'connector', spec: { url: `${base}/price`, cache } } });
+
+test('staleOnError serves the cached response and marks it stale', async () => {
+  const engine = new SPCEngine({ cache: new MemoryCache(), historyStore: null, clock: () => 1000 });
+  engine.load({ services: prices({ staleOnError: true }), state: {} });
+
+  let state = await engine.execute();
+  assert.deepStrictEqual(state.prices_data, { price: 42 });
+  assert.strictEqual(state.prices_data_fetchedAt, 1000);
+  assert.strictEqual(state.prices_data_stale, false);
+
+  up = false;
+  state = await engine.execute();
+  assert.deepStrictEqual(state.prices_data, { price: 42 });
+  assert.strictEqual(state.prices_data_fetchedAt, 1000);
+  assert.strictEqual(state.prices_data_stale, true);
+  assert.strictEqual(state.prices_error, 'HTTP 503');
+});
+
+test('without staleOnError a failed fetch leaves the cached response unused', async () => {
+  const engine = new SPCEngine({ cache: new MemoryCache(), historyStore: null });
+  engine.load({ services: prices({ ttl: 0 }), state: {} });
+  await engine.execute();
+
+  up = false;
+  const state = await engine.execute();
+  assert.strictEqual(state.prices_data_stale, false);
+  assert.strictEqual(state.prices_error, 'HTTP 503');
+});
+
+test('the CLI cache directory outlives the engine', async () => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'axis-cache-'));
+  try {
+    const run = () => new SPCEngine({ cacheDir, historyStore: null, clock: () => 5000 })
+      .load({ services: prices({ ttl: 60000 }), state: {} })
+      .execute();
+
+    await run();
+    assert.strictEqual(fs.readdirSync(cacheDir).length, 1);
+
+    const state = await run();
+    assert.strictEqual(hits, 1, 'the second engine answered from the cache directory');
+    assert.deepStrictEqual(state.prices_data, { price: 42 });
+    assert.strictEqual(state.prices_data_fetchedAt, 5000);
+  } finally {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+});
+
+test('the browser store keeps prefixed JSON entries and treats bad ones as misses', () => {
+  const items = new Map();
+  const storage = { getItem: key => (items.has(key) ? items.get(key) : null), setItem: (key, value) => items.set(key, value) };
+  const cache = new StorageCache(storage);
+
+  cache.set('prices GET /price', { data: { price: 42 }, fetchedAt: 1000 });
+  assert.deepStrictEqual(cache.get('prices GET /price'), { data: { price: 42 }, fetchedAt: 1000 });
+  assert.deepStrictEqual([...items.keys()], ['spc-cache:prices GET /price']);
+
+  items.set('spc-cache:broken', '{');
+  assert.strictEqual(cache.get('broken'), undefined);
+  assert.strictEqual(cache.get('missing'), undefined);
+});
@@ -0,0 +1,223 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+const Module = require('module');
+const { MemoryCache } = require('../../spc-cache');
+const SPCEngine = require('../src/engine');
+
+// Cross-runtime conformance: every SPC under conformance/ must end in the
+// same state in the AXIS CLI, Deck Shell, MicroService OS and every KERN
+// target. The shells run from their own index.html (the scripts it loads
+// and the core it builds) in a sandbox with browser globals; KERN output
+// is compiled and run as generated. Connectors call a local stub API,
+// written as http://stub in the fixtures.
+
+const ROOT = path.resolve(__dirname, '../..');
+const KERN = path.join(ROOT, 'KERN');
+const FIXTURES = path.join(__dirname, 'conformance');
+
+const QUIET = { log() {}, info() {}, warn() {}, error() {} };
+
+// Time-dependent fields differ between any two runs
+const TIMING = ['at', 'since', 'fetchedAt', 'ms'];
+
+function stable(value) {
+  if (Array.isArray(value)) return value.map(stable);
+  if (value === null || typeof value !== 'object') return value;
+  return Object.keys(value).reduce((out, key) => ({
+    ...out,
+    [key]: TIMING.includes(key) && value[key] !== null ? '<time>' : stable(value[key])
+  }), {});
+}
+
+// Plain data of this realm, so sandboxed results compare with deepStrictEqual
+const plain = value => stable(JSON.parse(JSON.stringify(value)));
+
+// ---- Stub API ----
+
+function stubServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+      const json = (status, data) => res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(data));
+      if (pathname === '/quote') return json(200, { symbol: searchParams.get('symbol'), bid: 100, ask: 107.5 });
+      if (pathname === '/book' && req.method === 'POST') {
+        const { symbol, depth } = JSON.parse(body);
+        return json(200, { symbol, bids: [[100, 1], [99, 2], [98, 5]].slice(0, depth) });
+      }
+      return json(404, { error: 'not found' });
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// ---- Browser shells ----
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+// A page sandbox: window is the global object, as in a browser
+function page(document) {
+  const context = vm.createContext({
+    console: QUIET,
+    setTimeout,
+    clearTimeout,
+    fetch,
+    AbortController,
+    URL,
+    TextEncoder,
+    TextDecoder,
+    EventTarget,
+    CustomEvent,
+    localStorage: memoryStorage(),
+    document
+  });
+  context.window = context;
+  return context;
+}
+
+// Run the <script src> files an HTML page loads, resolved against the page
+function loadScripts(htmlFile, context) {
+  const html = fs.readFileSync(htmlFile, 'utf8');
+  const sources = Array.from(html.matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1]);
+  sources.forEach(src => {
+    const file = path.resolve(path.dirname(htmlFile), src);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  });
+  return html;
+}
+
+const NO_DOM = { getElementById: () => null, querySelector: () => null, addEventListener() {} };
+
+const RUNTIMES = {
+  // Reference: the CLI engine, services of a level running concurrently
+  async cli(spc) {
+    const engine = new SPCEngine({ cache: new MemoryCache(), historyStore: null, logger: QUIET });
+    return engine.load(spc).execute();
+  },
+
+  // deck-shell/index.html: its core, one tick
+  async 'deck-shell'(spc) {
+    const context = page(NO_DOM);
+    const html = loadScripts(path.join(ROOT, 'deck-shell/index.html'), context);
+    const construct = /const core = (new SPCCore\([\s\S]*?\));/.exec(html)[1];
+    const core = vm.runInContext(construct, context);
+    core.logger = QUIET;
+    return core.load(spc).execute();
+  },
+
+  // MicroService-OS/index.html: its engine class, every service run once in order
+  async 'microservice-os'(spc) {
+    const context = page(NO_DOM);
+    const html = loadScripts(path.join(ROOT, 'MicroService-OS/index.html'), context);
+    const source = /(class SPCEngine \{[\s\S]*?\n\})\n/.exec(html)[1];
+    const Engine = vm.runInContext(`(${source})`, context);
+
+    const engine = new Engine();
+    Object.entries(spc.services).forEach(([id, service]) => engine.registerService(id, service));
+    engine.globalState = spc.state;
+    engine.core.ruleSets = spc.ruleSets || {};
+    for (const id of new context.SPCCore().load(spc).executionOrder()) {
+      await engine.runService(id);
+    }
+    return engine.globalState;
+  },
+
+  async 'kern bytecode'(spc) {
+    const { BytecodeVM, bytecode } = await compiled(spc, 'bytecode');
+    return new BytecodeVM(bytecode).execute();
+  },
+
+  // The reusable VM running the bytecode the compiler embedded
+  async 'kern bytecode-vm'(spc) {
+    const BytecodeVM = require('../../KERN/src/runtime/bytecode-vm');
+    const { bytecode } = await compiled(spc, 'bytecode');
+    return new BytecodeVM(bytecode).execute();
+  },
+
+  async 'kern wasm'(spc) {
+    const CompiledSPC = await compiled(spc, 'wasm');
+    return new CompiledSPC().run();
+  },
+
+  // The standalone page runs on load; wait until it reports the outcome
+  async 'kern html'(spc) {
+    const html = await compile(spc, 'html');
+    const elements = {};
+    const context = page({
+      getElementById: id => elements[id] || (elements[id] = { textContent: '', className: '', innerHTML: '' }),
+      addEventListener() {}
+    });
+    Array.from(html.matchAll(/<script>([\s\S]*?)<\/script>/g), match => match[1])
+      .forEach((script, index) => vm.runInContext(script, context, { filename: `html-script-${index}` }));
+
+    for (let i = 0; i < 500 && !/^(Complete!|Error)/.test(elements.status.textContent); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.strictEqual(elements.status.textContent, 'Complete!');
+    return vm.runInContext('runtime.state', context);
+  }
+};
+
+// ---- KERN ----
+
+function compile(spc, target) {
+  const Compiler = require('../../KERN/src/compiler');
+  return new Compiler(spc, { target, baseDir: FIXTURES }).compile();
+}
+
+// Load generated Node output as a module, resolving its requires from KERN
+async function compiled(spc, target) {
+  const code = (await compile(spc, target)).replace(/^#!.*\n/, '');
+  const module = { exports: {} };
+  const factory = vm.runInThisContext(`(function (require, module, exports, console) {\n${code}\n})`, {
+    filename: `${spc.meta.name}.${target}.js`
+  });
+  factory(Module.createRequire(path.join(KERN, 'package.json')), module, module.exports, QUIET);
+  return module.exports;
+}
+
+// ---- Suite ----
+
+const kernInstalled = fs.existsSync(path.join(KERN, 'node_modules'));
+
+let server;
+let base;
+
+test.before(async () => {
+  server = await stubServer();
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const fixtureFile = file => path.join(FIXTURES, file);
+const readFixture = file => JSON.parse(fs.readFileSync(fixtureFile(file), 'utf8').split('http://stub').join(base));
+
+fs.readdirSync(FIXTURES).filter(file => file.endsWith('.spc.json')).sort().forEach(file => {
+  test(`${file} runs the same in every runtime`, async t => {
+    const expected = plain(await RUNTIMES.cli(readFixture(file)));
+    assert.ok(Object.keys(expected).length > Object.keys(readFixture(file).state).length, 'the fixture produces state');
+
+    for (const [name, run] of Object.entries(RUNTIMES)) {
+      if (name === 'cli') continue;
+      await t.test(name, { skip: name.startsWith('kern') && !kernInstalled && 'KERN dependencies are not installed' }, async () => {
+        assert.deepStrictEqual(plain(await run(readFixture(file))), expected);
+      });
+    }
+  });
+});
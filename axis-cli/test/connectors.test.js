@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { MemoryCache } = require('../../spc-cache');
+const SPCEngine = require('../src/engine');
+
+// Local stub API: every response is scripted per path, requests are counted
+// and a request the client gave up on is marked as aborted
+function stubServer(routes) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    server.hits[pathname] = (server.hits[pathname] || 0) + 1;
+    const route = routes[pathname];
+    if (!route) {
+      res.writeHead(404).end();
+      return;
+    }
+    route(req, res, server.hits[pathname]);
+  });
+  server.hits = {};
+  server.aborted = [];
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+const json = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+};
+
+// Engine with no disk cache, and backoff delays recorded instead of waited for
+function engineFor(services, env = {}) {
+  const delays = [];
+  const engine = new SPCEngine({
+    cache: new MemoryCache(),
+    historyStore: null,
+    env,
+    sleep: ms => {
+      delays.push(ms);
+      return Promise.resolve();
+    }
+  });
+  engine.load({ services, state: {} });
+  return { engine, delays };
+}
+
+let server;
+let base;
+
+test.before(async () => {
+  server = await stubServer({
+    // 503 twice, then the data
+    '/flaky': (req, res, hit) => (hit < 3 ? json(res, 503, { error: 'busy' }) : json(res, 200, { price: 42 })),
+    '/down': (req, res) => json(res, 500, { error: 'down' }),
+    '/missing': (req, res) => json(res, 404, { error: 'missing' }),
+    '/count': (req, res, hit) => json(res, 200, { hit }),
+    // Answers long after any test timeout
+    '/slow': (req, res) => {
+      const timer = setTimeout(() => json(res, 200, { late: true }), 2000);
+      res.on('close', () => {
+        clearTimeout(timer);
+        if (!res.writableEnded) server.aborted.push(req.url);
+      });
+    }
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('retries a retryOn status and records every attempt', async () => {
+  const { engine, delays } = engineFor({
+    prices: { type: 'connector', spec: { url: `${base}/flaky`, retries: 3, backoff: { strategy: 'exponential', delay: 100 } } }
+  });
+  const state = await engine.execute();
+
+  assert.deepStrictEqual(state.prices_data, { price: 42 });
+  assert.strictEqual(server.hits['/flaky'], 3);
+  assert.deepStrictEqual(
+    state.prices_attempts.map(({ attempt, ok, status }) => ({ attempt, ok, status })),
+    [
+      { attempt: 1, ok: false, status: 503 },
+      { attempt: 2, ok: false, status: 503 },
+      { attempt: 3, ok: true, status: 200 }
+    ]
+  );
+  assert.strictEqual(state.prices_attempts[0].error, 'HTTP 503');
+  assert.ok(state.prices_attempts.every(attempt => typeof attempt.ms === 'number'));
+  assert.deepStrictEqual(delays, [100, 200]);
+  assert.strictEqual(state.prices_error, undefined);
+});
+
+test('backoff delays follow the strategy and stop at maxDelay', async () => {
+  const { engine, delays } = engineFor({
+    linear: { type: 'connector', spec: { url: `${base}/down`, retries: 4, backoff: { strategy: 'linear', delay: 300, maxDelay: 1000 } } }
+  });
+  const state = await engine.execute();
+
+  assert.deepStrictEqual(delays, [300, 600, 900, 1000]);
+  assert.strictEqual(state.linear_attempts.length, 5);
+  assert.strictEqual(state.linear_error, 'HTTP 500 (after 5 attempts)');
+});
+
+test('does not retry a status outside retryOn', async () => {
+  const { engine, delays } = engineFor({
+    lookup: { type: 'connector', spec: { url: `${base}/missing`, retries: 3 } },
+    custom: { type: 'connector', spec: { url: `${base}/missing`, retries: 1, retryOn: [404], backoff: { delay: 10 } } }
+  });
+  const state = await engine.execute();
+
+  assert.strictEqual(state.lookup_error, 'HTTP 404');
+  assert.strictEqual(state.lookup_attempts.length, 1);
+  assert.strictEqual(state.custom_error, 'HTTP 404 (after 2 attempts)');
+  assert.deepStrictEqual(delays, [10]);
+});
+
+test('a timeout fails the attempt and aborts the request', async () => {
+  const { engine } = engineFor({
+    slow: { type: 'connector', spec: { url: `${base}/slow`, timeout: 50 } }
+  });
+  const started = Date.now();
+  const state = await engine.execute();
+
+  assert.ok(Date.now() - started < 1500, 'gave up before the response arrived');
+  assert.strictEqual(state.slow_error, 'Timeout after 50ms');
+  assert.deepStrictEqual(state.slow_attempts.map(({ ok, status }) => ({ ok, status })), [{ ok: false, status: null }]);
+
+  // The server sees the connection go away
+  for (let i = 0; i < 50 && server.aborted.length === 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.deepStrictEqual(server.aborted, ['/slow']);
+});
+
+test('secrets from env never reach recorded errors', async () => {
+  // A port nothing listens on: the network error quotes the full URL
+  const closed = await stubServer({});
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  const secret = 'sk-test/1234567890';
+  const { engine } = engineFor({
+    api: {
+      type: 'connector',
+      spec: { url: `http://127.0.0.1:${port}/v1?key={{env.API_KEY}}`, retries: 1, backoff: { delay: 1 } }
+    }
+  }, { API_KEY: secret });
+  const state = await engine.execute();
+
+  const recorded = JSON.stringify(state);
+  assert.ok(state.api_error.includes('key=***'), state.api_error);
+  assert.strictEqual(state.api_attempts.length, 2);
+  assert.ok(!recorded.includes(secret), recorded);
+  assert.ok(!recorded.includes(encodeURIComponent(secret)), recorded);
+});
+
+test('cache ttl is measured on the injected clock', async () => {
+  let now = Date.parse('2025-01-01T00:00:00Z');
+  const engine = new SPCEngine({ cache: new MemoryCache(), historyStore: null, clock: () => now });
+  engine.load({
+    services: { counter: { type: 'connector', spec: { url: `${base}/count`, cache: { ttl: 60000 } } } },
+    state: {}
+  });
+
+  let state = await engine.execute();
+  assert.deepStrictEqual(state.counter_data, { hit: 1 });
+  assert.strictEqual(state.counter_data_fetchedAt, now);
+
+  now += 59999;
+  state = await engine.execute();
+  assert.deepStrictEqual(state.counter_data, { hit: 1 });
+
+  now += 1;
+  state = await engine.execute();
+  assert.deepStrictEqual(state.counter_data, { hit: 2 });
+  assert.strictEqual(server.hits['/count'], 2);
+});
@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const AxisDecisionTable = require('../../axis-decision-table');
+const AxisRulesEngine = require('../../axis-rules');
+
+const AXIS = path.join(__dirname, '../bin/axis.js');
+
+// The README tables
+const PRICING = [
+  'tier,order.total,then discount,then label',
+  'gold,>= 100,0.2,Gold big',
+  'gold,-,0.1,Gold',
+  'silver,[50..100),0.05,-',
+  '"silver, bronze",>= 100,0.07,'
+].join('\n');
+
+const ELIGIBILITY = {
+  name: 'eligibility',
+  hitPolicy: 'unique',
+  inputs: [{ field: 'applicant.status', values: ['employed', 'self-employed', 'unemployed'] }, 'applicant.score'],
+  outputs: ['decision'],
+  rows: [
+    ['employed', '>= 700', 'approved'],
+    ['employed', '< 700', 'review'],
+    ['self-employed', '-', 'review'],
+    { 'applicant.status': 'unemployed', decision: 'rejected' }
+  ]
+};
+
+const VIP = ['employed', '>= 800', 'vip'];
+
+const compile = table => new AxisDecisionTable().compile(table);
+const run = (rules, input) => new AxisRulesEngine().apply(input, { rules }).output;
+
+test('a CSV table compiles to one priority-ordered rule per row', () => {
+  const { name, hitPolicy, rules } = compile(AxisDecisionTable.fromCSV(PRICING, { name: 'pricing' }));
+
+  assert.strictEqual(name, 'pricing');
+  assert.strictEqual(hitPolicy, 'first');
+  assert.deepStrictEqual(rules.map(rule => [rule.name, rule.priority]), [
+    ['pricing-row-1', 1], ['pricing-row-2', 2], ['pricing-row-3', 3], ['pricing-row-4', 4]
+  ]);
+  assert.deepStrictEqual(rules[2], {
+    name: 'pricing-row-3',
+    description: 'pricing row 3: tier = "silver", 50 <= order.total < 100',
+    priority: 3,
+    if: 'tier == "silver" && order.total >= 50 && order.total < 100',
+    then: { discount: 0.05 }
+  });
+  assert.strictEqual(rules[3].if, '(tier == "silver" || tier == "bronze") && order.total >= 100');
+  assert.deepStrictEqual(new AxisRulesEngine().validate({ rules }), []);
+});
+
+test('first: only the first matching row applies', () => {
+  const { rules } = compile(AxisDecisionTable.fromCSV(PRICING, { name: 'pricing' }));
+
+  // Row 2 is guarded by the row 1 it overlaps
+  assert.strictEqual(rules[1].if, 'tier == "gold" && !(tier == "gold" && order.total >= 100)');
+  assert.deepStrictEqual(run(rules, { tier: 'gold', order: { total: 150 } }), { tier: 'gold', order: { total: 150 }, discount: 0.2, label: 'Gold big' });
+  assert.deepStrictEqual(run(rules, { tier: 'gold', order: { total: 20 } }), { tier: 'gold', order: { total: 20 }, discount: 0.1, label: 'Gold' });
+  assert.strictEqual(run(rules, { tier: 'bronze', order: { total: 200 } }).discount, 0.07);
+  assert.strictEqual(run(rules, { tier: 'bronze', order: { total: 20 } }).discount, undefined);
+});
+
+test('gaps name the inputs no row matches', () => {
+  const { issues } = compile(AxisDecisionTable.fromCSV(PRICING, { name: 'pricing' }));
+
+  assert.deepStrictEqual(issues, [
+    { type: 'gap', severity: 'warning', rows: [], message: 'No row matches tier = "silver" and order.total < 50' },
+    { type: 'gap', severity: 'warning', rows: [], message: 'No row matches tier = "bronze" and order.total < 100' },
+    { type: 'gap', severity: 'warning', rows: [], message: 'No row matches tier not in ("gold", "silver", "bronze")' }
+  ]);
+});
+
+test('declared values close a field, so a table can have no gaps', () => {
+  const { rules, issues } = compile(ELIGIBILITY);
+
+  assert.deepStrictEqual(issues, []);
+  assert.deepStrictEqual(rules.map(rule => rule.if), [
+    'applicant.status == "employed" && applicant.score >= 700',
+    'applicant.status == "employed" && applicant.score < 700',
+    'applicant.status == "self-employed"',
+    'applicant.status == "unemployed"'
+  ]);
+  assert.strictEqual(run(rules, { applicant: { status: 'employed', score: 650 } }).decision, 'review');
+  assert.throws(() => compile({ ...ELIGIBILITY, rows: [['retired', '-', 'rejected']] }), /"retired" is not one of its values/);
+});
+
+test('unique: overlapping rows are an error', () => {
+  const { issues } = compile({ ...ELIGIBILITY, rows: [...ELIGIBILITY.rows, VIP] });
+
+  assert.deepStrictEqual(issues, [{
+    type: 'overlap',
+    severity: 'error',
+    rows: [1, 5],
+    message: 'Rows 1 and 5 both match applicant.status = "employed" and applicant.score >= 800; the unique hit policy allows one'
+  }]);
+});
+
+test('collect: every matching row applies, and conflicting overlaps warn', () => {
+  const { rules, issues } = compile({ ...ELIGIBILITY, hitPolicy: 'collect', rows: [...ELIGIBILITY.rows, VIP] });
+
+  assert.deepStrictEqual(issues, [{
+    type: 'overlap',
+    severity: 'warning',
+    rows: [1, 5],
+    message: 'Rows 1 and 5 both match applicant.status = "employed" and applicant.score >= 800 and write different decision; row 5 wins'
+  }]);
+  assert.strictEqual(rules[4].if, 'applicant.status == "employed" && applicant.score >= 800');
+  assert.strictEqual(run(rules, { applicant: { status: 'employed', score: 820 } }).decision, 'vip');
+
+  // Overlaps that agree, or write different fields, are fine
+  const tags = compile({
+    hitPolicy: 'collect',
+    inputs: ['score'],
+    outputs: ['tags.high', 'tags.top'],
+    rows: [['>= 700', true, '-'], ['>= 900', '-', true]]
+  });
+  assert.deepStrictEqual(tags.issues.filter(issue => issue.type === 'overlap'), []);
+  assert.deepStrictEqual(run(tags.rules, { score: 950 }).tags, { high: true, top: true });
+});
+
+test('unreachable rows are reported and left out', () => {
+  const { rules, issues } = compile({
+    name: 'levels',
+    inputs: [{ field: 'level', values: ['low', 'high'] }, 'amount'],
+    outputs: ['route'],
+    rows: [
+      ['-', '>= 0', 'auto'],
+      ['low', '[10..20]', 'manual'],
+      ['>= 5', '-', 'never'],
+      ['high', '< 0', 'refund']
+    ]
+  });
+
+  assert.deepStrictEqual(rules.map(rule => rule.name), ['levels-row-1', 'levels-row-4']);
+  assert.deepStrictEqual(issues.filter(issue => issue.type === 'unreachable'), [
+    { type: 'unreachable', severity: 'warning', rows: [2], message: 'Row 2 can never match: earlier rows take every input it matches' },
+    { type: 'unreachable', severity: 'warning', rows: [3], message: 'Row 3 can never match: no value of level passes ">= 5"' }
+  ]);
+});
+
+test('malformed tables are rejected with the table name', () => {
+  assert.throws(() => compile({ name: 'bad', hitPolicy: 'any', inputs: [], outputs: ['x'], rows: [] }),
+    { message: 'bad: unknown hit policy "any"; use first, unique, collect' });
+  assert.throws(() => compile({ name: 'bad', inputs: ['a'], outputs: [], rows: [] }), { message: 'bad: needs at least one output column' });
+  assert.throws(() => compile({ name: 'bad', inputs: ['a'], outputs: ['x'], rows: [['1']] }), { message: 'bad: row 1 has 1 cells, expected 2' });
+  assert.throws(() => compile({ name: 'bad', inputs: ['a'], outputs: ['x'], rows: [{ b: 1 }] }), { message: 'bad: row 1 has unknown column "b"' });
+  assert.throws(() => compile({ name: 'bad', inputs: ['a', 'a'], outputs: ['x'], rows: [] }), { message: 'bad: duplicate input column "a"' });
+  assert.throws(() => compile({ inputs: ['a'], outputs: ['x'], rows: [['>= many', 1]] }), /needs a number, got "many"/);
+});
+
+test('axis table compile writes the rules and reports issues on stderr', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axis-table-'));
+  const axis = (...args) => spawnSync(process.execPath, [AXIS, 'table', 'compile', ...args], {
+    cwd: dir, encoding: 'utf8', env: { ...process.env, FORCE_COLOR: '0' }
+  });
+  try {
+    fs.writeFileSync(path.join(dir, 'pricing.csv'), PRICING);
+    fs.writeFileSync(path.join(dir, 'eligibility.json'), JSON.stringify({ ...ELIGIBILITY, rows: [...ELIGIBILITY.rows, VIP] }));
+
+    const compiled = axis('pricing.csv', 'pricing.rules.json', '--priority', '100', '--group', 'decision');
+    assert.strictEqual(compiled.status, 0, compiled.stderr);
+    assert.match(compiled.stderr, /pricing\.csv \(pricing, hit policy first\)/);
+    assert.match(compiled.stderr, /No row matches tier = "silver" and order.total < 50/);
+    const { rules } = JSON.parse(fs.readFileSync(path.join(dir, 'pricing.rules.json'), 'utf8'));
+    assert.deepStrictEqual(rules.map(rule => [rule.priority, rule.group]), [[100, 'decision'], [101, 'decision'], [102, 'decision'], [103, 'decision']]);
+
+    assert.strictEqual(axis('pricing.csv', '--strict').status, 1, 'gaps fail with --strict');
+    const overlapping = axis('eligibility.json');
+    assert.strictEqual(overlapping.status, 1);
+    assert.match(overlapping.stderr, /Rows 1 and 5 both match/);
+    const collected = axis('eligibility.json', '--hit-policy', 'collect');
+    assert.strictEqual(collected.status, 0, collected.stderr);
+    assert.strictEqual(JSON.parse(collected.stdout).rules.length, 5);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
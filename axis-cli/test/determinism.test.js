@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const AxisRulesEngine = require('../../axis-rules');
+const SPCCore = require('../../spc-core');
+
+const AXIS = path.join(__dirname, '../bin/axis.js');
+
+const STAMP = {
+  rules: [{
+    name: 'stamp',
+    if: 'id == null',
+    then: { id: '{{uuid()}}', second: '{{uuid()}}', at: '{{now()}}', ms: '{{timestamp()}}' }
+  }]
+};
+
+const run = options => {
+  const result = new AxisRulesEngine().apply({}, STAMP, options);
+  return JSON.stringify({ output: result.output, audit: result.audit });
+};
+
+test('a fixed clock and seed give byte-identical output and audit trails', () => {
+  const options = { clock: '2025-01-01T00:00:00Z', seed: 42 };
+  assert.strictEqual(run(options), run(options));
+
+  const { output } = JSON.parse(run(options));
+  assert.strictEqual(output.at, '2025-01-01T00:00:00.000Z');
+  assert.strictEqual(output.ms, Date.parse('2025-01-01T00:00:00Z'));
+  assert.match(output.id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  assert.notStrictEqual(output.id, output.second, 'the sequence advances within a run');
+});
+
+test('the seed picks the sequence; a string seed works too', () => {
+  const ids = seed => JSON.parse(run({ clock: 0, seed })).output.id;
+  assert.notStrictEqual(ids(1), ids(2));
+  assert.strictEqual(ids('golden'), ids('golden'));
+  assert.notStrictEqual(ids('golden'), ids('silver'));
+});
+
+test('engine defaults apply to every run and restart the sequence each time', () => {
+  const engine = new AxisRulesEngine({ clock: () => 1000, seed: 7 });
+  const first = engine.apply({}, STAMP).output;
+  const second = engine.apply({}, STAMP).output;
+  assert.deepStrictEqual(first, second);
+  assert.strictEqual(first.ms, 1000);
+  assert.strictEqual(engine.apply({}, STAMP, { clock: 2000 }).output.ms, 2000, 'apply() options override the defaults');
+});
+
+test('without a clock the real time is used, and a bad clock is refused', () => {
+  const before = Date.now();
+  const { ms } = new AxisRulesEngine().apply({}, STAMP).output;
+  assert.ok(ms >= before && ms <= Date.now());
+  assert.throws(() => new AxisRulesEngine({ clock: 'yesterday' }), /Invalid clock: "yesterday"/);
+});
+
+test('SPCCore passes the clock and seed to its processors', async () => {
+  const spc = () => ({ services: { stamp: { type: 'processor', spec: { inputKey: 'blank', outputKey: 'stamped', transform: STAMP } } }, state: { blank: {} } });
+  const stamped = async () => (await new SPCCore({ clock: 0, seed: 'x' }).load(spc()).execute()).stamped;
+  assert.deepStrictEqual(await stamped(), await stamped());
+  assert.strictEqual((await stamped()).at, '1970-01-01T00:00:00.000Z');
+});
+
+test('axis apply --clock --seed is repeatable', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axis-determinism-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'rules.json'), JSON.stringify(STAMP));
+    fs.writeFileSync(path.join(dir, 'data.json'), '{}');
+    const apply = () => execFileSync(process.execPath, [AXIS, 'apply', 'rules.json', 'data.json', '--clock', '2025-01-01T00:00:00Z', '--seed', '42'], {
+      cwd: dir, stdio: 'pipe', encoding: 'utf8'
+    });
+    const output = apply();
+    assert.strictEqual(output, apply());
+    assert.strictEqual(JSON.parse(output).id, JSON.parse(run({ clock: '2025-01-01T00:00:00Z', seed: 42 })).output.id);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const SPCCore = require('../../spc-core');
+const AxisRulesEngine = require('../../axis-rules');
+
+const AXIS = path.join(__dirname, '../bin/axis.js');
+
+// x flips every iteration, so the rules never settle
+const OSCILLATING = {
+  state: { switch: { x: 0 } },
+  services: {
+    flip: { type: 'processor', spec: { inputKey: 'switch', transform: [{ name: 'flip', if: 'x == 0', then: { x: 1 }, else: { x: 0 } }] } }
+  }
+};
+
+const copy = value => JSON.parse(JSON.stringify(value));
+
+test('execute() rejects with the ConvergenceError of a strict run', async () => {
+  await assert.rejects(new SPCCore({ strict: true }).load(copy(OSCILLATING)).execute(), AxisRulesEngine.ConvergenceError);
+  const state = await new SPCCore().load(copy(OSCILLATING)).execute();
+  assert.deepStrictEqual(state.flip_output, { x: 0 });
+});
+
+test('axis run --strict and strict axis test cases fail on rules that never settle', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axis-strict-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'osc.spc.json'), JSON.stringify(OSCILLATING));
+    fs.writeFileSync(path.join(dir, 'osc.test.json'), JSON.stringify({ spc: 'osc.spc.json', strict: true, cases: [{ name: 'strict' }] }));
+    const axis = (...args) => execFileSync(process.execPath, [AXIS, ...args], { cwd: dir, stdio: 'pipe', encoding: 'utf8' });
+
+    assert.throws(() => axis('run', 'osc.spc.json', '--strict'), error => error.status === 1 && /Rules oscillate/.test(error.stderr));
+    assert.throws(() => axis('test', 'osc.test.json'), error => error.status === 1 && /0 passed, 1 failed/.test(error.stdout));
+    assert.doesNotThrow(() => axis('run', 'osc.spc.json'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
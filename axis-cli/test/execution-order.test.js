@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryCache } = require('../../spc-cache');
+const SPCEngine = require('../src/engine');
+
+const engineFor = (services, state = {}) => new SPCEngine({ cache: new MemoryCache(), historyStore: null })
+  .load({ services, state });
+
+const processor = (inputKey, outputKey, then) => ({
+  type: 'processor',
+  spec: { inputKey, outputKey, transform: [{ name: outputKey, if: true, then }] }
+});
+
+test('a processor runs after the processor whose output it reads, whatever the declaration order', async () => {
+  const engine = engineFor({
+    total: processor('subtotal', 'total', { doubled: '{{plus * 2}}' }),
+    subtotal: processor('price', 'subtotal', { plus: '{{value + 1}}' })
+  }, { price: { value: 4 } });
+
+  assert.deepStrictEqual(engine.executionOrder(), ['subtotal', 'total']);
+  const state = await engine.execute();
+  assert.strictEqual(state.total.doubled, 10);
+});
+
+test('services that do not depend on each other share a level', () => {
+  const engine = engineFor({
+    report: { type: 'monitor', spec: { checks: [{ name: 'total', dataKey: 'total', expression: 'data.value' }] } },
+    total: processor('subtotal', 'total', { value: 1 }),
+    tax: processor('price', 'tax', { value: 1 }),
+    subtotal: processor('price', 'subtotal', { value: 1 })
+  });
+
+  assert.deepStrictEqual(engine.executionLevels(), [['tax', 'subtotal'], ['total'], ['report']]);
+});
+
+test('a cycle is reported with the services that form it', async () => {
+  const engine = engineFor({
+    a: processor('c_out', 'a_out', { x: 1 }),
+    b: processor('a_out', 'b_out', { x: 1 }),
+    c: processor('b_out', 'c_out', { x: 1 }),
+    d: processor('a_out', 'd_out', { x: 1 })
+  });
+
+  assert.throws(() => engine.executionOrder(), /^Error: Circular dependency: a → b → c → a$/);
+  await assert.rejects(engine.execute(), /Circular dependency: /);
+});
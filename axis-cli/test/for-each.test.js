@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AxisRulesEngine = require('../../axis-rules');
+
+test('forEach exposes the position as $index without hiding a state field named index', () => {
+  const result = new AxisRulesEngine().apply({ index: 'catalog', items: [{ sku: 'a' }, { sku: 'b' }] }, {
+    rules: [{
+      name: 'label',
+      forEach: 'items',
+      if: 'index == "catalog"',
+      then: { 'item.position': '{{$index}}', 'item.source': '{{index}}' }
+    }]
+  });
+  assert.deepStrictEqual(result.output.items, [
+    { sku: 'a', position: 0, source: 'catalog' },
+    { sku: 'b', position: 1, source: 'catalog' }
+  ]);
+});
+
+test('validate() rejects $index as the element name', () => {
+  const errors = new AxisRulesEngine().validate({
+    rules: [{ name: 'each', forEach: 'items', as: '$index', then: { seen: true } }]
+  });
+  assert.ok(errors.some(error => error.includes('"as" cannot be "$index"')), errors.join('; '));
+});
+
+const ORDER = {
+  order: {
+    items: [
+      { sku: 'a', price: 10, qty: 2 },
+      { sku: 'b', price: 5, qty: 0 },
+      { sku: 'c', price: 2.5, qty: 12 }
+    ]
+  }
+};
+
+test('forEach applies a rule to every element and writes through item', () => {
+  const result = new AxisRulesEngine().apply(ORDER, {
+    rules: [
+      { name: 'line-total', forEach: 'order.items', as: 'line', if: 'line.qty > 0', then: { 'line.total': '{{line.price * line.qty}}' } },
+      { name: 'order-total', if: 'order.total == null', then: { 'order.total': "{{sum(order.items, 'total')}}" } }
+    ]
+  });
+
+  assert.deepStrictEqual(result.output.order.items.map(item => item.total), [20, undefined, 30]);
+  assert.strictEqual(result.output.order.total, 50);
+  assert.deepStrictEqual(result.audit
+    .filter(entry => entry.event === 'rule' && entry.rule === 'line-total' && entry.changes.length > 0)
+    .map(entry => ({ index: entry.index, path: entry.changes[0].path })), [
+    { index: 0, path: 'order.items[0].total' },
+    { index: 2, path: 'order.items[2].total' }
+  ]);
+  assert.ok(!('line' in result.output), 'the element name is not written to state');
+});
+
+test('indexed paths read and write array elements, creating missing arrays', () => {
+  const result = new AxisRulesEngine().apply(ORDER, {
+    rules: [
+      { name: 'first', if: 'order.items[0].sku == "a"', then: { 'order.items[1].qty': 1, 'shipping[0].carrier': 'ups' } }
+    ]
+  });
+
+  assert.strictEqual(result.output.order.items[1].qty, 1);
+  assert.deepStrictEqual(result.output.shipping, [{ carrier: 'ups' }]);
+  assert.deepStrictEqual(ORDER.order.items[1].qty, 0, 'the input is not mutated');
+});
+
+test('aggregates work in conditions and templates', () => {
+  const result = new AxisRulesEngine().apply(ORDER, {
+    rules: [{
+      name: 'summary',
+      if: "count(order.items, 'qty > 0') == 2 && max(order.items, 'price') == 10",
+      then: {
+        'summary.units': "{{sum(order.items, 'qty')}}",
+        'summary.lines': '{{count(order.items)}}',
+        'summary.avgPrice': "{{avg(order.items, 'price')}}",
+        'summary.cheapest': "{{min(order.items, 'price')}}",
+        'summary.bulk': "{{filter(order.items, 'qty >= 10')[0].sku}}"
+      }
+    }]
+  });
+
+  assert.deepStrictEqual(result.output.summary, { units: 14, lines: 3, avgPrice: 17.5 / 3, cheapest: 2.5, bulk: 'c' });
+});
+
+test('forEach over a missing or non-array path does nothing', () => {
+  const result = new AxisRulesEngine().apply({ order: { items: 'none' } }, {
+    rules: [{ name: 'each', forEach: 'order.items', then: { 'item.seen': true } }, { name: 'gone', forEach: 'missing', then: { 'item.seen': true } }]
+  });
+  assert.deepStrictEqual(result.output, { order: { items: 'none' } });
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { MemoryCache } = require('../../spc-cache');
+const AxisRulesEngine = require('../../axis-rules');
+const SPCEngine = require('../src/engine');
+
+const AXIS = path.join(__dirname, '../bin/axis.js');
+
+// The README template: a prefix the includer must pass, a threshold with a default
+const ELIGIBILITY = {
+  params: { prefix: null, threshold: 500 },
+  rules: [
+    { name: 'min-score', if: '${prefix}.score >= ${threshold}', then: { '${prefix}.eligible': true, '${prefix}.threshold': '${threshold}' } }
+  ]
+};
+
+// Rule files held in memory, by absolute path
+function filesLoader(files) {
+  const loads = [];
+  return {
+    loads,
+    resolve: (ref, from) => path.posix.resolve(from ? path.posix.dirname(from) : '/rules', ref),
+    load: location => {
+      loads.push(location);
+      if (!files[location]) throw new Error(`no such file: ${location}`);
+      return files[location];
+    }
+  };
+}
+
+test('an include with as and with namespaces the rules and fills parameters', async () => {
+  const loader = filesLoader({ '/rules/eligibility.json': ELIGIBILITY });
+  const config = await AxisRulesEngine.expand({
+    max_iterations: 5,
+    include: [
+      { from: './eligibility.json', as: 'loyalty', with: { prefix: 'customer', threshold: 700 } },
+      { from: './eligibility.json', as: 'partner', with: { prefix: 'partner' } }
+    ],
+    rules: [{ name: 'own', then: { checked: true } }]
+  }, loader);
+
+  assert.deepStrictEqual(config, {
+    max_iterations: 5,
+    rules: [
+      { name: 'loyalty/min-score', if: 'customer.score >= 700', then: { 'customer.eligible': true, 'customer.threshold': 700 } },
+      { name: 'partner/min-score', if: 'partner.score >= 500', then: { 'partner.eligible': true, 'partner.threshold': 500 } },
+      { name: 'own', then: { checked: true } }
+    ]
+  });
+  assert.deepStrictEqual(new AxisRulesEngine().validate(config), []);
+
+  const { output } = new AxisRulesEngine().apply({ customer: { score: 650 }, partner: { score: 650 } }, config);
+  assert.strictEqual(output.customer.eligible, undefined);
+  assert.strictEqual(output.partner.eligible, true);
+});
+
+test('registry names, a declared namespace and nested includes', async () => {
+  const loader = filesLoader({
+    '/shared/base.json': { namespace: 'base', include: ['./checks/inner.json'], rules: [{ name: 'outer', then: { outer: true } }] },
+    '/shared/checks/inner.json': { rules: [{ name: 'inner', then: { inner: true } }] }
+  });
+  const config = await AxisRulesEngine.expand({
+    include: ['base', 'inline'],
+    rules: []
+  }, {
+    ...loader,
+    registry: { base: '/shared/base.json', inline: { rules: [{ name: 'inline', then: { inline: true } }] } }
+  });
+
+  // Nested includes take the namespace of the file that included them
+  assert.deepStrictEqual(config.rules.map(rule => rule.name), ['base/inner', 'base/outer', 'inline']);
+  assert.deepStrictEqual(loader.loads, ['/shared/base.json', '/shared/checks/inner.json']);
+});
+
+test('expand reports unknown sets and parameters, missing parameters and cycles', async () => {
+  const loader = filesLoader({
+    '/rules/eligibility.json': ELIGIBILITY,
+    '/rules/a.json': { include: ['./b.json'], rules: [] },
+    '/rules/b.json': { include: ['./a.json'], rules: [] },
+    '/rules/typo.json': { rules: [{ name: 'typo', if: '${missing} > 1', then: { x: 1 } }], params: {} }
+  });
+  const expand = config => AxisRulesEngine.expand(config, loader);
+
+  await assert.rejects(expand({ include: ['nowhere'] }), /unknown rule set "nowhere"; include a relative path or a registered name/);
+  await assert.rejects(expand({ include: [{ from: './eligibility.json' }] }), /eligibility\.json: parameter "prefix" is required/);
+  await assert.rejects(
+    expand({ include: [{ from: './eligibility.json', with: { prefix: 'c', limit: 1 } }] }),
+    /eligibility\.json: unknown parameter "limit"/
+  );
+  await assert.rejects(expand({ include: ['./typo.json'] }), /typo\.json: unknown parameter "\$\{missing\}"/);
+  await assert.rejects(
+    AxisRulesEngine.expand({ include: ['./b.json'] }, { ...loader, from: '/rules/a.json' }),
+    { message: 'Include cycle: /rules/a.json → /rules/b.json → /rules/a.json' }
+  );
+  await assert.rejects(AxisRulesEngine.expand({ include: ['./a.json'] }), /expand\(\) needs a resolve function/);
+});
+
+test('a configuration without include is returned as is', async () => {
+  const config = { rules: [{ name: 'plain', then: { x: 1 } }] };
+  assert.strictEqual(await AxisRulesEngine.expand(config), config);
+});
+
+test('apply and validate refuse an unexpanded include', () => {
+  const config = { include: ['shared'], rules: [] };
+  assert.throws(() => new AxisRulesEngine().apply({}, config), /unexpanded "include"; await AxisRulesEngine.expand\(\) first/);
+  assert.ok(new AxisRulesEngine().validate(config).some(error => /Unexpanded "include"/.test(error)));
+});
+
+test('SPCCore expands service rules from the document ruleSets on execute', async () => {
+  const engine = new SPCEngine({ cache: new MemoryCache(), historyStore: null });
+  const state = await engine.load({
+    ruleSets: { eligibility: ELIGIBILITY },
+    services: {
+      check: {
+        type: 'processor',
+        spec: {
+          inputKey: 'customer',
+          outputKey: 'checked',
+          transform: { include: [{ from: 'eligibility', as: 'loyalty', with: { prefix: 'me', threshold: 700 } }], rules: [] }
+        }
+      }
+    },
+    state: { customer: { me: { score: 720 } } }
+  }).execute();
+
+  assert.deepStrictEqual(state.checked, { me: { score: 720, eligible: true, threshold: 700 } });
+});
+
+test('axis apply reads included files relative to the rules file and names from --registry', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axis-include-'));
+  try {
+    fs.mkdirSync(path.join(dir, 'rules'));
+    fs.writeFileSync(path.join(dir, 'rules/eligibility.json'), JSON.stringify(ELIGIBILITY));
+    fs.writeFileSync(path.join(dir, 'rules/flags.json'), JSON.stringify({ rules: [{ name: 'flag', then: { flagged: true } }] }));
+    fs.writeFileSync(path.join(dir, 'registry.json'), JSON.stringify({ flags: 'rules/flags.json' }));
+    fs.writeFileSync(path.join(dir, 'main.json'), JSON.stringify({
+      include: [{ from: './rules/eligibility.json', as: 'loyalty', with: { prefix: 'customer' } }, 'flags'],
+      rules: []
+    }));
+    fs.writeFileSync(path.join(dir, 'data.json'), JSON.stringify({ customer: { score: 600 } }));
+
+    const output = execFileSync(process.execPath, [AXIS, 'apply', 'main.json', 'data.json', '--registry', 'registry.json'], {
+      cwd: dir, stdio: 'pipe', encoding: 'utf8', env: { ...process.env, FORCE_COLOR: '0' }
+    });
+    assert.deepStrictEqual(JSON.parse(output), { customer: { score: 600, eligible: true, threshold: 500 }, flagged: true });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const SPCCore = require('../../spc-core');
+const SPCEngine = require('../src/engine');
+
+const MONITOR = {
+  type: 'monitor',
+  spec: {
+    checks: [{ name: 'price', dataKey: 'quote', expression: 'data.price' }],
+    thresholds: { price: { above: 100 } },
+    history: { size: 5 },
+    alerting: { sinks: [{ type: 'capture' }] }
+  }
+};
+
+function monitored(clock) {
+  const events = [];
+  const core = new SPCCore({ clock, sinks: { capture: (sink, event) => { events.push(event); } } });
+  core.load({ services: { watch: MONITOR }, state: { quote: { price: 150 } } });
+  return { core, events };
+}
+
+test('monitor history and transitions take their time from the clock option', async () => {
+  const { core, events } = monitored('2025-01-01T00:00:00Z');
+  const state = await core.execute();
+
+  const at = Date.parse('2025-01-01T00:00:00Z');
+  assert.deepStrictEqual(state.watch_history, { price: [{ at, value: 150 }] });
+  assert.strictEqual(state.watch_monitoring.price.since, '2025-01-01T00:00:00.000Z');
+  assert.deepStrictEqual(events.map(event => event.at), ['2025-01-01T00:00:00.000Z']);
+});
+
+test('a clock function is read on every run', async () => {
+  let time = Date.parse('2025-01-01T00:00:00Z');
+  const { core } = monitored(() => time);
+  await core.execute();
+  time += 60000;
+  core.state.quote = { price: 50 };
+  const state = await core.execute();
+
+  assert.deepStrictEqual(state.watch_history.price.map(entry => entry.at), [time - 60000, time]);
+  assert.strictEqual(state.watch_monitoring.price.since, '2025-01-01T00:01:00.000Z');
+  assert.strictEqual(state.watch_monitoring.price.previous, 'critical');
+});
+
+test('a new status must hold for the alerting window before it replaces the current one', async () => {
+  const events = [];
+  const core = new SPCCore({ sinks: { capture: (sink, event) => { events.push(event); } } });
+  core.load({
+    services: { watch: { ...MONITOR, spec: { ...MONITOR.spec, history: undefined, alerting: { for: 3, sinks: [{ type: 'capture' }] } } } },
+    state: { quote: { price: 50 } }
+  });
+  const tick = async price => {
+    core.state.quote = { price };
+    return (await core.execute()).watch_monitoring.price;
+  };
+
+  assert.strictEqual((await tick(50)).status, 'ok');
+  assert.deepStrictEqual(events, [], 'a healthy first observation is not an alert');
+
+  assert.deepStrictEqual((await tick(150)).pending, { status: 'critical', count: 1, for: 3 });
+  assert.strictEqual((await tick(150)).status, 'ok');
+  await tick(50);
+  assert.strictEqual((await tick(150)).pending.count, 1, 'an interruption restarts the window');
+  await tick(150);
+  const settled = await tick(150);
+
+  assert.strictEqual(settled.status, 'critical');
+  assert.strictEqual(settled.previous, 'ok');
+  assert.strictEqual(settled.pending, undefined);
+  assert.deepStrictEqual(events.map(({ monitor, check, from, to, value }) => ({ monitor, check, from, to, value })), [
+    { monitor: 'watch', check: 'price', from: 'ok', to: 'critical', value: 150 }
+  ]);
+});
+
+test('transitions reach the stdout, webhook and file sinks, and a failing sink never stops the run', async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.url === '/alerts') received.push(JSON.parse(body));
+      res.writeHead(req.url === '/alerts' ? 204 : 500).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axis-alerts-'));
+  const logged = [];
+  const warned = [];
+
+  try {
+    const engine = new SPCEngine({
+      historyStore: null,
+      baseDir: dir,
+      clock: '2025-01-01T00:00:00Z',
+      logger: { log: line => logged.push(line), info() {}, warn: line => warned.push(line), error() {} }
+    });
+    engine.load({
+      services: {
+        watch: {
+          ...MONITOR,
+          spec: {
+            ...MONITOR.spec,
+            history: undefined,
+            alerting: {
+              sinks: [
+                { type: 'stdout' },
+                { type: 'webhook', url: `${base}/alerts` },
+                { type: 'file', path: 'logs/alerts.jsonl' },
+                { type: 'webhook', url: `${base}/broken` },
+                { type: 'pager' }
+              ]
+            }
+          }
+        }
+      },
+      state: { quote: { price: 150 } }
+    });
+    const state = await engine.execute();
+
+    const event = { monitor: 'watch', check: 'price', from: null, to: 'critical', value: 150, at: '2025-01-01T00:00:00.000Z' };
+    assert.strictEqual(state.watch_monitoring.price.status, 'critical');
+    assert.deepStrictEqual(logged.map(line => JSON.parse(line)), [event]);
+    assert.deepStrictEqual(received, [event]);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'logs/alerts.jsonl'), 'utf8'), `${JSON.stringify(event)}\n`);
+    assert.deepStrictEqual(warned.sort(), [
+      'Alert sink "pager" failed for watch/price: unsupported sink type',
+      'Alert sink "webhook" failed for watch/price: HTTP 500'
+    ]);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the classic cutoffs map a value to ok, warning or critical', () => {
+  const core = new SPCCore();
+  const threshold = { warnAbove: 80, above: 95, warnBelow: 10, below: 5 };
+  assert.deepStrictEqual([50, 80, 95, 10, 5].map(value => core.evaluateThreshold(value, threshold)),
+    ['ok', 'warning', 'critical', 'warning', 'critical']);
+  assert.strictEqual(core.evaluateThreshold(70, { warning: 70, critical: 90 }), 'warning');
+});
+
+test('levels match ranges, equality, lists and expressions, first match first', () => {
+  const core = new SPCCore();
+  core.state = { baseline: 100, maintenance: true };
+  const threshold = {
+    levels: [
+      { status: 'down', min: '{{baseline * 3}}' },
+      { status: 'slow', min: '{{baseline * 1.5}}', max: '{{baseline * 3}}' },
+      { status: 'down', in: ['dead', 'unreachable'] },
+      { status: 'slow', equals: 'degraded' },
+      { status: 'paused', when: "maintenance && value == 'stopped'" }
+    ],
+    default: 'up'
+  };
+  const status = value => core.evaluateThreshold(value, threshold, { healthy: 'up' });
+
+  assert.deepStrictEqual([300, 299, 150, 149, 'dead', 'degraded', 'stopped', 'fine'].map(status),
+    ['down', 'slow', 'slow', 'up', 'down', 'slow', 'paused', 'up']);
+
+  core.state.baseline = 200;
+  assert.strictEqual(status(299), 'up', 'bounds follow the state');
+  core.state.maintenance = false;
+  assert.strictEqual(status('stopped'), 'up');
+});
+
+test('a level whose bound cannot be computed does not match', () => {
+  const core = new SPCCore();
+  const threshold = { levels: [{ status: 'high', min: '{{baseline.ms * 2}}' }] };
+  assert.strictEqual(core.evaluateThreshold(1000, threshold, { healthy: 'fine' }), 'fine');
+});
+
+test('a custom status set names the healthy status and the display severity', async () => {
+  const core = new SPCCore();
+  core.load({
+    services: {
+      baseline: { type: 'processor', spec: { inputKey: 'samples', outputKey: 'baseline', transform: [{ name: 'avg', if: true, then: { ms: '{{avg(values)}}' } }] } },
+      health: {
+        type: 'monitor',
+        spec: {
+          statuses: ['up', 'slow', 'down'],
+          checks: [{ name: 'latency', dataKey: 'latency', expression: 'data' }],
+          thresholds: { latency: { levels: [{ status: 'slow', min: '{{baseline.ms * 1.5}}' }] } }
+        }
+      }
+    },
+    state: { samples: { values: [90, 110] }, latency: 120 }
+  });
+
+  assert.deepStrictEqual(core.executionOrder(), ['baseline', 'health'], 'the monitor runs after the keys its bounds read');
+  const state = await core.execute();
+  assert.strictEqual(state.health_monitoring.latency.status, 'up');
+  assert.deepStrictEqual(['up', 'slow', 'down', 'other'].map(status => core.severityOf(status, ['up', 'slow', 'down'])),
+    ['ok', 'warning', 'critical', 'critical']);
+  assert.strictEqual(core.severityOf('warning'), 'warning');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { MemoryCache } = require('../../spc-cache');
+const SPCEngine = require('../src/engine');
+
+const engineFor = (services, state = {}) => new SPCEngine({ cache: new MemoryCache(), historyStore: null })
+  .load({ services, state });
+
+const SERVICES = {
+  split: {
+    type: 'processor',
+    spec: {
+      inputs: { users: 'user_data', limits: 'quota' },
+      outputs: { active: 'active_users', overQuota: 'over_quota' },
+      transform: [{ name: 'split', if: 'users.count > 0', then: { active: '{{users.count}}', overQuota: '{{users.count > limits.max}}' } }]
+    }
+  },
+  fetch: { type: 'processor', spec: { inputKey: 'raw', outputKey: 'user_data', transform: [{ name: 'count', if: true, then: { count: '{{length}}' } }] } }
+};
+
+test('a processor reads each declared input by name and writes each output to its own key', async () => {
+  const state = await engineFor(SERVICES, { raw: { length: 3 }, quota: { max: 2 } }).execute();
+
+  assert.strictEqual(state.active_users, 3);
+  assert.strictEqual(state.over_quota, true);
+  assert.ok(!('split_output' in state), 'outputs without outputKey write no <id>_output');
+});
+
+test('an inputs array names each input after its state key', async () => {
+  const state = await engineFor({
+    sum: {
+      type: 'processor',
+      spec: { inputs: ['a', 'b'], outputKey: 'sum', transform: [{ name: 'sum', if: true, then: { total: '{{a + b}}' } }] }
+    }
+  }, { a: 2, b: 5 }).execute();
+
+  assert.deepStrictEqual(state.sum, { a: 2, b: 5, total: 7 });
+});
+
+test('a processor waits for every input', async () => {
+  const state = await engineFor({ split: SERVICES.split }, { user_data: { count: 3 } }).execute();
+  assert.ok(!('active_users' in state));
+});
+
+test('inputs and outputs order services in the runtime and in the compiler', { skip: !fs.existsSync(path.resolve(__dirname, '../../KERN/node_modules')) && 'KERN dependencies are not installed' }, () => {
+  const Compiler = require('../../KERN/src/compiler');
+  const report = {
+    type: 'monitor',
+    spec: { checks: [{ name: 'quota', dataKey: 'over_quota', expression: 'data' }] }
+  };
+  const services = { report, ...SERVICES };
+  const graph = { report: ['split'], split: ['fetch'], fetch: [] };
+
+  assert.deepStrictEqual(engineFor(services).buildDependencyGraph(), graph);
+  assert.deepStrictEqual(new Compiler({ services, state: {} }, { target: 'bytecode' }).buildDependencyGraph(), graph);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const AxisRulesEngine = require('../../axis-rules');
+
+const AXIS = path.join(__dirname, '../bin/axis.js');
+
+// Five firings in iteration 1; iteration 2 settles
+const ORDER_RULES = {
+  rules: [
+    { name: 'line', forEach: 'order.items', as: 'line', if: 'line.total == null', then: { 'line.total': '{{line.qty * line.price}}' } },
+    { name: 'sum', if: 'order.items[1].total != null && order.total == null', then: { 'order.total': "{{sum(order.items, 'total')}}" } },
+    { name: 'ship', if: 'order.total >= 10', then: { shipping: 'free' }, else: { shipping: 'paid' } }
+  ]
+};
+const ORDER = { order: { items: [{ qty: 2, price: 5 }, { qty: 1, price: 3 }] } };
+
+test('a recording holds the input and the state after every firing', () => {
+  const replay = new AxisRulesEngine().replay(ORDER, ORDER_RULES);
+
+  assert.strictEqual(replay.iterations, 2);
+  assert.deepStrictEqual(replay.frames.map(frame => [frame.iteration, frame.rule, frame.index]), [
+    [0, null, undefined], [1, 'line', 0], [1, 'line', 1], [1, 'sum', undefined], [1, 'ship', undefined], [2, 'ship', undefined]
+  ]);
+  assert.deepStrictEqual(replay.state, ORDER);
+  assert.deepStrictEqual(replay.frames[3].changes, [{ path: 'order.total', before: undefined, after: 13 }]);
+  assert.deepStrictEqual(replay.frames[5].state, replay.result.output);
+  assert.throws(() => new AxisRulesEngine.Replay(new AxisRulesEngine().apply(ORDER, ORDER_RULES)), /apply with \{ record: true \}/);
+});
+
+test('step, back, goto and seek move through the recording', () => {
+  const replay = new AxisRulesEngine().replay(ORDER, ORDER_RULES);
+
+  assert.strictEqual(replay.step(2).rule, 'line');
+  assert.strictEqual(replay.position, 2);
+  assert.strictEqual(replay.state.order.items[1].total, 3);
+  assert.strictEqual(replay.state.order.total, undefined);
+  assert.strictEqual(replay.back().index, 0);
+
+  // Moves stop at either end
+  assert.strictEqual(replay.step(100), replay.frames[5]);
+  assert.strictEqual(replay.back(100), replay.frames[0]);
+  assert.strictEqual(replay.seek(-1), replay.frames[0]);
+
+  // goto lands on the last firing of an iteration
+  assert.strictEqual(replay.goto(1), replay.frames[4]);
+  assert.strictEqual(replay.state.shipping, 'free');
+  assert.strictEqual(replay.goto(2), replay.frames[5]);
+  assert.strictEqual(replay.goto(0), replay.frames[0]);
+  [3, -1, 1.5, NaN].forEach(iteration => {
+    assert.throws(() => replay.goto(iteration), { name: 'RangeError', message: 'Iteration must be between 0 and 2' });
+  });
+});
+
+test('why() answers for the current frame, including forEach elements', () => {
+  const replay = new AxisRulesEngine().replay(ORDER, ORDER_RULES);
+
+  replay.seek(3);
+  const total = replay.why('order.total');
+  assert.deepStrictEqual([total.rule, total.frame, total.iteration, total.value], ['sum', 3, 1, 13]);
+  const element = replay.why('order.items[1]');
+  assert.deepStrictEqual([element.rule, element.index, element.path], ['line', 1, 'order.items[1].total']);
+  assert.strictEqual(replay.why('shipping'), null);
+
+  replay.step();
+  assert.deepStrictEqual([replay.why('shipping').rule, replay.why('shipping').branch], ['ship', 'then']);
+});
+
+// Run the REPL, typing each command at the next prompt; resolves with everything it printed
+function repl(cwd, commands) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [AXIS, 'repl'], { cwd, env: { ...process.env, FORCE_COLOR: '0' } });
+    const pending = [...commands, 'exit'];
+    let output = '';
+    let prompts = 0;
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      const seen = output.split('axis> ').length - 1;
+      for (; prompts < seen && pending.length > 0; prompts++) {
+        const command = pending.shift();
+        output += `${command}\n`;
+        child.stdin.write(`${command}\n`);
+      }
+    });
+    child.on('error', reject);
+    child.on('close', code => (code === 0 ? resolve(output) : reject(new Error(`repl exited with ${code}:\n${output}`))));
+  });
+}
+
+test('the REPL traces a rules file and steps through it', { timeout: 20000 }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axis-replay-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'rules.json'), JSON.stringify(ORDER_RULES));
+    fs.writeFileSync(path.join(dir, 'data.json'), JSON.stringify(ORDER));
+
+    const output = await repl(dir, [
+      'step',
+      'trace rules.json data.json',
+      'step 2',
+      'back',
+      'goto 1',
+      'why order.total',
+      'why order',
+      'goto 0',
+      'why shipping',
+      'goto 9'
+    ]);
+
+    [
+      'Error: Nothing traced yet; use trace <processor> first',
+      'Recorded 5 rule firing(s) over 2 iteration(s)\n[0/5] input',
+      'step 2\n[2/5] iteration 1 · line [1]\n  order.items[1].total: (unset) → 3',
+      'back\n[1/5] iteration 1 · line [0]\n  order.items[0].total: (unset) → 10',
+      'goto 1\n[4/5] iteration 1 · ship\n  shipping: (unset) → "free"',
+      'why order.total\norder.total = 13 ← sum in iteration 1 [frame 3]',
+      'why order\norder = {"items":[{"qty":2,"price":5,"total":10},{"qty":1,"price":3,"total":3}],"total":13} ← sum in iteration 1 [frame 3, via order.total]',
+      'why shipping\nshipping = (unset) (not set yet)',
+      'goto 9\nError: Iteration must be between 0 and 2'
+    ].forEach(expected => assert.ok(output.includes(expected), `missing:\n${expected}\n\nin:\n${output}`));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { MemoryCache } = require('../../spc-cache');
+const SPCEngine = require('../src/engine');
+
+let dir;
+
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axis-sources-'));
+  const write = (file, text) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), text);
+  };
+  write('orders.json', JSON.stringify({ total: 3, open: 1 }));
+  write('events.ndjson', '{"id":1}\n\n{"id":2}\n');
+  write('prices.csv', 'sku,price,note\r\na1,9.5,"cheap, cheerful"\nb2,12,"said ""hi"""\n');
+  write('logs/a.json', '{"day":1}');
+  write('logs/2025/b.json', '{"day":2}');
+  write('logs/readme.txt', 'not data');
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const run = (services, state = {}) => new SPCEngine({ cache: new MemoryCache(), historyStore: null, baseDir: dir })
+  .load({ services, state })
+  .execute();
+
+const connector = (source, extra = {}) => ({ type: 'connector', spec: { source, ...extra } });
+
+test('file sources read JSON, NDJSON and CSV relative to the SPC file', async () => {
+  const state = await run({
+    orders: connector({ type: 'file', path: 'orders.json' }),
+    events: connector({ type: 'file', path: 'events.ndjson' }),
+    prices: connector({ type: 'file', path: 'prices.csv' }, { outputKey: 'prices' })
+  });
+
+  assert.deepStrictEqual(state.orders_data, { total: 3, open: 1 });
+  assert.deepStrictEqual(state.events_data, [{ id: 1 }, { id: 2 }]);
+  assert.deepStrictEqual(state.prices, [
+    { sku: 'a1', price: 9.5, note: 'cheap, cheerful' },
+    { sku: 'b2', price: 12, note: 'said "hi"' }
+  ]);
+});
+
+test('glob sources key each matching file by its path', async () => {
+  const state = await run({ logs: connector({ type: 'glob', pattern: 'logs/**/*.json' }) });
+  assert.deepStrictEqual(state.logs_data, {
+    'logs/2025/b.json': { day: 2 },
+    'logs/a.json': { day: 1 }
+  });
+});
+
+test('source data goes through the connector rules modes', async () => {
+  const rules = mode => ({ mode, rules: [{ name: 'busy', if: 'open > 0', then: { busy: true } }] });
+  const state = await run({
+    merged: connector({ type: 'file', path: 'orders.json' }, { rules: rules('merge') }),
+    replaced: connector({ type: 'file', path: 'orders.json' }, { rules: rules('replace') }),
+    dual: connector({ type: 'file', path: 'orders.json' }, { rules: rules('dual') })
+  });
+
+  assert.deepStrictEqual(state.merged_data, { total: 3, open: 1, busy: true });
+  assert.deepStrictEqual(state.replaced_data, { total: 3, open: 1, busy: true });
+  assert.deepStrictEqual(state.dual_data, { total: 3, open: 1 });
+  assert.deepStrictEqual(state.dual_data_processed, { total: 3, open: 1, busy: true });
+});
+
+test('a missing file or unknown source type is recorded as the connector error', async () => {
+  const state = await run({
+    missing: connector({ type: 'file', path: 'nope.json' }),
+    odd: connector({ type: 'ftp', path: 'x' })
+  });
+
+  assert.match(state.missing_error, /ENOENT/);
+  assert.strictEqual(state.odd_error, 'Unsupported source type "ftp"');
+});
+
+test('stdin sources read piped input', () => {
+  const script = `require(${JSON.stringify(require.resolve('../src/sources'))})` +
+    ".stdin({ format: 'ndjson' }).then(data => process.stdout.write(JSON.stringify(data)))";
+  const output = execFileSync(process.execPath, ['-e', script], { input: '{"n":1}\n{"n":2}\n', encoding: 'utf8' });
+  assert.deepStrictEqual(JSON.parse(output), [{ n: 1 }, { n: 2 }]);
+});
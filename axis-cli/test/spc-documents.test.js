@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const yaml = require('js-yaml');
+const SPCDocuments = require('../../spc-documents');
+
+const documents = new SPCDocuments({ yaml });
+
+test('the format follows the extension', () => {
+  assert.strictEqual(documents.formatOf('app.spc.yaml'), 'yaml');
+  assert.strictEqual(documents.formatOf('rules/RULES.YML'), 'yaml');
+  assert.strictEqual(documents.formatOf('app.spc.json'), 'json');
+  assert.strictEqual(documents.formatOf('yaml.d/data'), 'json');
+});
+
+test('YAML errors carry the line and column', () => {
+  assert.throws(() => documents.parse('a: [1, 2\nb: 3\n', 'yaml', 'rules.yaml'),
+    { message: 'rules.yaml:2:1: missed comma between flow collection entries' });
+  assert.throws(() => documents.parse('', 'yaml', 'empty.yaml'), { message: 'empty.yaml: empty document' });
+});
+
+test('JSON cut short is located at its end', () => {
+  assert.throws(() => documents.parse('{\n  "a": [1,', 'json', 'app.spc.json'), /^Error: app\.spc\.json:2:/);
+});
+
+test('YAML keeps dates as strings and converts to JSON and back unchanged', () => {
+  const value = documents.parse('since: 2025-01-01\nlimit: 5\non: true\n', 'yaml', 'a.yaml');
+  assert.deepStrictEqual(value, { since: '2025-01-01', limit: 5, on: true });
+  const json = documents.stringify(value, 'json');
+  assert.deepStrictEqual(documents.parse(documents.stringify(documents.parse(json, 'json', 'a.json'), 'yaml'), 'yaml', 'b.yaml'), value);
+});
+
+test('YAML without js-yaml fails clearly', () => {
+  assert.throws(() => new SPCDocuments().parse('a: 1', 'yaml', 'a.yaml'), /need js-yaml/);
+  assert.deepStrictEqual(new SPCDocuments().parse('{"a": 1}', 'json', 'a.json'), { a: 1 });
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '../..');
+
+// A page's globals after loading the given root scripts in order
+function browser(...scripts) {
+  const window = {};
+  const context = vm.createContext({ window });
+  scripts.forEach(script => vm.runInContext(fs.readFileSync(path.join(ROOT, script), 'utf8'), context, { filename: script }));
+  return window;
+}
+
+test('the schema scripts are generated from the JSON schemas', () => {
+  const { build } = require('../../schemas/build');
+  const scripts = build();
+  assert.ok(scripts.length > 0);
+  scripts.forEach(({ file, source }) => {
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), source, `${path.relative(ROOT, file)} is out of date; run node schemas/build.js`);
+  });
+
+  const window = browser('schemas/spc-1.0.schema.js');
+  const schema = JSON.parse(JSON.stringify(window.SPCSchemas['1.0']));
+  assert.deepStrictEqual(schema, require('../../schemas/spc-1.0.schema.json'));
+});
+
+test('browsers validate with the bundled schema script', () => {
+  const { SPCValidator } = browser('spc-validator.js', 'schemas/spc-1.0.schema.js');
+  assert.strictEqual(SPCValidator.validateSPC({ services: {} }).length, 0);
+  const errors = SPCValidator.validateSPC({ services: { feed: { type: 'teleporter' } } });
+  assert.ok(errors.length > 0);
+  assert.ok(errors.every(error => error.path.startsWith('$.services.feed')), JSON.stringify(errors));
+});
+
+test('browsers without the schema script fail instead of skipping validation', () => {
+  const { SPCValidator } = browser('spc-validator.js');
+  assert.throws(() => SPCValidator.validateSPC({ services: {} }), /No SPC 1\.0 schema loaded/);
+});
+
+test('MicroService OS upgrades legacy files before validating them', () => {
+  const html = fs.readFileSync(path.join(ROOT, 'MicroService-OS/index.html'), 'utf8');
+  const upgradeSPC = vm.runInNewContext(`(${/(function upgradeSPC[\s\S]*?\n\})\n/.exec(html)[1]})`);
+  const SPCValidator = require('../../spc-validator');
+
+  const processor = { type: 'processor', spec: { inputKey: 'a', transform: [{ name: 'double', if: true, then: { b: 'a * 2' } }], outputKey: 'b' } };
+  const legacy = {
+    services: [['double', processor], { id: 'triple', ...processor }],
+    globalState: { a: 2 },
+    systemName: 'old',
+    currentServiceId: 'double',
+    timestamp: 1700000000000
+  };
+  assert.ok(SPCValidator.validateSPC(legacy).length > 0, 'the legacy shape is not a current SPC');
+
+  const upgraded = JSON.parse(JSON.stringify(upgradeSPC(legacy)));
+  assert.deepStrictEqual(upgraded, {
+    services: { double: processor, triple: processor },
+    state: { a: 2 },
+    meta: { name: 'old' }
+  });
+  assert.deepStrictEqual(SPCValidator.validateSPC(upgraded), []);
+
+  const current = { services: { double: processor }, state: {} };
+  assert.strictEqual(upgradeSPC(current), current);
+});
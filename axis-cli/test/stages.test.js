@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AxisRulesEngine = require('../../axis-rules');
+
+// The README example: validation, scoring, then a decision
+const LOAN = {
+  stages: ['validation', 'scoring', 'decision'],
+  rules: [
+    { name: 'need-income', group: 'validation', if: 'applicant.income == null',
+      then: { decision: 'rejected', $halt: 'missing income' } },
+    { name: 'base-score', group: 'scoring', then: { score: '{{applicant.income / 100}}' } },
+    { name: 'approve', group: 'decision', if: 'score >= 700', then: { decision: 'approved' } }
+  ]
+};
+
+// Audit events other than rules and iteration bookkeeping
+const events = result => result.audit
+  .map(entry => entry.event)
+  .filter(event => !['rule', 'order', 'iteration'].includes(event));
+
+test('stages run one after another, each to its own fixpoint', () => {
+  const result = new AxisRulesEngine().apply({ applicant: { income: 80000 } }, LOAN);
+
+  assert.strictEqual(result.output.score, 800);
+  assert.strictEqual(result.output.decision, 'approved');
+  assert.strictEqual(result.halted, null);
+  assert.deepStrictEqual(result.convergence, { converged: true, cycle: null });
+  assert.deepStrictEqual(result.stages.map(({ name, skipped, converged }) => ({ name, skipped, converged })), [
+    { name: 'validation', skipped: false, converged: true },
+    { name: 'scoring', skipped: false, converged: true },
+    { name: 'decision', skipped: false, converged: true }
+  ]);
+  assert.strictEqual(result.stages.reduce((sum, stage) => sum + stage.iterations, 0), result.iterations);
+  assert.deepStrictEqual(events(result).filter(event => event.startsWith('stage')), [
+    'stage', 'stage-complete', 'stage', 'stage-complete', 'stage', 'stage-complete'
+  ]);
+});
+
+test('a later stage sees what earlier stages wrote, never the other way round', () => {
+  const result = new AxisRulesEngine().apply({}, {
+    stages: ['first', 'second'],
+    rules: [
+      // Declared first, but its stage runs second
+      { name: 'copy', group: 'second', then: { copied: '{{value}}' } },
+      { name: 'seed', group: 'first', if: 'copied == null', then: { value: 1 } }
+    ]
+  });
+  assert.deepStrictEqual(result.output, { value: 1, copied: 1 });
+});
+
+test('$halt stops the run and reports the rule, stage and reason', () => {
+  const result = new AxisRulesEngine().apply({ applicant: {} }, LOAN);
+
+  assert.strictEqual(result.output.decision, 'rejected');
+  assert.strictEqual(result.output.score, undefined);
+  assert.deepStrictEqual(result.halted, { rule: 'need-income', stage: 'validation', iteration: 1, reason: 'missing income' });
+  assert.ok(!('$halt' in result.output), 'actions are not written to state');
+  assert.deepStrictEqual(result.stages.map(({ name, skipped }) => ({ name, skipped })), [
+    { name: 'validation', skipped: false },
+    { name: 'scoring', skipped: true },
+    { name: 'decision', skipped: true }
+  ]);
+  assert.deepStrictEqual(events(result), ['start', 'stage', 'halt', 'stage-complete', 'stage-skipped', 'stage-skipped', 'complete']);
+  assert.deepStrictEqual(result.audit.find(entry => entry.event === 'complete').halted, result.halted);
+});
+
+test('$halt: true halts without a reason, also in an unstaged run', () => {
+  const result = new AxisRulesEngine().apply({ n: 0 }, {
+    rules: [
+      { name: 'stop', priority: 10, if: 'n >= 2', then: { $halt: true } },
+      { name: 'count', then: { n: '{{n + 1}}' } }
+    ]
+  });
+  assert.deepStrictEqual(result.halted, { rule: 'stop', stage: null, iteration: 3, reason: null });
+  assert.strictEqual(result.output.n, 2);
+  assert.deepStrictEqual(result.convergence, { converged: true, cycle: null });
+  assert.ok(!('stages' in result));
+});
+
+test('$skipGroup: true ends the current stage only', () => {
+  const result = new AxisRulesEngine().apply({ flagged: true }, {
+    stages: ['checks', 'finish'],
+    rules: [
+      { name: 'short-circuit', group: 'checks', priority: 10, if: 'flagged', then: { checked: 'partly', $skipGroup: true } },
+      { name: 'full-check', group: 'checks', then: { checked: 'fully' } },
+      { name: 'done', group: 'finish', then: { done: true } }
+    ]
+  });
+
+  assert.deepStrictEqual(result.output, { flagged: true, checked: 'partly', done: true });
+  assert.strictEqual(result.halted, null);
+  assert.deepStrictEqual(result.stages.map(({ skipped, converged }) => ({ skipped, converged })), [
+    { skipped: false, converged: true },
+    { skipped: false, converged: true }
+  ]);
+  const skip = result.audit.find(entry => entry.event === 'skip');
+  assert.deepStrictEqual([skip.rule, skip.stages], ['short-circuit', ['checks']]);
+});
+
+test('$skipGroup with stage names skips those later stages', () => {
+  const rules = {
+    stages: ['triage', 'manual-review', 'extra-review', 'close'],
+    rules: [
+      { name: 'fast-track', group: 'triage', if: 'amount < 100', then: { track: 'fast', $skipGroup: ['manual-review', 'extra-review'] } },
+      { name: 'one-skip', group: 'triage', if: 'amount >= 100', then: { track: 'normal', $skipGroup: 'extra-review' } },
+      { name: 'review', group: 'manual-review', then: { reviewed: true } },
+      { name: 'extra', group: 'extra-review', then: { extra: true } },
+      { name: 'close', group: 'close', then: { closed: true } }
+    ]
+  };
+  const skippedOf = result => result.stages.filter(stage => stage.skipped).map(stage => stage.name);
+
+  const fast = new AxisRulesEngine().apply({ amount: 50 }, rules);
+  assert.deepStrictEqual(fast.output, { amount: 50, track: 'fast', closed: true });
+  assert.deepStrictEqual(skippedOf(fast), ['manual-review', 'extra-review']);
+  assert.deepStrictEqual(
+    fast.audit.filter(entry => entry.event === 'stage-skipped').map(entry => entry.stage),
+    ['manual-review', 'extra-review']
+  );
+
+  const normal = new AxisRulesEngine().apply({ amount: 500 }, rules);
+  assert.deepStrictEqual(normal.output, { amount: 500, track: 'normal', reviewed: true, closed: true });
+  assert.deepStrictEqual(skippedOf(normal), ['extra-review']);
+});
+
+test('a stage keeps its own max_iterations and strict names the stage that cannot settle', () => {
+  const rules = {
+    stages: [{ name: 'flip', max_iterations: 3 }, 'after'],
+    rules: [
+      { name: 'open', group: 'flip', if: 'door != "open"', then: { door: 'open' } },
+      { name: 'close', group: 'flip', if: 'door == "open"', then: { door: 'closed' } },
+      { name: 'after', group: 'after', then: { after: true } }
+    ]
+  };
+
+  const result = new AxisRulesEngine().apply({}, rules);
+  assert.strictEqual(result.stages[0].iterations, 3);
+  assert.strictEqual(result.stages[0].converged, false);
+  assert.strictEqual(result.output.after, true);
+  assert.strictEqual(result.convergence.converged, false);
+
+  assert.throws(() => new AxisRulesEngine().apply({}, rules, { strict: true }), error =>
+    error instanceof AxisRulesEngine.ConvergenceError && / in stage flip/.test(error.message) &&
+    error.result.stages.length === 1);
+});
+
+test('validate checks stages, groups and $skipGroup targets', () => {
+  const engine = new AxisRulesEngine();
+  assert.deepStrictEqual(engine.validate(LOAN), []);
+
+  const errors = engine.validate({
+    stages: ['a', 'a', { name: 'b', max_iterations: 0 }],
+    rules: [
+      { name: 'loose', then: { x: 1 } },
+      { name: 'lost', group: 'c', then: { x: 1 } },
+      { name: 'jump', group: 'a', then: { $skipGroup: 'nowhere' } }
+    ]
+  });
+  assert.ok(errors.some(error => /Duplicate stage "a"/.test(error)), errors.join('\n'));
+  assert.ok(errors.some(error => /max_iterations/.test(error)), errors.join('\n'));
+  assert.ok(errors.some(error => /\(loose\): Missing group/.test(error)), errors.join('\n'));
+  assert.ok(errors.some(error => /\(lost\): Group "c" is not listed/.test(error)), errors.join('\n'));
+  assert.ok(errors.some(error => /\(jump\): \$skipGroup names unknown stage "nowhere"/.test(error)), errors.join('\n'));
+});
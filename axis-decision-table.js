@@ -0,0 +1,677 @@
+/**
+ * AXIS Decision Tables v1.0.0
+ * Compiles decision tables into AXIS rules
+ *
+ * A table has condition columns (`inputs`), action columns (`outputs`)
+ * and one row per case. Every row becomes a rule, ordered by priority,
+ * and the table's hit policy decides which matching rows apply:
+ *   first   → only the first matching row (later rows are guarded by
+ *             the earlier rows they overlap)
+ *   unique  → rows must never overlap
+ *   collect → every matching row applies, in row order
+ *
+ * Compiling also reports the inputs no row matches (gaps), rows that
+ * overlap where the hit policy forbids it, and rows that can never match.
+ *
+ * @license MIT
+ * @author AXIS Project
+ */
+
+(function(global) {
+    'use strict';
+
+    const HIT_POLICIES = ['first', 'unique', 'collect'];
+
+    const FIELD = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*|\[\d+\])*$/;
+    const NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+    const COMPARISON = /^(==|!=|<=|>=|=|<|>)\s*(.+)$/;
+    const RANGE = /^([[(])\s*(.+?)\s*\.\.\s*(.+?)\s*([\])])$/;
+    const BARE_RANGE = /^()(\S+?)\s*\.\.\s*(\S+)()$/;
+
+    // CSV header cells: "then discount" is an action column, "if tier" (or just "tier") a condition
+    const OUTPUT_HEADER = /^then\s+/i;
+    const INPUT_HEADER = /^(if|when)\s+/i;
+
+    // Most input combinations worth exploring when looking for gaps
+    const MAX_COMBINATIONS = 10000;
+
+    // Stands for every value no cell of a column names
+    const OTHER = { other: true };
+
+    const ANY = { op: 'any' };
+
+    const isBlank = cell => cell === null || cell === undefined ||
+        (typeof cell === 'string' && (cell.trim() === '' || cell.trim() === '-'));
+
+    const unique = values => values.filter((value, index) => values.indexOf(value) === index);
+
+    const show = value => JSON.stringify(value);
+
+    /**
+     * Value of a cell written as text: "quoted" or 'quoted' strings,
+     * numbers, true, false and null; anything else is the text itself
+     */
+    function literal(text) {
+        if (/^"(?:[^"\\]|\\.)*"$/.test(text)) return JSON.parse(text);
+        if (/^'[^']*'$/.test(text)) return text.slice(1, -1);
+        if (NUMBER.test(text)) return Number(text);
+        if (text === 'true') return true;
+        if (text === 'false') return false;
+        if (text === 'null') return null;
+        return text;
+    }
+
+    // Split "gold, 'a, b', silver" on the commas outside quotes
+    function splitList(text) {
+        const parts = [];
+        let part = '';
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === '\\' && quote === '"') {
+                    part += char + (text[++i] || '');
+                    continue;
+                }
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === ',') {
+                parts.push(part.trim());
+                part = '';
+                continue;
+            }
+            part += char;
+        }
+        parts.push(part.trim());
+        return parts;
+    }
+
+    function bound(text, where, cell) {
+        const value = literal(text);
+        if (typeof value !== 'number') {
+            throw new Error(`${where}: "${cell}" needs a number, got "${text}"`);
+        }
+        return value;
+    }
+
+    function range(low, lowInclusive, high, highInclusive) {
+        return { op: 'range', low, lowInclusive, high, highInclusive };
+    }
+
+    /**
+     * Parse a condition cell into a test
+     *   "-" or empty      → any value
+     *   gold / 100 / true → equal to that value
+     *   gold, silver      → equal to one of them (or a YAML list)
+     *   != gold           → anything but that value
+     *   >= 100, < 5       → numeric comparison
+     *   [100..500), 1..5  → numeric range; brackets include the bound, parentheses exclude it
+     */
+    function parseCondition(cell, where) {
+        if (isBlank(cell)) return ANY;
+        if (Array.isArray(cell)) return { op: 'in', values: cell };
+        if (typeof cell !== 'string') return { op: 'in', values: [cell] };
+
+        const text = cell.trim();
+
+        // 100..500 is an inclusive range too, but only between two numbers
+        const bare = BARE_RANGE.exec(text);
+        const ranged = RANGE.exec(text) || (bare && NUMBER.test(bare[2]) && NUMBER.test(bare[3]) ? bare : null);
+        if (ranged) {
+            const low = bound(ranged[2], where, cell);
+            const high = bound(ranged[3], where, cell);
+            const lowInclusive = ranged[1] !== '(';
+            const highInclusive = ranged[4] !== ')';
+            if (low > high || (low === high && !(lowInclusive && highInclusive))) {
+                throw new Error(`${where}: "${cell}" is an empty range`);
+            }
+            return range(low, lowInclusive, high, highInclusive);
+        }
+
+        const compared = COMPARISON.exec(text);
+        if (compared) {
+            const op = compared[1];
+            if (op === '==' || op === '=') return { op: 'in', values: [literal(compared[2].trim())] };
+            if (op === '!=') return { op: '!=', value: literal(compared[2].trim()) };
+            const value = bound(compared[2].trim(), where, cell);
+            switch (op) {
+                case '<': return range(-Infinity, false, value, false);
+                case '<=': return range(-Infinity, false, value, true);
+                case '>': return range(value, false, Infinity, false);
+                default: return range(value, true, Infinity, false);
+            }
+        }
+
+        return { op: 'in', values: splitList(text).map(literal) };
+    }
+
+    /**
+     * Parse an action cell: "-" or empty writes nothing, text is read as
+     * a literal ({{...}} templates stay strings), other YAML values as is
+     */
+    function parseOutput(cell) {
+        if (isBlank(cell)) return undefined;
+        return typeof cell === 'string' ? literal(cell.trim()) : cell;
+    }
+
+    function matches(test, sample) {
+        switch (test.op) {
+            case 'any':
+                return true;
+            case 'in':
+                return sample !== OTHER && test.values.some(value => value === sample);
+            case '!=':
+                return sample !== test.value;
+            default:
+                return typeof sample === 'number' &&
+                    (sample > test.low || (test.lowInclusive && sample === test.low)) &&
+                    (sample < test.high || (test.highInclusive && sample === test.high));
+        }
+    }
+
+    // Text of a numeric interval, e.g. "total < 100" or "100 <= total < 500"
+    function describeRange(field, low, lowInclusive, high, highInclusive) {
+        if (low === high) return `${field} = ${low}`;
+        if (low === -Infinity) return `${field} ${highInclusive ? '<=' : '<'} ${high}`;
+        if (high === Infinity) return `${field} ${lowInclusive ? '>=' : '>'} ${low}`;
+        return `${low} ${lowInclusive ? '<=' : '<'} ${field} ${highInclusive ? '<=' : '<'} ${high}`;
+    }
+
+    function describeTest(field, test) {
+        switch (test.op) {
+            case 'in':
+                return test.values.length === 1
+                    ? `${field} = ${show(test.values[0])}`
+                    : `${field} in (${test.values.map(show).join(', ')})`;
+            case '!=':
+                return `${field} != ${show(test.value)}`;
+            default:
+                return describeRange(field, test.low, test.lowInclusive, test.high, test.highInclusive);
+        }
+    }
+
+    // AXIS expression for a test; null when any value passes
+    function expressionOf(field, test) {
+        switch (test.op) {
+            case 'any':
+                return null;
+            case 'in': {
+                const alternatives = test.values.map(value => `${field} == ${show(value)}`);
+                return alternatives.length === 1 ? alternatives[0] : `(${alternatives.join(' || ')})`;
+            }
+            case '!=':
+                return `${field} != ${show(test.value)}`;
+            default: {
+                if (test.low === test.high) return `${field} == ${test.low}`;
+                const parts = [];
+                if (test.low !== -Infinity) parts.push(`${field} ${test.lowInclusive ? '>=' : '>'} ${test.low}`);
+                if (test.high !== Infinity) parts.push(`${field} ${test.highInclusive ? '<=' : '<'} ${test.high}`);
+                return parts.join(' && ');
+            }
+        }
+    }
+
+    /**
+     * AXIS Decision Table compiler
+     * Turns a table into a priority-ordered rules array and reports gaps and overlaps
+     */
+    class AxisDecisionTable {
+        /**
+         * Read a CSV table. The header names a field per column; a column
+         * whose header starts with "then " is an action, any other column
+         * (optionally "if <field>") a condition.
+         * @param {string} text - CSV text
+         * @param {Object} table - Other table settings: name, hitPolicy, priority, group
+         * @returns {Object} Table for compile()
+         */
+        static fromCSV(text, table = {}) {
+            const [header = [], ...rows] = parseCSV(text)
+                .filter(row => row.some(cell => cell.trim() !== ''));
+
+            const columns = header.map(cell => cell.trim());
+            const outputs = columns.map((cell, index) => index).filter(index => OUTPUT_HEADER.test(columns[index]));
+            const inputs = columns.map((cell, index) => index).filter(index => !outputs.includes(index));
+
+            return {
+                ...table,
+                inputs: inputs.map(index => columns[index].replace(INPUT_HEADER, '')),
+                outputs: outputs.map(index => columns[index].replace(OUTPUT_HEADER, '')),
+                rows: rows.map(row => inputs.concat(outputs).map(index => (row[index] === undefined ? '' : row[index])))
+            };
+        }
+
+        /**
+         * Compile a decision table
+         * @param {Object} table - { name, hitPolicy, priority, group, inputs, outputs, rows }
+         *   inputs:  condition fields; an entry may be { field, values } to declare every value the field can hold
+         *   outputs: action fields
+         *   rows:    arrays of cells (inputs then outputs), or objects keyed by field
+         * @returns {Object} { name, hitPolicy, rules, issues: [{ type, severity, rows, message }] }
+         */
+        compile(table) {
+            const definition = this.normalize(table);
+            const { name, hitPolicy, inputs, outputs, rows } = definition;
+            const issues = [];
+
+            // Split each input's values into the fewest samples that every cell either matches or rejects whole
+            const columns = inputs.map((input, index) => this.columnOf(input, rows.map(row => row.tests[index])));
+            rows.forEach(row => {
+                row.hits = columns.map((column, index) => column.atoms
+                    .map((atom, atomIndex) => atomIndex)
+                    .filter(atomIndex => matches(row.tests[index], column.atoms[atomIndex].sample)));
+            });
+
+            const describe = region => {
+                const parts = region
+                    .map((atoms, index) => this.describeAtoms(columns[index], atoms))
+                    .filter(part => part !== null);
+                return parts.length ? parts.join(' and ') : 'any input';
+            };
+
+            // Rows that can never match: a cell no value passes, or (first) earlier rows that take all their inputs
+            const reachable = rows.filter(row => {
+                const blocked = row.hits.findIndex(hits => hits.length === 0);
+                if (blocked !== -1) {
+                    issues.push({
+                        type: 'unreachable',
+                        severity: 'warning',
+                        rows: [row.number],
+                        message: `Row ${row.number} can never match: no value of ${inputs[blocked].field} passes ${show(row.cells[blocked])}`
+                    });
+                    return false;
+                }
+                if (hitPolicy !== 'first' || row.index === 0) return true;
+
+                const rest = this.uncovered(columns, row.hits, rows.slice(0, row.index));
+                if (rest.regions.length > 0 || rest.exhausted) return true;
+                issues.push({
+                    type: 'unreachable',
+                    severity: 'warning',
+                    rows: [row.number],
+                    message: `Row ${row.number} can never match: earlier rows take every input it matches`
+                });
+                return false;
+            });
+
+            // Pairs of reachable rows that some input matches both of
+            const overlaps = [];
+            reachable.forEach((row, i) => {
+                reachable.slice(i + 1).forEach(other => {
+                    const common = row.hits.map((hits, index) => hits.filter(atom => other.hits[index].includes(atom)));
+                    if (common.every(atoms => atoms.length > 0)) overlaps.push({ rows: [row, other], common });
+                });
+            });
+
+            overlaps.forEach(({ rows: [row, other], common }) => {
+                if (hitPolicy === 'unique') {
+                    issues.push({
+                        type: 'overlap',
+                        severity: 'error',
+                        rows: [row.number, other.number],
+                        message: `Rows ${row.number} and ${other.number} both match ${describe(common)}; the unique hit policy allows one`
+                    });
+                } else if (hitPolicy === 'collect') {
+                    const fields = outputs.filter((output, index) => row.outputs[index] !== undefined &&
+                        other.outputs[index] !== undefined && show(row.outputs[index]) !== show(other.outputs[index]));
+                    if (fields.length > 0) {
+                        issues.push({
+                            type: 'overlap',
+                            severity: 'warning',
+                            rows: [row.number, other.number],
+                            message: `Rows ${row.number} and ${other.number} both match ${describe(common)} and write different ${fields.join(', ')}; row ${other.number} wins`
+                        });
+                    }
+                }
+            });
+
+            // Inputs that no row matches
+            const gaps = this.uncovered(columns, columns.map(column => column.atoms.map((atom, index) => index)), rows);
+            gaps.regions.forEach(region => {
+                issues.push({
+                    type: 'gap',
+                    severity: 'warning',
+                    rows: [],
+                    message: `No row matches ${describe(region)}`
+                });
+            });
+            if (gaps.exhausted) {
+                issues.push({
+                    type: 'gap',
+                    severity: 'info',
+                    rows: [],
+                    message: `Stopped looking for gaps after ${MAX_COMBINATIONS} input combinations; there may be more`
+                });
+            }
+
+            const rules = reachable.map(row => {
+                const own = row.tests
+                    .map((test, index) => expressionOf(inputs[index].field, test))
+                    .filter(expression => expression !== null);
+
+                // first: skip the inputs an earlier overlapping row already takes
+                const guards = hitPolicy !== 'first' ? [] : overlaps
+                    .filter(({ rows: pair }) => pair[1] === row)
+                    .map(({ rows: pair }) => {
+                        const earlier = pair[0].tests
+                            .map((test, index) => expressionOf(inputs[index].field, test))
+                            .filter(expression => expression !== null);
+                        return earlier.length ? `!(${earlier.join(' && ')})` : 'false';
+                    });
+
+                const conditions = own.concat(guards);
+                const then = outputs.reduce((actions, output, index) => {
+                    if (row.outputs[index] !== undefined) actions[output] = row.outputs[index];
+                    return actions;
+                }, {});
+                const when = row.tests
+                    .map((test, index) => (test.op === 'any' ? null : describeTest(inputs[index].field, test)))
+                    .filter(text => text !== null);
+
+                return {
+                    name: `${name}-row-${row.number}`,
+                    description: `${name} row ${row.number}: ${when.length ? when.join(', ') : 'any input'}`,
+                    priority: definition.priority + row.index,
+                    ...(definition.group !== undefined ? { group: definition.group } : {}),
+                    ...(conditions.length ? { if: conditions.join(' && ') } : {}),
+                    then
+                };
+            });
+
+            return { name, hitPolicy, rules, issues };
+        }
+
+        /**
+         * Check a table's shape and parse its cells
+         */
+        normalize(table) {
+            if (!table || typeof table !== 'object' || Array.isArray(table)) {
+                throw new Error('Decision table must be an object with inputs, outputs and rows');
+            }
+
+            const name = table.name === undefined ? 'table' : table.name;
+            if (typeof name !== 'string' || !name) throw new Error('Decision table name must be a non-empty string');
+
+            const hitPolicy = table.hitPolicy === undefined ? 'first' : table.hitPolicy;
+            if (!HIT_POLICIES.includes(hitPolicy)) {
+                throw new Error(`${name}: unknown hit policy "${hitPolicy}"; use ${HIT_POLICIES.join(', ')}`);
+            }
+
+            const priority = table.priority === undefined ? 1 : table.priority;
+            if (typeof priority !== 'number' || !(priority > 0)) {
+                throw new Error(`${name}: priority must be a positive number`);
+            }
+            if (table.group !== undefined && (typeof table.group !== 'string' || !table.group)) {
+                throw new Error(`${name}: group must be a non-empty string`);
+            }
+
+            ['inputs', 'outputs', 'rows'].forEach(key => {
+                if (!Array.isArray(table[key])) throw new Error(`${name}: "${key}" must be an array`);
+            });
+            if (table.outputs.length === 0) throw new Error(`${name}: needs at least one output column`);
+
+            const inputs = table.inputs.map(input => (typeof input === 'string' ? { field: input } : input || {}));
+            inputs.forEach(input => {
+                if (input.values !== undefined && (!Array.isArray(input.values) ||
+                    input.values.some(value => value !== null && typeof value === 'object'))) {
+                    throw new Error(`${name}: values of input "${input.field}" must be a list of plain values`);
+                }
+            });
+
+            const check = (fields, kind) => fields.forEach((field, index) => {
+                if (typeof field !== 'string' || !FIELD.test(field)) {
+                    throw new Error(`${name}: ${kind} column ${index + 1} is not a field path: ${show(field)}`);
+                }
+                if (fields.indexOf(field) !== index) throw new Error(`${name}: duplicate ${kind} column "${field}"`);
+            });
+            check(inputs.map(input => input.field), 'input');
+            check(table.outputs, 'output');
+
+            const width = inputs.length + table.outputs.length;
+            const rows = table.rows.map((row, index) => {
+                const number = index + 1;
+                let cells;
+                if (Array.isArray(row)) {
+                    if (row.length !== width) {
+                        throw new Error(`${name}: row ${number} has ${row.length} cells, expected ${width}`);
+                    }
+                    cells = row;
+                } else if (row && typeof row === 'object') {
+                    const unknown = Object.keys(row).find(key =>
+                        !inputs.some(input => input.field === key) && !table.outputs.includes(key));
+                    if (unknown !== undefined) throw new Error(`${name}: row ${number} has unknown column "${unknown}"`);
+                    cells = inputs.map(input => row[input.field]).concat(table.outputs.map(output => row[output]));
+                } else {
+                    throw new Error(`${name}: row ${number} must be a list of cells or an object`);
+                }
+
+                const conditions = cells.slice(0, inputs.length);
+                const tests = conditions.map((cell, column) => {
+                    const where = `${name}: row ${number}, ${inputs[column].field}`;
+                    const test = parseCondition(cell, where);
+                    const values = inputs[column].values;
+                    if (values) {
+                        const named = test.op === 'in' ? test.values : test.op === '!=' ? [test.value] : [];
+                        const stray = named.find(value => !values.includes(value));
+                        if (stray !== undefined) throw new Error(`${where}: ${show(stray)} is not one of its values`);
+                    }
+                    return test;
+                });
+
+                return {
+                    index,
+                    number,
+                    cells: conditions,
+                    tests,
+                    outputs: cells.slice(inputs.length).map(parseOutput)
+                };
+            });
+
+            return { name, hitPolicy, priority, group: table.group, inputs, outputs: table.outputs, rows };
+        }
+
+        /**
+         * Samples ("atoms") that stand for every value of an input column
+         * Numeric conditions split the number line at each bound; other
+         * values are the literals cells name plus OTHER for the rest, unless
+         * the column is boolean or declares its values.
+         */
+        columnOf(input, tests) {
+            if (input.values) {
+                return { field: input.field, atoms: input.values.map(value => ({ sample: value })) };
+            }
+
+            const numbers = [];
+            const literals = [];
+            let numeric = false;
+            tests.forEach(test => {
+                if (test.op === 'range') {
+                    numeric = true;
+                    [test.low, test.high].filter(isFinite).forEach(value => numbers.push(value));
+                }
+                const named = test.op === 'in' ? test.values : test.op === '!=' ? [test.value] : [];
+                named.forEach(value => (typeof value === 'number' ? numbers : literals).push(value));
+            });
+
+            const atoms = [];
+            if (numeric) {
+                const points = unique(numbers).sort((a, b) => a - b);
+                points.forEach((point, index) => {
+                    const low = index === 0 ? -Infinity : points[index - 1];
+                    atoms.push({
+                        interval: [low, false, point, false],
+                        sample: index === 0 ? point - 1 : (low + point) / 2
+                    });
+                    atoms.push({ interval: [point, true, point, true], sample: point });
+                });
+                const last = points[points.length - 1];
+                atoms.push({ interval: [last, false, Infinity, false], sample: last + 1 });
+            }
+
+            const values = unique(numeric ? literals : literals.concat(numbers));
+            values.forEach(value => atoms.push({ sample: value }));
+            if (values.length > 0 && values.every(value => typeof value === 'boolean')) {
+                [true, false].filter(value => !values.includes(value)).forEach(value => atoms.push({ sample: value }));
+            } else if (!numeric || values.length > 0) {
+                atoms.push({ sample: OTHER, others: values });
+            }
+
+            return { field: input.field, atoms };
+        }
+
+        /**
+         * Parts of a region (atom indexes per column) that none of the rows match
+         * Columns are split only where the rows disagree, so each result
+         * is as wide as the rows allow.
+         * @returns {Object} { regions: uncovered regions, exhausted: true when the search gave up }
+         */
+        uncovered(columns, region, rows) {
+            const found = [];
+            const budget = { steps: 0, exhausted: false };
+
+            const visit = (index, candidates, chosen) => {
+                if (budget.exhausted) return;
+                if (++budget.steps > MAX_COMBINATIONS) {
+                    budget.exhausted = true;
+                    return;
+                }
+                if (candidates.length === 0) {
+                    found.push(chosen.concat(region.slice(index)));
+                    return;
+                }
+                if (index === columns.length) return;
+
+                // Group the region's atoms by which candidate rows match them
+                const groups = new Map();
+                region[index].forEach(atom => {
+                    const matching = candidates.filter(row => row.hits[index].includes(atom));
+                    const key = matching.map(row => row.index).join(',');
+                    if (!groups.has(key)) groups.set(key, { atoms: [], rows: matching });
+                    groups.get(key).atoms.push(atom);
+                });
+                groups.forEach(group => visit(index + 1, group.rows, chosen.concat([group.atoms])));
+            };
+
+            visit(0, rows, []);
+            return { regions: merge(found), exhausted: budget.exhausted };
+        }
+
+        /**
+         * Text for some atoms of a column; null when they are all of them
+         */
+        describeAtoms(column, atoms) {
+            if (atoms.length === column.atoms.length) return null;
+
+            const parts = [];
+            let run = null;
+            const flush = () => {
+                if (run) parts.push(describeRange(column.field, ...run));
+                run = null;
+            };
+            atoms.slice().sort((a, b) => a - b).forEach(index => {
+                const atom = column.atoms[index];
+                if (atom.interval) {
+                    // Adjacent intervals read as one range
+                    const previous = column.atoms[index - 1];
+                    if (run && previous && previous.interval && atoms.includes(index - 1)) {
+                        run = [run[0], run[1], atom.interval[2], atom.interval[3]];
+                    } else {
+                        flush();
+                        run = atom.interval.slice();
+                    }
+                    return;
+                }
+                flush();
+                parts.push(atom.sample === OTHER
+                    ? (atom.others.length
+                        ? `${column.field} not in (${atom.others.map(show).join(', ')})`
+                        : `${column.field} is any value`)
+                    : `${column.field} = ${show(atom.sample)}`);
+            });
+            flush();
+
+            return parts.length === 1 ? parts[0] : `(${parts.join(' or ')})`;
+        }
+    }
+
+    // Join regions that differ in one column only, until none do
+    function merge(regions) {
+        const key = atoms => atoms.slice().sort((a, b) => a - b).join(',');
+        let merged = regions.slice();
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (let i = 0; i < merged.length && !changed; i++) {
+                for (let j = i + 1; j < merged.length && !changed; j++) {
+                    const differing = merged[i]
+                        .map((atoms, column) => column)
+                        .filter(column => key(merged[i][column]) !== key(merged[j][column]));
+                    if (differing.length <= 1) {
+                        const column = differing[0];
+                        const joined = merged[i].map((atoms, index) => (index === column
+                            ? unique(atoms.concat(merged[j][index]))
+                            : atoms));
+                        merged = merged.filter((region, index) => index !== i && index !== j).concat([joined]);
+                        changed = true;
+                    }
+                }
+            }
+        }
+        return merged;
+    }
+
+    // RFC 4180 rows of raw cell text
+    function parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    AxisDecisionTable.HIT_POLICIES = HIT_POLICIES;
+
+    // Export for different environments
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js
+        module.exports = AxisDecisionTable;
+    } else if (typeof define === 'function' && define.amd) {
+        // AMD
+        define(function() { return AxisDecisionTable; });
+    } else {
+        // Browser global
+        global.AxisDecisionTable = AxisDecisionTable;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,815 @@
+/**
+ * AXIS Expression Language v1.0.0
+ * Sandboxed expression parser and interpreter for AXIS rules
+ *
+ * Conditions and {{...}} templates are parsed into an AST and evaluated
+ * against the state only. There is no access to globals, prototypes or
+ * host functions beyond an explicit whitelist.
+ *
+ * @license MIT
+ * @author AXIS Project
+ */
+
+(function(global) {
+    'use strict';
+
+    // Identifiers that lead into the prototype chain; referencing them fails
+    // validation. Other names only ever resolve to the scope's own fields, so
+    // a state field called `document` or `process` is ordinary data.
+    const FORBIDDEN_IDENTIFIERS = new Set(['constructor', '__proto__', 'prototype']);
+
+    // Property names that lead out of plain data into the prototype chain
+    const FORBIDDEN_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+
+    // Reserved words the language does not support
+    const RESERVED_WORDS = new Set([
+        'new', 'function', 'this', 'class', 'import', 'export', 'delete',
+        'void', 'in', 'instanceof', 'var', 'let', 'const', 'return', 'yield',
+        'await', 'async', 'super', 'with'
+    ]);
+
+    const PUNCTUATORS = [
+        '===', '!==', '==', '!=', '<=', '>=', '&&', '||', '??',
+        '!', '<', '>', '+', '-', '*', '/', '%', '(', ')', '[', ']', '.', ',', '?', ':'
+    ];
+
+    /**
+     * Numeric values of a series, optionally only the last `window` items
+     * A string `field` first picks that (dotted) field from each item, so
+     * `avg(items, "price", 5)` and `avg(history.price, 5)` both work.
+     * Non-numeric entries (null, strings) are skipped.
+     */
+    function numbers(series, field, window) {
+        if (!Array.isArray(series)) return [];
+        if (typeof field !== 'string') {
+            window = field;
+            field = undefined;
+        }
+        const recent = typeof window === 'number' && window > 0 ? series.slice(-window) : series;
+        const values = field === undefined ? recent : recent.map(item => pluck(item, field));
+        return values.filter(value => typeof value === 'number' && isFinite(value));
+    }
+
+    /**
+     * Read a dotted field of a collection item; undefined when missing
+     */
+    function pluck(item, field) {
+        return field.split('.').reduce((value, key) => getMember(value, key), item);
+    }
+
+    /**
+     * Aggregates over arrays: a monitor's history, order line items, ...
+     * Each takes an optional field to read from every item and an optional
+     * window of trailing items, and returns null when the series has no
+     * numbers (sum returns 0).
+     */
+    const AGGREGATES = {
+        sum: (series, field, window) => numbers(series, field, window).reduce((sum, value) => sum + value, 0),
+        last: (series, field, window) => {
+            const values = numbers(series, field, window);
+            return values.length ? values[values.length - 1] : null;
+        },
+        avg: (series, field, window) => {
+            const values = numbers(series, field, window);
+            return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        },
+        min: (series, field, window) => {
+            const values = numbers(series, field, window);
+            return values.length ? Math.min(...values) : null;
+        },
+        max: (series, field, window) => {
+            const values = numbers(series, field, window);
+            return values.length ? Math.max(...values) : null;
+        },
+        // Average change per item between the first and last value
+        rate: (series, field, window) => {
+            const values = numbers(series, field, window);
+            return values.length > 1 ? (values[values.length - 1] - values[0]) / (values.length - 1) : null;
+        },
+        // Percent change from the first to the last value
+        change: (series, field, window) => {
+            const values = numbers(series, field, window);
+            if (values.length < 2 || values[0] === 0) return null;
+            return (values[values.length - 1] - values[0]) / Math.abs(values[0]) * 100;
+        },
+        // p-th percentile (0-100), interpolating between ranks
+        percentile: (series, p, window) => {
+            const values = numbers(series, window).sort((a, b) => a - b);
+            if (!values.length || typeof p !== 'number') return null;
+            const rank = Math.min(Math.max(p, 0), 100) / 100 * (values.length - 1);
+            const lower = Math.floor(rank);
+            const upper = Math.ceil(rank);
+            return values[lower] + (values[upper] - values[lower]) * (rank - lower);
+        }
+    };
+
+    /**
+     * Default function whitelist available to every expression
+     */
+    const BUILTINS = {
+        ...AGGREGATES,
+        Math: {
+            abs: Math.abs,
+            ceil: Math.ceil,
+            floor: Math.floor,
+            round: Math.round,
+            trunc: Math.trunc,
+            sign: Math.sign,
+            max: Math.max,
+            min: Math.min,
+            pow: Math.pow,
+            sqrt: Math.sqrt,
+            log: Math.log,
+            exp: Math.exp,
+            PI: Math.PI,
+            E: Math.E
+        },
+        Number: (value) => Number(value),
+        String: (value) => String(value),
+        Boolean: (value) => Boolean(value),
+        parseInt: (value, radix) => parseInt(value, radix),
+        parseFloat: (value) => parseFloat(value),
+        isNaN: (value) => isNaN(value),
+        isFinite: (value) => isFinite(value)
+    };
+
+    const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+    /**
+     * Error raised for syntax errors and disallowed operations
+     */
+    class ExpressionError extends Error {
+        constructor(message, position) {
+            super(position === undefined ? message : `${message} at position ${position}`);
+            this.name = 'ExpressionError';
+            this.position = position;
+        }
+    }
+
+    /**
+     * AXIS Expression interpreter
+     * Parses, validates and evaluates expressions with a function whitelist
+     */
+    class AxisExpression {
+        /**
+         * @param {Object} options - Interpreter options
+         * @param {Object} options.functions - Additional whitelisted functions (may be nested namespaces)
+         */
+        constructor(options = {}) {
+            this.functions = {
+                ...BUILTINS,
+                // Predicates are expressions too, so these need the interpreter
+                filter: (series, predicate) => this.select(series, predicate),
+                count: (series, predicate) => (predicate === undefined
+                    ? (Array.isArray(series) ? series.length : 0)
+                    : this.select(series, predicate).length),
+                ...(options.functions || {})
+            };
+            this.cache = new Map();
+            this.checked = new WeakSet();
+        }
+
+        /**
+         * Parse an expression into an AST (cached per source string)
+         * @param {string} source - Expression source
+         * @returns {Object} AST root node
+         */
+        parse(source) {
+            if (typeof source !== 'string') {
+                throw new ExpressionError('Expression must be a string');
+            }
+            if (this.cache.has(source)) return this.cache.get(source);
+
+            const parser = new Parser(tokenize(source));
+            const ast = parser.parseExpression();
+            parser.expectEnd();
+
+            this.cache.set(source, ast);
+            return ast;
+        }
+
+        /**
+         * Evaluate an expression against a scope
+         * @param {string|Object} expression - Expression source or parsed AST
+         * @param {Object} scope - Variables visible to the expression
+         * @returns {*} Result of evaluation
+         */
+        evaluate(expression, scope = {}) {
+            const ast = typeof expression === 'string' ? this.parse(expression) : expression;
+            if (!this.checked.has(ast)) {
+                const errors = this.check(ast);
+                if (errors.length > 0) throw new ExpressionError(errors[0]);
+                this.checked.add(ast);
+            }
+            return this.evaluateNode(ast, scope || {});
+        }
+
+        /**
+         * Validate an expression without evaluating it
+         * @param {string} source - Expression source
+         * @returns {string[]} Array of validation error messages
+         */
+        validate(source) {
+            try {
+                return this.check(this.parse(source));
+            } catch (e) {
+                return [e.message];
+            }
+        }
+
+        /**
+         * Items of an array for which a predicate expression holds
+         * The predicate sees the item's own fields plus `item` and `index`,
+         * e.g. filter(items, "qty > 10 && !item.gift").
+         * @param {Array} series - Collection
+         * @param {string} predicate - Expression source
+         * @returns {Array} Matching items (empty when series is not an array)
+         */
+        select(series, predicate) {
+            if (typeof predicate !== 'string') {
+                throw new ExpressionError('filter() and count() take the predicate as an expression string');
+            }
+            if (!Array.isArray(series)) return [];
+            return series.filter((item, index) => {
+                const scope = item !== null && typeof item === 'object' && !Array.isArray(item)
+                    ? { ...item, item, index }
+                    : { item, index };
+                return Boolean(this.evaluate(predicate, scope));
+            });
+        }
+
+        /**
+         * Resolve {{...}} templates in a string
+         * A string that is a single template returns the raw value,
+         * otherwise each template is interpolated as text.
+         * @param {*} template - Value that may contain templates
+         * @param {Object} scope - Variables visible to the expressions
+         * @param {Function} format - Converts interpolated values to text, called with (value, offset of the template); defaults to String
+         * @returns {*} Resolved value
+         */
+        resolveTemplate(template, scope = {}, format = String) {
+            if (typeof template !== 'string') return template;
+
+            const whole = template.match(/^\s*\{\{([\s\S]*?)\}\}\s*$/);
+            if (whole && !whole[1].includes('{{')) {
+                return this.evaluate(whole[1].trim(), scope);
+            }
+
+            return template.replace(/\{\{([\s\S]*?)\}\}/g, (_, expression, offset) => {
+                const value = this.evaluate(expression.trim(), scope);
+                return value === undefined || value === null ? '' : format(value, offset);
+            });
+        }
+
+        /**
+         * Extract the expressions contained in a template string
+         * @param {string} template - Template string
+         * @returns {string[]} Expression sources
+         */
+        templateExpressions(template) {
+            if (typeof template !== 'string') return [];
+            const expressions = [];
+            template.replace(/\{\{([\s\S]*?)\}\}/g, (_, expression) => {
+                expressions.push(expression.trim());
+                return '';
+            });
+            return expressions;
+        }
+
+        /**
+         * List the variable paths an expression reads
+         * `user.name` and `env["TOKEN"]` yield full paths; a dynamic
+         * index such as `items[i]` yields `items` and `i`.
+         * @param {string} source - Expression source
+         * @returns {string[][]} Paths such as [["user", "name"], ["i"]]
+         */
+        references(source) {
+            const paths = [];
+
+            const pathOf = (node) => {
+                if (node.type === 'Identifier') return [node.name];
+                if (node.type !== 'Member') return null;
+                const base = pathOf(node.object);
+                if (!base) return null;
+                if (!node.computed) return [...base, node.property];
+                return node.property.type === 'Literal' ? [...base, String(node.property.value)] : null;
+            };
+
+            const visit = (node) => {
+                const path = pathOf(node);
+                if (path) {
+                    paths.push(path);
+                    return;
+                }
+                switch (node.type) {
+                    case 'Member':
+                        visit(node.object);
+                        if (node.computed) visit(node.property);
+                        break;
+                    case 'Call':
+                        node.args.forEach(visit);
+                        break;
+                    case 'Unary':
+                        visit(node.argument);
+                        break;
+                    case 'Binary':
+                    case 'Logical':
+                        visit(node.left);
+                        visit(node.right);
+                        break;
+                    case 'Conditional':
+                        visit(node.test);
+                        visit(node.consequent);
+                        visit(node.alternate);
+                        break;
+                    case 'Array':
+                        node.elements.forEach(visit);
+                        break;
+                }
+            };
+
+            visit(this.parse(source));
+            return paths;
+        }
+
+        /**
+         * Walk an AST and collect whitelist violations
+         * @param {Object} ast - AST root node
+         * @returns {string[]} Array of validation error messages
+         */
+        check(ast) {
+            const errors = [];
+
+            const visit = (node) => {
+                switch (node.type) {
+                    case 'Identifier':
+                        if (FORBIDDEN_IDENTIFIERS.has(node.name)) {
+                            errors.push(`Access to "${node.name}" is not allowed`);
+                        }
+                        break;
+                    case 'Member':
+                        if (!node.computed && FORBIDDEN_PROPERTIES.has(node.property)) {
+                            errors.push(`Access to property "${node.property}" is not allowed`);
+                        }
+                        if (node.computed && node.property.type === 'Literal' &&
+                            FORBIDDEN_PROPERTIES.has(String(node.property.value))) {
+                            errors.push(`Access to property "${node.property.value}" is not allowed`);
+                        }
+                        visit(node.object);
+                        if (node.computed) visit(node.property);
+                        break;
+                    case 'Call': {
+                        const path = staticPath(node.callee);
+                        if (!path) {
+                            errors.push('Only whitelisted functions can be called');
+                        } else if (typeof this.lookupFunction(path) !== 'function') {
+                            errors.push(`Function "${path.join('.')}" is not allowed`);
+                        }
+                        node.args.forEach(visit);
+                        break;
+                    }
+                    case 'Unary':
+                        visit(node.argument);
+                        break;
+                    case 'Binary':
+                    case 'Logical':
+                        visit(node.left);
+                        visit(node.right);
+                        break;
+                    case 'Conditional':
+                        visit(node.test);
+                        visit(node.consequent);
+                        visit(node.alternate);
+                        break;
+                    case 'Array':
+                        node.elements.forEach(visit);
+                        break;
+                }
+            };
+
+            visit(ast);
+            return errors;
+        }
+
+        /**
+         * Evaluate a single AST node
+         * @param {Object} node - AST node
+         * @param {Object} scope - Variables visible to the expression
+         * @returns {*} Node value
+         */
+        evaluateNode(node, scope) {
+            switch (node.type) {
+                case 'Literal':
+                    return node.value;
+
+                case 'Identifier':
+                    return hasOwn(scope, node.name) ? scope[node.name] : undefined;
+
+                case 'Member': {
+                    // Whitelisted constants such as Math.PI, unless shadowed by state
+                    const path = staticPath(node);
+                    if (path && !hasOwn(scope, path[0])) {
+                        const constant = this.lookupFunction(path);
+                        if (constant !== undefined && typeof constant !== 'function' &&
+                            typeof constant !== 'object') {
+                            return constant;
+                        }
+                    }
+
+                    const object = this.evaluateNode(node.object, scope);
+                    const key = node.computed ? this.evaluateNode(node.property, scope) : node.property;
+                    return getMember(object, key);
+                }
+
+                case 'Call': {
+                    const path = staticPath(node.callee);
+                    const fn = path && this.lookupFunction(path);
+                    if (typeof fn !== 'function') {
+                        throw new ExpressionError(`Function "${path ? path.join('.') : '?'}" is not allowed`);
+                    }
+                    const args = node.args.map(arg => this.evaluateNode(arg, scope));
+                    return fn.apply(null, args);
+                }
+
+                case 'Unary': {
+                    const value = this.evaluateNode(node.argument, scope);
+                    switch (node.operator) {
+                        case '!': return !value;
+                        case '-': return -value;
+                        case '+': return +value;
+                        case 'typeof': return typeof value;
+                    }
+                    break;
+                }
+
+                case 'Logical': {
+                    const left = this.evaluateNode(node.left, scope);
+                    switch (node.operator) {
+                        case '&&': return left ? this.evaluateNode(node.right, scope) : left;
+                        case '||': return left ? left : this.evaluateNode(node.right, scope);
+                        case '??': return left !== null && left !== undefined
+                            ? left
+                            : this.evaluateNode(node.right, scope);
+                    }
+                    break;
+                }
+
+                case 'Binary': {
+                    const left = this.evaluateNode(node.left, scope);
+                    const right = this.evaluateNode(node.right, scope);
+                    switch (node.operator) {
+                        case '+': return left + right;
+                        case '-': return left - right;
+                        case '*': return left * right;
+                        case '/': return left / right;
+                        case '%': return left % right;
+                        case '==': return left == right;
+                        case '!=': return left != right;
+                        case '===': return left === right;
+                        case '!==': return left !== right;
+                        case '<': return left < right;
+                        case '<=': return left <= right;
+                        case '>': return left > right;
+                        case '>=': return left >= right;
+                    }
+                    break;
+                }
+
+                case 'Conditional':
+                    return this.evaluateNode(node.test, scope)
+                        ? this.evaluateNode(node.consequent, scope)
+                        : this.evaluateNode(node.alternate, scope);
+
+                case 'Array':
+                    return node.elements.map(element => this.evaluateNode(element, scope));
+            }
+
+            throw new ExpressionError(`Unsupported expression node: ${node.type}`);
+        }
+
+        /**
+         * Look up a whitelisted function or constant by dotted path
+         * @param {string[]} path - Path segments, e.g. ['Math', 'max']
+         * @returns {*} Function, constant or undefined
+         */
+        lookupFunction(path) {
+            let current = this.functions;
+            for (const segment of path) {
+                if (current === null || typeof current !== 'object' || !hasOwn(current, segment)) {
+                    return undefined;
+                }
+                current = current[segment];
+            }
+            return current;
+        }
+    }
+
+    /**
+     * Read a property from plain data only (own properties and length)
+     * @param {*} object - Value to read from
+     * @param {*} key - Property name or index
+     * @returns {*} Property value
+     */
+    function getMember(object, key) {
+        if (object === null || object === undefined) {
+            throw new TypeError(`Cannot read property "${key}" of ${object}`);
+        }
+        const name = String(key);
+        if (FORBIDDEN_PROPERTIES.has(name)) {
+            throw new ExpressionError(`Access to property "${name}" is not allowed`);
+        }
+        if ((typeof object === 'string' || Array.isArray(object)) && name === 'length') {
+            return object.length;
+        }
+        if (typeof object === 'string') {
+            return /^\d+$/.test(name) ? object[name] : undefined;
+        }
+        if (typeof object !== 'object') return undefined;
+        return hasOwn(object, name) ? object[name] : undefined;
+    }
+
+    /**
+     * Convert an Identifier/Member chain into a static path
+     * @param {Object} node - AST node
+     * @returns {string[]|null} Path segments, or null if the chain is dynamic
+     */
+    function staticPath(node) {
+        if (node.type === 'Identifier') return [node.name];
+        if (node.type === 'Member' && !node.computed) {
+            const base = staticPath(node.object);
+            return base ? [...base, node.property] : null;
+        }
+        return null;
+    }
+
+    /**
+     * Split source into tokens
+     * @param {string} source - Expression source
+     * @returns {Object[]} Tokens with type, value and position
+     */
+    function tokenize(source) {
+        const tokens = [];
+        const identifierStart = /[\p{L}_$]/u;
+        const identifierPart = /[\p{L}\p{N}_$]/u;
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            // Numbers: 12, 1.5, .5, 1e3
+            if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+                const match = source.slice(i).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/);
+                tokens.push({ type: 'number', value: parseFloat(match[0]), position: i });
+                i += match[0].length;
+                continue;
+            }
+
+            // Strings with standard escapes
+            if (char === '"' || char === "'") {
+                const start = i;
+                let value = '';
+                i++;
+                while (i < source.length && source[i] !== char) {
+                    if (source[i] === '\\') {
+                        const next = source[i + 1];
+                        const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+                        value += hasOwn(escapes, next) ? escapes[next] : next;
+                        i += 2;
+                    } else {
+                        value += source[i++];
+                    }
+                }
+                if (i >= source.length) throw new ExpressionError('Unterminated string', start);
+                i++;
+                tokens.push({ type: 'string', value, position: start });
+                continue;
+            }
+
+            if (identifierStart.test(char)) {
+                const start = i;
+                while (i < source.length && identifierPart.test(source[i])) i++;
+                tokens.push({ type: 'identifier', value: source.slice(start, i), position: start });
+                continue;
+            }
+
+            const punctuator = PUNCTUATORS.find(p => source.startsWith(p, i));
+            if (!punctuator || source.startsWith('=>', i)) {
+                const text = source.startsWith('=>', i) ? '=>' : char;
+                throw new ExpressionError(`Unexpected token "${text}"`, i);
+            }
+            tokens.push({ type: 'punctuator', value: punctuator, position: i });
+            i += punctuator.length;
+        }
+
+        tokens.push({ type: 'end', value: null, position: source.length });
+        return tokens;
+    }
+
+    /**
+     * Recursive descent parser following JavaScript operator precedence
+     */
+    class Parser {
+        constructor(tokens) {
+            this.tokens = tokens;
+            this.index = 0;
+        }
+
+        peek() {
+            return this.tokens[this.index];
+        }
+
+        next() {
+            return this.tokens[this.index++];
+        }
+
+        match(value) {
+            const token = this.peek();
+            if (token.type === 'punctuator' && token.value === value) {
+                this.index++;
+                return true;
+            }
+            return false;
+        }
+
+        expect(value) {
+            if (!this.match(value)) this.unexpected();
+        }
+
+        expectEnd() {
+            if (this.peek().type !== 'end') this.unexpected();
+        }
+
+        unexpected() {
+            const token = this.peek();
+            if (token.type === 'end') throw new ExpressionError('Unexpected end of expression', token.position);
+            throw new ExpressionError(`Unexpected token "${token.value}"`, token.position);
+        }
+
+        parseExpression() {
+            return this.parseConditional();
+        }
+
+        parseConditional() {
+            const test = this.parseNullish();
+            if (!this.match('?')) return test;
+            const consequent = this.parseConditional();
+            this.expect(':');
+            const alternate = this.parseConditional();
+            return { type: 'Conditional', test, consequent, alternate };
+        }
+
+        parseNullish() {
+            let left = this.parseOr();
+            while (this.match('??')) {
+                left = { type: 'Logical', operator: '??', left, right: this.parseOr() };
+            }
+            return left;
+        }
+
+        parseOr() {
+            let left = this.parseAnd();
+            while (this.match('||')) {
+                left = { type: 'Logical', operator: '||', left, right: this.parseAnd() };
+            }
+            return left;
+        }
+
+        parseAnd() {
+            let left = this.parseEquality();
+            while (this.match('&&')) {
+                left = { type: 'Logical', operator: '&&', left, right: this.parseEquality() };
+            }
+            return left;
+        }
+
+        parseBinary(operators, parseOperand) {
+            let left = parseOperand();
+            for (;;) {
+                const operator = operators.find(op => this.match(op));
+                if (!operator) return left;
+                left = { type: 'Binary', operator, left, right: parseOperand() };
+            }
+        }
+
+        parseEquality() {
+            return this.parseBinary(['===', '!==', '==', '!='], () => this.parseRelational());
+        }
+
+        parseRelational() {
+            return this.parseBinary(['<=', '>=', '<', '>'], () => this.parseAdditive());
+        }
+
+        parseAdditive() {
+            return this.parseBinary(['+', '-'], () => this.parseMultiplicative());
+        }
+
+        parseMultiplicative() {
+            return this.parseBinary(['*', '/', '%'], () => this.parseUnary());
+        }
+
+        parseUnary() {
+            const token = this.peek();
+            if (token.type === 'identifier' && token.value === 'typeof') {
+                this.next();
+                return { type: 'Unary', operator: 'typeof', argument: this.parseUnary() };
+            }
+            for (const operator of ['!', '-', '+']) {
+                if (this.match(operator)) {
+                    return { type: 'Unary', operator, argument: this.parseUnary() };
+                }
+            }
+            return this.parsePostfix();
+        }
+
+        parsePostfix() {
+            let node = this.parsePrimary();
+            for (;;) {
+                if (this.match('.')) {
+                    const token = this.next();
+                    if (token.type !== 'identifier') {
+                        this.index--;
+                        this.unexpected();
+                    }
+                    node = { type: 'Member', object: node, property: token.value, computed: false };
+                } else if (this.match('[')) {
+                    const property = this.parseExpression();
+                    this.expect(']');
+                    node = { type: 'Member', object: node, property, computed: true };
+                } else if (this.match('(')) {
+                    const args = [];
+                    if (!this.match(')')) {
+                        do {
+                            args.push(this.parseExpression());
+                        } while (this.match(','));
+                        this.expect(')');
+                    }
+                    node = { type: 'Call', callee: node, args };
+                } else {
+                    return node;
+                }
+            }
+        }
+
+        parsePrimary() {
+            const token = this.next();
+
+            if (token.type === 'number' || token.type === 'string') {
+                return { type: 'Literal', value: token.value };
+            }
+
+            if (token.type === 'identifier') {
+                switch (token.value) {
+                    case 'true': return { type: 'Literal', value: true };
+                    case 'false': return { type: 'Literal', value: false };
+                    case 'null': return { type: 'Literal', value: null };
+                    case 'undefined': return { type: 'Literal', value: undefined };
+                }
+                if (RESERVED_WORDS.has(token.value)) {
+                    throw new ExpressionError(`"${token.value}" is not allowed`, token.position);
+                }
+                return { type: 'Identifier', name: token.value };
+            }
+
+            if (token.type === 'punctuator' && token.value === '(') {
+                const expression = this.parseExpression();
+                this.expect(')');
+                return expression;
+            }
+
+            if (token.type === 'punctuator' && token.value === '[') {
+                const elements = [];
+                if (!this.match(']')) {
+                    do {
+                        elements.push(this.parseExpression());
+                    } while (this.match(','));
+                    this.expect(']');
+                }
+                return { type: 'Array', elements };
+            }
+
+            this.index--;
+            this.unexpected();
+        }
+    }
+
+    AxisExpression.ExpressionError = ExpressionError;
+    AxisExpression.BUILTINS = BUILTINS;
+
+    // Export for different environments
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js
+        module.exports = AxisExpression;
+    } else if (typeof define === 'function' && define.amd) {
+        // AMD
+        define(function() { return AxisExpression; });
+    } else {
+        // Browser global
+        global.AxisExpression = AxisExpression;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
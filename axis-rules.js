@@ -12,135 +12,741 @@
 (function(global) {
     'use strict';
 
+    // Sandboxed expression interpreter used for conditions and templates
+    const AxisExpression = (typeof module !== 'undefined' && module.exports)
+        ? require('./axis-expression')
+        : global.AxisExpression;
+
+    /**
+     * Deep copy a value for the audit trail so later writes cannot alter it
+     */
+    function snapshot(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Split "order.items[2].price" into keys; `index` marks bracketed array indexes
+     * @param {string} path - Dotted path with optional [n] indexes
+     * @returns {Object[]} [{ key: "order" }, { key: "items" }, { key: "2", index: true }, { key: "price" }]
+     */
+    function pathSegments(path) {
+        const segments = [];
+        path.replace(/\[(\d+)\]|[^.[\]]+/g, (match, index) => {
+            segments.push(index === undefined ? { key: match } : { key: index, index: true });
+            return match;
+        });
+        return segments;
+    }
+
+    /**
+     * Read value at nested path like "user.status" or "items[0].price"; undefined if any segment is missing
+     */
+    function readPath(obj, path) {
+        return pathSegments(path).reduce((current, { key }) => (
+            current !== null && typeof current === 'object' && Object.prototype.hasOwnProperty.call(current, key)
+                ? current[key]
+                : undefined
+        ), obj);
+    }
+
+    // Branch keys that are actions rather than field writes
+    const ACTIONS = ['$halt', '$skipGroup'];
+
+    // Path segments that would reach a prototype instead of a field
+    const UNSAFE_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+    /**
+     * First segment of a path that would write through to a prototype
+     * @param {string} path - Dotted path with optional [n] indexes
+     * @returns {string|undefined} The unsafe segment, if any
+     */
+    function unsafeSegment(path) {
+        const segment = pathSegments(path).find(({ key }) => UNSAFE_SEGMENTS.includes(key));
+        return segment && segment.key;
+    }
+
+    // `prev` of the first entry in a hash chain
+    const GENESIS = '0'.repeat(64);
+
+    const SHA256_K = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ];
+
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    /**
+     * SHA-256 of a string's UTF-8 bytes
+     * Synchronous so audit entries can be chained as they are logged;
+     * crypto.subtle is async-only in the browser.
+     * @param {string} text - Input
+     * @returns {string} 64-character hex digest
+     */
+    function sha256(text) {
+        const bytes = new TextEncoder().encode(text);
+        const padded = new Uint8Array(((bytes.length + 72) >> 6) << 6);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+
+        const view = new DataView(padded.buffer);
+        const bits = bytes.length * 8;
+        view.setUint32(padded.length - 8, Math.floor(bits / 0x100000000));
+        view.setUint32(padded.length - 4, bits >>> 0);
+
+        const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const w = new Uint32Array(64);
+
+        for (let offset = 0; offset < padded.length; offset += 64) {
+            for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+            }
+
+            let [a, b, c, d, e, f, g, h] = hash;
+            for (let i = 0; i < 64; i++) {
+                const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i];
+                const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+            [a, b, c, d, e, f, g, h].forEach((value, i) => { hash[i] = (hash[i] + value) | 0; });
+        }
+
+        return hash.map(value => (value >>> 0).toString(16).padStart(8, '0')).join('');
+    }
+
+    /**
+     * JSON with object keys sorted at every level, so equal values
+     * always serialize (and hash) the same way
+     * @param {*} value - JSON-compatible value
+     * @returns {string} Canonical JSON
+     */
+    function canonicalJSON(value) {
+        if (value && typeof value.toJSON === 'function') value = value.toJSON();
+        if (Array.isArray(value)) {
+            return `[${value.map(item => (item === undefined ? 'null' : canonicalJSON(item))).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Clock from an epoch-ms function, or a fixed time (epoch ms or ISO string)
+     */
+    function clockFrom(clock) {
+        if (typeof clock === 'function') return clock;
+        const time = new Date(clock).getTime();
+        if (isNaN(time)) throw new Error(`Invalid clock: ${JSON.stringify(clock)}`);
+        return () => time;
+    }
+
+    /**
+     * Seeded PRNG (mulberry32) with Math.random's contract: floats in [0, 1)
+     * @param {number|string} seed - 32-bit integer, or any string
+     * @returns {Function} Random source
+     */
+    function seededRandom(seed) {
+        let state = typeof seed === 'number' ? seed >>> 0 : parseInt(sha256(String(seed)).slice(0, 8), 16);
+        return () => {
+            state = (state + 0x6d2b79f5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), state | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Summarize a cycle: the state after iteration `to` equals the state
+     * after iteration `since`, so the iterations in between repeat forever
+     * @param {number} since - Iteration whose state came back (0 = input)
+     * @param {number} to - Iteration that reproduced it
+     * @param {Object[]} firings - Per iteration, the rules and fields that changed
+     * @returns {Object} { length, since, rules, fields }
+     */
+    function describeCycle(since, to, firings) {
+        const loop = firings.slice(since, to);
+        const unique = values => values.filter((value, index) => values.indexOf(value) === index);
+        return {
+            length: to - since,
+            since,
+            rules: unique([].concat(...loop.map(f => f.rules))),
+            fields: unique([].concat(...loop.map(f => f.fields)))
+        };
+    }
+
+    /**
+     * Raised by strict runs whose rules never reach a fixpoint
+     */
+    class ConvergenceError extends Error {
+        /**
+         * @param {string} message - Error message
+         * @param {Object} result - The apply() result up to the point it stopped, with `convergence`
+         */
+        constructor(message, result) {
+            super(message);
+            this.name = 'ConvergenceError';
+            this.iterations = result.iterations;
+            this.cycle = result.convergence.cycle;
+            this.result = result;
+        }
+    }
+
+    /**
+     * Hash of an audit entry: everything but its own `hash` field
+     */
+    function entryHash(entry) {
+        const { hash, ...fields } = entry;
+        return sha256(canonicalJSON(fields));
+    }
+
+    const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+    // Joins an include's namespace to the names of its rules: "loyalty/min-income"
+    const NAMESPACE_SEPARATOR = '/';
+
+    /**
+     * Whether an include names a file or URL rather than a registry entry
+     */
+    function isRulePath(ref) {
+        return /^(\.{1,2}\/|\/|[a-z][a-z0-9+.-]*:)/i.test(ref);
+    }
+
+    /**
+     * Replace `${name}` in every string and object key of a value
+     * A string that is exactly one `${name}` takes the parameter as is, so
+     * numbers and booleans keep their type.
+     * @param {*} value - Rules configuration or part of it
+     * @param {Object} params - Parameter values by name
+     * @param {string} location - Rule set being expanded, for error messages
+     * @returns {*} Copy with parameters substituted
+     */
+    function substitute(value, params, location) {
+        const param = name => {
+            if (!hasOwn(params, name)) throw new Error(`${location}: unknown parameter "\${${name}}"`);
+            return params[name];
+        };
+        if (typeof value === 'string') {
+            const whole = /^\$\{(\w+)\}$/.exec(value);
+            if (whole) return param(whole[1]);
+            return value.replace(/\$\{(\w+)\}/g, (match, name) => String(param(name)));
+        }
+        if (Array.isArray(value)) return value.map(item => substitute(item, params, location));
+        if (value && typeof value === 'object') {
+            return Object.keys(value).reduce((copy, key) => {
+                copy[substitute(key, params, location)] = substitute(value[key], params, location);
+                return copy;
+            }, {});
+        }
+        return value;
+    }
+
+    /**
+     * Fill in a rule set template: the `with` values of an include over
+     * the defaults its `params` declare (null marks a required parameter)
+     * @param {Object} config - Included rules configuration
+     * @param {Object} given - The include's `with` values
+     * @param {string} location - Where the rule set came from, for error messages
+     * @returns {Object} Configuration with parameters substituted and `params` removed
+     */
+    function bindParams(config, given, location) {
+        const declared = config.params || {};
+        Object.keys(given).forEach(name => {
+            if (!hasOwn(declared, name)) throw new Error(`${location}: unknown parameter "${name}"`);
+        });
+        if (!config.params) return config;
+
+        const params = {};
+        Object.keys(declared).forEach(name => {
+            params[name] = hasOwn(given, name) ? given[name] : declared[name];
+            if (params[name] === null) throw new Error(`${location}: parameter "${name}" is required`);
+        });
+        const { params: ignored, ...body } = config;
+        return substitute(body, params, location);
+    }
+
     /**
      * AXIS Rules Engine
      * Applies declarative rules to JSON data with deterministic execution
      */
     class AxisRulesEngine {
-        constructor() {
+        /**
+         * @param {Object} options - Engine options
+         * @param {boolean} options.chain - Hash-chain audit entries (see log())
+         * @param {Function|number|string} options.clock - Default clock for apply() (see setClock())
+         * @param {number|string} options.seed - Default random seed for apply()
+         * @param {boolean} options.strict - Default for apply()'s `strict`
+         */
+        constructor(options = {}) {
             this.auditTrail = [];
             this.conflictLog = [];
             this.currentIteration = 0;
+            this.chain = Boolean(options.chain);
+            this.chainHead = GENESIS;
+            this.context = {};
+            this.hashes = {};
+            this.defaults = { clock: options.clock, seed: options.seed, strict: Boolean(options.strict) };
+            this.setClock(this.defaults.clock, this.defaults.seed);
             this.version = '1.0.0';
+            this.expressions = new AxisExpression({
+                functions: {
+                    now: () => new Date(this.now()).toISOString(),
+                    timestamp: () => this.now(),
+                    uuid: () => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+                        const r = this.random() * 16 | 0, v = c == 'x' ? r : (r & 0x3 | 0x8);
+                        return v.toString(16);
+                    })
+                }
+            });
+        }
+
+        /**
+         * Choose the time and randomness behind now(), timestamp(), uuid()
+         * and audit timestamps. Without either, the real clock and
+         * Math.random are used; with both, equal inputs give byte-identical
+         * output and audit trails.
+         * @param {Function|number|string} clock - Epoch-ms function, or a fixed time (epoch ms or ISO string)
+         * @param {number|string} seed - PRNG seed; the sequence restarts on every call
+         */
+        setClock(clock, seed) {
+            this.now = clock === undefined ? () => Date.now() : clockFrom(clock);
+            this.random = seed === undefined ? Math.random : seededRandom(seed);
         }
 
         /**
          * Apply rules to input data with priority-aware fixpoint iteration
+         * The state is hashed after every iteration; a state seen before
+         * means the rules oscillate and can never settle, and is reported
+         * as a `cycle` event and in `convergence.cycle`. Unsettled runs
+         * still return the last state unless `strict` is set, in which case
+         * they throw a ConvergenceError (as soon as a cycle is found).
+         *
+         * With `stages` (group names, or { name, max_iterations }), the
+         * rules of each `group` run to their own fixpoint, one stage after
+         * another. A branch can also carry actions: `$halt` (true or a
+         * reason) stops the whole run, `$skipGroup` (true, or stage names)
+         * ends the current stage or skips later ones.
          * @param {Object} inputData - Initial JSON state
-         * @param {Object} rulesConfig - Rules configuration with max_iterations and rules array
-         * @returns {Object} Result with input, output, iterations, audit trail, and conflicts
+         * @param {Object} rulesConfig - Rules configuration with max_iterations, stages and rules array
+         * @param {Object} options - Run options
+         * @param {Object} options.context - Fields stamped on every audit entry, e.g. { service }
+         * @param {Function|number|string} options.clock - Clock for this run (defaults to the engine's)
+         * @param {number|string} options.seed - Random seed for this run (defaults to the engine's)
+         * @param {boolean} options.record - Also return `frames`: the input, then the state after every rule firing
+         * @param {boolean} options.strict - Throw a ConvergenceError instead of returning an unsettled state
+         * @returns {Object} Result with input, output, iterations, audit trail, conflicts, convergence, halted and stages
          */
-        apply(inputData, rulesConfig) {
+        apply(inputData, rulesConfig, options = {}) {
+            if (rulesConfig.include) {
+                throw new Error('Rules configuration has an unexpanded "include"; await AxisRulesEngine.expand() first');
+            }
+
             // Initialize execution state
             this.auditTrail = [];
             this.conflictLog = [];
             this.currentIteration = 0;
-            
+            this.context = options.context || {};
+            this.setClock(
+                options.clock !== undefined ? options.clock : this.defaults.clock,
+                options.seed !== undefined ? options.seed : this.defaults.seed
+            );
+            this.hashes = this.chain
+                ? { rulesHash: this.generateRulesHash(rulesConfig), inputHash: sha256(canonicalJSON(inputData)) }
+                : {};
+
             // Deep copy input to prevent mutation
-            let currentState = JSON.parse(JSON.stringify(inputData));
-            let iteration = 0;
-            let changed = true;
+            const run = {
+                state: JSON.parse(JSON.stringify(inputData)),
+                iteration: 0,
+                frames: null,
+                strict: options.strict !== undefined ? Boolean(options.strict) : this.defaults.strict,
+                halted: null,
+                skipped: new Set()
+            };
+            if (options.record) {
+                run.frames = [{ iteration: 0, rule: null, branch: null, changes: [], state: snapshot(run.state) }];
+            }
             const maxIterations = rulesConfig.max_iterations || 10;
+            const staged = Array.isArray(rulesConfig.stages);
+            const stages = this.stagesOf(rulesConfig);
+            const outcomes = [];
+
+            const ruleCount = rulesConfig.rules?.length || 0;
+            this.log(`Starting rule application (${ruleCount} rules)`, 'info', { event: 'start', maxIterations, rules: ruleCount });
 
-            this.log('Starting rule application');
-            this.log(`Rules: ${rulesConfig.rules?.length || 0}`);
+            for (const stage of stages) {
+                if (run.halted || run.skipped.has(stage.name)) {
+                    const reason = run.halted ? `halted by ${run.halted.rule}` : 'skipped by a rule';
+                    this.log(`Stage ${stage.name} not run (${reason})`, 'info', { event: 'stage-skipped', stage: stage.name });
+                    outcomes.push({ name: stage.name, skipped: true, iterations: 0, converged: null, cycle: null });
+                    continue;
+                }
+
+                if (staged) {
+                    this.log(`=== Stage ${stage.name} ===`, 'info', {
+                        event: 'stage',
+                        stage: stage.name,
+                        rules: stage.rules.map(rule => rule.name),
+                        maxIterations: stage.maxIterations
+                    });
+                }
+
+                const outcome = this.runStage(stage, run);
+                outcomes.push(outcome);
+
+                if (staged) {
+                    this.log(`Stage ${stage.name} done in ${outcome.iterations} iterations`, 'info', {
+                        event: 'stage-complete',
+                        stage: stage.name,
+                        iterations: outcome.iterations,
+                        converged: outcome.converged
+                    });
+                }
+
+                // A strict run stops at the first stage that cannot settle
+                if (run.strict && !outcome.converged) break;
+            }
+
+            const ran = outcomes.filter(outcome => !outcome.skipped);
+            const unsettled = ran.find(outcome => !outcome.converged);
+            const cycle = (ran.find(outcome => outcome.cycle) || {}).cycle || null;
+
+            this.log(`Completed in ${run.iteration} iterations`, 'info', {
+                event: 'complete',
+                iterations: run.iteration,
+                converged: !unsettled,
+                ...(run.halted ? { halted: run.halted } : {})
+            });
+
+            const result = {
+                input: inputData,
+                output: run.state,
+                iterations: run.iteration,
+                audit: this.auditTrail,
+                conflicts: this.conflictLog,
+                rulesApplied: this.getRulesApplied(),
+                convergence: { converged: !unsettled, cycle },
+                halted: run.halted,
+                engine_version: this.version,
+                ...(staged ? { stages: outcomes.map(({ name, skipped, iterations, converged }) => ({ name, skipped, iterations, converged })) } : {}),
+                ...(run.frames ? { frames: run.frames } : {})
+            };
+
+            if (run.strict && unsettled) {
+                const where = staged ? ` in stage ${unsettled.name}` : '';
+                throw new ConvergenceError(
+                    unsettled.cycle
+                        ? `Rules oscillate${where}: state repeats every ${unsettled.cycle.length} iteration(s) from iteration ${unsettled.cycle.since} ` +
+                          `(fields: ${unsettled.cycle.fields.join(', ')}; rules: ${unsettled.cycle.rules.join(', ')})`
+                        : `Rules did not converge${where} within max_iterations (${unsettled.maxIterations})`,
+                    result
+                );
+            }
+            return result;
+        }
+
+        /**
+         * Stages to run in order: the listed `stages` with their group's
+         * rules, or a single unnamed stage holding every rule
+         * @param {Object} rulesConfig - Rules configuration
+         * @returns {Object[]} [{ name, rules, maxIterations }]
+         */
+        stagesOf(rulesConfig) {
+            const rules = rulesConfig.rules || [];
+            const maxIterations = rulesConfig.max_iterations || 10;
+            if (!Array.isArray(rulesConfig.stages)) {
+                return [{ name: null, rules, maxIterations }];
+            }
+            return rulesConfig.stages.map(stage => {
+                const { name, max_iterations } = typeof stage === 'string' ? { name: stage } : stage;
+                return {
+                    name,
+                    rules: rules.filter(rule => rule.group === name),
+                    maxIterations: max_iterations || maxIterations
+                };
+            });
+        }
+
+        /**
+         * Run one stage's rules to a fixpoint, updating run.state and run.iteration
+         * @param {Object} stage - { name, rules, maxIterations } from stagesOf()
+         * @param {Object} run - Shared run state: state, iteration, frames, strict, halted, skipped
+         * @returns {Object} { name, iterations, converged, cycle, maxIterations }
+         */
+        runStage(stage, run) {
+            const { maxIterations } = stage;
+            const start = run.iteration;
+            let changed = true;
+            let ended = false;
+
+            // State hash → iteration that produced it, and what changed per iteration
+            const seen = new Map([[sha256(canonicalJSON(run.state)), start]]);
+            const firings = [];
+            let cycle = null;
 
             // Sort rules by priority (lower number = higher priority)
-            const sortedRules = [...(rulesConfig.rules || [])].sort((a, b) => 
+            const sortedRules = [...stage.rules].sort((a, b) =>
                 (a.priority || 999) - (b.priority || 999)
             );
 
-            this.log(`Execution order: ${sortedRules.map(r => `${r.name}(${r.priority || 'default'})`).join(' → ')}`);
+            this.log(`Execution order: ${sortedRules.map(r => `${r.name}(${r.priority || 'default'})`).join(' → ')}`, 'info', {
+                event: 'order',
+                ...(stage.name === null ? {} : { stage: stage.name }),
+                order: sortedRules.map(r => r.name)
+            });
 
             // Fixpoint iteration - continue until no changes or max iterations
-            while (changed && iteration < maxIterations) {
+            while (changed && !ended && run.iteration - start < maxIterations) {
                 changed = false;
-                iteration++;
+                const iteration = ++run.iteration;
                 this.currentIteration = iteration;
-                this.log(`--- Iteration ${iteration} ---`);
-                
+                this.log(`--- Iteration ${iteration} ---`, 'info', { event: 'iteration' });
+
                 // Track field changes for conflict detection
                 const iterationChanges = new Map();
+                const fired = { rules: [], fields: [] };
 
-                // Apply each rule in priority order
-                for (let rule of sortedRules) {
-                    const previousState = JSON.stringify(currentState);
+                // Apply each rule in priority order; a forEach rule once per element
+                for (const rule of sortedRules) {
+                    for (const each of this.ruleScopes(rule, run.state)) {
+                        const previousState = JSON.stringify(run.state);
+                        const label = each ? `${rule.name} [${each.index}]` : rule.name;
 
-                    // Evaluate rule condition
-                    if (this.evaluateCondition(rule.if, currentState)) {
-                        this.log(`Applied: ${rule.name}`);
-                        
-                        // Apply transformations if rule has 'then' clause
-                        if (rule.then) {
+                        // Evaluate rule condition and pick the branch to apply; a
+                        // condition that fails to evaluate runs neither branch
+                        const conditionMet = this.evaluateCondition(rule.if, this.scopeOf(run.state, each));
+                        const branch = conditionMet === true ? 'then' : conditionMet === false ? 'else' : null;
+                        const transformations = branch ? rule[branch] : undefined;
+                        let changes = [];
+
+                        // Apply transformations from the selected 'then' or 'else' clause
+                        if (transformations) {
                             const stateChanges = this.applyTransformationsWithTracking(
-                                currentState, 
-                                rule.then, 
-                                rule.name,
-                                iterationChanges
+                                run.state,
+                                transformations,
+                                branch === 'else' ? `${label} (else)` : label,
+                                iterationChanges,
+                                each
                             );
-                            
-                            currentState = stateChanges.newState;
-                            
+
+                            run.state = stateChanges.newState;
+                            changes = stateChanges.changes;
+
                             // Check if state actually changed
-                            if (previousState !== JSON.stringify(currentState)) {
+                            if (previousState !== JSON.stringify(run.state)) {
                                 changed = true;
                             }
+
+                            if (run.frames) {
+                                run.frames.push({
+                                    iteration,
+                                    rule: rule.name,
+                                    ...(each ? { index: each.index } : {}),
+                                    branch,
+                                    changes,
+                                    state: snapshot(run.state)
+                                });
+                            }
+                            if (changes.length > 0) {
+                                fired.rules.push(rule.name);
+                                changes.forEach(change => fired.fields.push(change.path));
+                            }
+                        }
+
+                        const entry = {
+                            event: 'rule',
+                            rule: rule.name,
+                            ...(each ? { index: each.index } : {}),
+                            condition: rule.if === undefined ? null : rule.if,
+                            conditionResult: conditionMet,
+                            branch: transformations ? branch : null,
+                            applied: Boolean(transformations),
+                            changes
+                        };
+                        if (conditionMet === null) {
+                            this.log(`Skipped: ${label} (condition could not be evaluated)`, 'info', entry);
+                        } else if (transformations) {
+                            this.log(`Applied: ${label}${branch === 'else' ? ' (else)' : ''}`, 'info', entry);
+                        } else if (conditionMet) {
+                            this.log(`Skipped: ${label} (condition met, no then branch)`, 'info', entry);
+                        } else {
+                            this.log(`Skipped: ${label} (condition not met)`, 'info', entry);
+                        }
+
+                        if (transformations && this.runActions(transformations, rule, stage, run)) {
+                            ended = true;
+                            break;
                         }
-                    } else {
-                        this.log(`Skipped: ${rule.name} (condition not met)`);
                     }
+                    if (ended) break;
                 }
 
                 // Log conflicts if any occurred in this iteration
                 if (this.conflictLog.length > 0) {
-                    this.log(`Conflicts resolved: ${this.conflictLog.length}`, 'warning');
+                    this.log(`Conflicts resolved: ${this.conflictLog.length}`, 'warning', {
+                        event: 'conflicts',
+                        count: this.conflictLog.length
+                    });
+                }
+
+                // A repeated state can only lead round the same loop again
+                firings.push(fired);
+                if (changed && !ended && !cycle) {
+                    const hash = sha256(canonicalJSON(run.state));
+                    if (seen.has(hash)) {
+                        cycle = describeCycle(seen.get(hash) - start, iteration - start, firings);
+                        cycle.since += start;
+                        this.log(
+                            `Oscillation: state repeats every ${cycle.length} iteration(s) ` +
+                            `(fields: ${cycle.fields.join(', ')}; rules: ${cycle.rules.join(', ')})`,
+                            'warning',
+                            { event: 'cycle', ...cycle }
+                        );
+                        if (run.strict) break;
+                    } else {
+                        seen.set(hash, iteration);
+                    }
                 }
             }
 
             // Check if we hit max iterations
-            if (iteration >= maxIterations) {
-                this.log(`Stopped at max iterations: ${maxIterations}`, 'warning');
+            if (changed && !ended && run.iteration - start >= maxIterations) {
+                this.log(`Stopped at max iterations: ${maxIterations}`, 'warning', { event: 'limit' });
             }
 
-            this.log(`Completed in ${iteration} iterations`);
-
+            // A halt or skip ends the stage on purpose, which counts as settled
             return {
-                input: inputData,
-                output: currentState,
-                iterations: iteration,
-                audit: this.auditTrail,
-                conflicts: this.conflictLog,
-                rulesApplied: this.getRulesApplied(),
-                engine_version: this.version
+                name: stage.name,
+                skipped: false,
+                iterations: run.iteration - start,
+                converged: !changed || ended,
+                cycle,
+                maxIterations
             };
         }
 
+        /**
+         * Carry out a fired branch's `$halt` and `$skipGroup` actions
+         * @returns {boolean} Whether the current stage ends here
+         */
+        runActions(transformations, rule, stage, run) {
+            if (transformations.$halt) {
+                const reason = typeof transformations.$halt === 'string' ? transformations.$halt : null;
+                run.halted = { rule: rule.name, stage: stage.name, iteration: run.iteration, reason };
+                this.log(`Halted by ${rule.name}${reason ? `: ${reason}` : ''}`, 'info', { event: 'halt', ...run.halted });
+                return true;
+            }
+
+            const skip = transformations.$skipGroup;
+            if (!skip) return false;
+            const names = skip === true ? [stage.name] : [].concat(skip);
+            const added = names.filter(name => !run.skipped.has(name));
+            added.forEach(name => run.skipped.add(name));
+            if (added.length > 0) {
+                const targets = added.map(name => (name === null ? 'the remaining rules' : `stage ${name}`));
+                this.log(`${rule.name} skips ${targets.join(', ')}`, 'info', { event: 'skip', rule: rule.name, stages: added });
+            }
+            return names.includes(stage.name);
+        }
+
+        /**
+         * Apply rules with recording on and return a replay to step through
+         * @param {Object} inputData - Initial JSON state
+         * @param {Object} rulesConfig - Rules configuration
+         * @param {Object} options - apply() options
+         * @returns {RuleReplay} Replay positioned at the input
+         */
+        replay(inputData, rulesConfig, options = {}) {
+            return new RuleReplay(this.apply(inputData, rulesConfig, { ...options, record: true }));
+        }
+
+        /**
+         * Element scopes a rule runs in: [null] for a plain rule, one
+         * { as, path, index } per element for a `forEach` rule (none when
+         * the path does not hold an array)
+         * @param {Object} rule - Rule definition
+         * @param {Object} state - Current state
+         * @returns {Array} Scopes
+         */
+        ruleScopes(rule, state) {
+            if (!rule.forEach) return [null];
+            const items = this.getNestedPath(state, rule.forEach);
+            if (!Array.isArray(items)) return [];
+            return items.map((item, index) => ({ as: rule.as || 'item', path: `${rule.forEach}[${index}]`, index }));
+        }
+
+        /**
+         * State seen by a rule's condition and templates; inside forEach the
+         * current element is added as `item` (or the rule's `as`) and its
+         * position as `$index`, a name no state field is expected to use
+         */
+        scopeOf(state, each) {
+            if (!each) return state;
+            return { ...state, [each.as]: this.getNestedPath(state, each.path), $index: each.index };
+        }
+
+        /**
+         * Target path of a transformation: `item.x` inside forEach writes the element
+         */
+        targetPath(path, each) {
+            if (!each) return path;
+            const [head] = pathSegments(path);
+            return head && head.key === each.as && !head.index ? each.path + path.slice(each.as.length) : path;
+        }
+
         /**
          * Apply transformations with conflict tracking
          * @param {Object} state - Current state
          * @param {Object} transformations - Field transformations to apply
          * @param {string} ruleName - Name of rule applying transformations
          * @param {Map} iterationChanges - Map tracking field changes in this iteration
-         * @returns {Object} New state and list of fields changed
+         * @param {Object} each - forEach element scope from ruleScopes(), or null
+         * @returns {Object} New state, fields written, and { path, before, after } for each value that changed
          */
-        applyTransformationsWithTracking(state, transformations, ruleName, iterationChanges) {
+        applyTransformationsWithTracking(state, transformations, ruleName, iterationChanges, each = null) {
             const newState = JSON.parse(JSON.stringify(state));
             const fieldsChanged = [];
+            const changes = [];
 
-            for (const [path, value] of Object.entries(transformations)) {
-                const resolvedValue = this.resolveValue(value, newState);
+            for (const [field, value] of Object.entries(transformations)) {
+                if (ACTIONS.includes(field)) continue;
+                const path = this.targetPath(field, each);
+                const resolvedValue = this.resolveValue(value, this.scopeOf(newState, each));
+                const before = this.getNestedPath(newState, path);
                 
                 // Check for conflicts (multiple rules modifying same field)
                 if (iterationChanges.has(path)) {
                     const previousRule = iterationChanges.get(path);
-                    this.conflictLog.push({
+                    const conflict = {
                         field: path,
                         previousRule: previousRule,
                         currentRule: ruleName,
                         resolution: 'priority_override',
                         iteration: this.currentIteration
+                    };
+                    this.conflictLog.push(conflict);
+                    this.log(`Conflict: ${previousRule} vs ${ruleName} on ${path} → ${ruleName} wins`, 'warning', {
+                        event: 'conflict',
+                        ...conflict
                     });
-                    this.log(`Conflict: ${previousRule} vs ${ruleName} on ${path} → ${ruleName} wins`, 'warning');
                 }
                 
                 // Track this change
@@ -149,37 +755,44 @@
                 // Apply the change
                 this.setNestedPath(newState, path, resolvedValue);
                 fieldsChanged.push(path);
+                if (JSON.stringify(before) !== JSON.stringify(resolvedValue)) {
+                    changes.push({ path, before: snapshot(before), after: snapshot(resolvedValue) });
+                }
             }
 
-            return { newState, fieldsChanged };
+            return { newState, fieldsChanged, changes };
         }
 
         /**
-         * Evaluate rule condition safely
-         * @param {string} condition - JavaScript expression to evaluate
+         * Evaluate rule condition in the expression sandbox
+         * An expression that throws is logged as an `error` event and
+         * yields null, which is falsy but tells apart "not met" from
+         * "could not tell": apply() runs no branch for it.
+         * @param {string} condition - AXIS expression to evaluate
          * @param {Object} context - Data context for evaluation
-         * @returns {boolean} Result of condition evaluation
+         * @returns {boolean|null} Result of condition evaluation, or null if it failed
          */
         evaluateCondition(condition, context) {
+            if (typeof condition === 'boolean') return condition;
             if (!condition) return true;
             
             try {
-                // Create safe evaluation context
-                const safeContext = this.createSafeContext(context);
-                
-                // Use Function constructor for controlled evaluation
-                const func = new Function(...Object.keys(safeContext), `return ${condition}`);
-                const result = func(...Object.values(safeContext));
-                
+                const result = this.expressions.evaluate(condition, this.createSafeContext(context));
                 return Boolean(result);
             } catch (e) {
-                this.log(`Condition evaluation failed: ${condition} - ${e.message}`, 'error');
-                return false;
+                this.log(`Condition evaluation failed: ${condition} - ${e.message}`, 'error', {
+                    event: 'error',
+                    expression: condition,
+                    error: e.message
+                });
+                return null;
             }
         }
 
         /**
          * Resolve template expressions like {{now()}} or {{user.age + 5}}
+         * A value that is a single template keeps the expression's type;
+         * templates embedded in text are interpolated as strings.
          * @param {*} template - Value that may contain template expressions
          * @param {Object} context - Data context for template resolution
          * @returns {*} Resolved value
@@ -189,29 +802,14 @@
 
             // Check for template expressions {{...}}
             if (template.includes('{{') && template.includes('}}')) {
-                const expression = template.replace(/\{\{(.*?)\}\}/g, '$1').trim();
-                
                 try {
-                    // Built-in template functions
-                    if (expression === 'now()') {
-                        return new Date().toISOString();
-                    }
-                    if (expression === 'timestamp()') {
-                        return Date.now();
-                    }
-                    if (expression === 'uuid()') {
-                        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-                            var r = Math.random() * 16 | 0, v = c == 'x' ? r : (r & 0x3 | 0x8);
-                            return v.toString(16);
-                        });
-                    }
-                    
-                    // Evaluate expression in safe context
-                    const safeContext = this.createSafeContext(context);
-                    const func = new Function(...Object.keys(safeContext), `return ${expression}`);
-                    return func(...Object.values(safeContext));
+                    return this.expressions.resolveTemplate(template, this.createSafeContext(context));
                 } catch (e) {
-                    this.log(`Template resolution failed: ${template} - ${e.message}`, 'error');
+                    this.log(`Template resolution failed: ${template} - ${e.message}`, 'error', {
+                        event: 'error',
+                        expression: template,
+                        error: e.message
+                    });
                     return template;
                 }
             }
@@ -220,24 +818,17 @@
         }
 
         /**
-         * Create safe evaluation context with flattened data and utilities
+         * Create evaluation scope with flattened data
+         * Only state is visible; functions come from the expression whitelist.
          * @param {Object} context - Original data context
-         * @returns {Object} Safe context for expression evaluation
+         * @returns {Object} Scope for expression evaluation
          */
         createSafeContext(context) {
             const flattened = this.flattenObject(context);
             return {
+                data: context,     // Alias for the whole state
                 ...flattened,      // Flattened paths like user_name, order_total
-                ...context,        // Original nested structure
-                Math: Math,        // Math functions
-                Date: Date,        // Date constructor
-                parseInt: parseInt,
-                parseFloat: parseFloat,
-                String: String,
-                Number: Number,
-                Boolean: Boolean,
-                Array: Array,
-                JSON: JSON
+                ...context         // Original nested structure
             };
         }
 
@@ -269,25 +860,43 @@
         }
 
         /**
-         * Set value at nested path like "user.status"
-         * @param {Object} obj - Target object
+         * Read value at nested path like "user.status"
+         * @param {Object} obj - Source object
          * @param {string} path - Dot-separated path
+         * @returns {*} Value, or undefined if any segment is missing
+         */
+        getNestedPath(obj, path) {
+            return readPath(obj, path);
+        }
+
+        /**
+         * Set value at nested path like "user.status" or "items[0].price"
+         * Missing containers are created: an array before a [n] index,
+         * an object otherwise.
+         * @param {Object} obj - Target object
+         * @param {string} path - Dot-separated path with optional [n] indexes
          * @param {*} value - Value to set
+         * @throws {Error} If a segment is __proto__, constructor or prototype
          */
         setNestedPath(obj, path, value) {
-            const keys = path.split('.');
+            const unsafe = unsafeSegment(path);
+            if (unsafe) {
+                throw new Error(`Refusing to write "${path}": "${unsafe}" is not a field`);
+            }
+            const segments = pathSegments(path);
             let current = obj;
 
             // Navigate to parent of target
-            for (let i = 0; i < keys.length - 1; i++) {
-                if (!current[keys[i]] || typeof current[keys[i]] !== 'object') {
-                    current[keys[i]] = {};
+            for (let i = 0; i < segments.length - 1; i++) {
+                const { key } = segments[i];
+                if (!current[key] || typeof current[key] !== 'object') {
+                    current[key] = segments[i + 1].index ? [] : {};
                 }
-                current = current[keys[i]];
+                current = current[key];
             }
 
             // Set the final value
-            current[keys[keys.length - 1]] = value;
+            current[segments[segments.length - 1].key] = value;
         }
 
         /**
@@ -298,11 +907,39 @@
         validate(rulesConfig) {
             const errors = [];
 
+            if (rulesConfig.include) {
+                errors.push('Unexpanded "include"; expand the configuration first (AxisRulesEngine.expand)');
+            }
+
             if (!rulesConfig.rules || !Array.isArray(rulesConfig.rules)) {
                 errors.push('Rules configuration must have a "rules" array');
                 return errors;
             }
 
+            // Validate stages: group names, or { name, max_iterations }
+            const stageNames = [];
+            if (rulesConfig.stages !== undefined) {
+                if (!Array.isArray(rulesConfig.stages)) {
+                    errors.push('"stages" must be an array of group names');
+                } else {
+                    rulesConfig.stages.forEach((stage, index) => {
+                        const name = typeof stage === 'string' ? stage : (stage || {}).name;
+                        if (typeof name !== 'string' || !name) {
+                            errors.push(`Stage ${index}: Missing name`);
+                        } else if (stageNames.includes(name)) {
+                            errors.push(`Stage ${index}: Duplicate stage "${name}"`);
+                        } else {
+                            stageNames.push(name);
+                        }
+                        if (stage && typeof stage === 'object' && stage.max_iterations !== undefined &&
+                            !(Number.isInteger(stage.max_iterations) && stage.max_iterations > 0)) {
+                            errors.push(`Stage ${index} (${name}): max_iterations must be a positive integer`);
+                        }
+                    });
+                }
+            }
+            const staged = Array.isArray(rulesConfig.stages);
+
             const ruleNames = new Set();
             
             rulesConfig.rules.forEach((rule, index) => {
@@ -321,15 +958,64 @@
                     errors.push(`Rule ${index} (${rule.name}): Priority must be a non-negative number`);
                 }
 
-                // Validate condition syntax
-                if (rule.if) {
-                    try {
-                        new Function('return ' + rule.if);
-                    } catch (e) {
-                        errors.push(`Rule ${index} (${rule.name}): Invalid condition syntax - ${e.message}`);
-                    }
+                // Validate forEach scope
+                if (rule.forEach !== undefined && (typeof rule.forEach !== 'string' || !rule.forEach)) {
+                    errors.push(`Rule ${index} (${rule.name}): forEach must be a non-empty path`);
+                }
+                if (rule.as !== undefined && (typeof rule.as !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(rule.as))) {
+                    errors.push(`Rule ${index} (${rule.name}): "as" must be an identifier`);
+                } else if (rule.as === '$index') {
+                    errors.push(`Rule ${index} (${rule.name}): "as" cannot be "$index", which holds the element's position`);
+                }
+
+                // Validate group: every rule of a staged config belongs to a listed stage
+                if (rule.group !== undefined && !stageNames.includes(rule.group)) {
+                    errors.push(`Rule ${index} (${rule.name}): Group "${rule.group}" is not listed in "stages"`);
+                } else if (staged && rule.group === undefined) {
+                    errors.push(`Rule ${index} (${rule.name}): Missing group; with "stages" every rule needs one`);
                 }
 
+                // Validate actions
+                ['then', 'else'].forEach(branch => {
+                    const skip = (rule[branch] || {}).$skipGroup;
+                    if (skip === undefined || typeof skip === 'boolean') return;
+                    [].concat(skip).forEach(name => {
+                        if (!stageNames.includes(name)) {
+                            errors.push(`Rule ${index} (${rule.name}): $skipGroup names unknown stage "${name}"`);
+                        }
+                    });
+                });
+
+                // Validate condition syntax and sandbox restrictions
+                if (typeof rule.if === 'string') {
+                    this.expressions.validate(rule.if).forEach(message => {
+                        errors.push(`Rule ${index} (${rule.name}): Invalid condition - ${message}`);
+                    });
+                }
+
+                // Validate write paths: none may reach a prototype
+                ['then', 'else'].forEach(branch => {
+                    Object.keys(rule[branch] || {})
+                        .filter(path => !ACTIONS.includes(path) && unsafeSegment(path))
+                        .forEach(path => {
+                            errors.push(`Rule ${index} (${rule.name}): Invalid path "${path}" - "${unsafeSegment(path)}" is not a field`);
+                        });
+                });
+                if (typeof rule.forEach === 'string' && unsafeSegment(rule.forEach)) {
+                    errors.push(`Rule ${index} (${rule.name}): Invalid forEach path "${rule.forEach}" - "${unsafeSegment(rule.forEach)}" is not a field`);
+                }
+
+                // Validate template expressions in actions
+                ['then', 'else'].forEach(branch => {
+                    Object.entries(rule[branch] || {}).forEach(([path, value]) => {
+                        this.expressions.templateExpressions(value).forEach(expression => {
+                            this.expressions.validate(expression).forEach(message => {
+                                errors.push(`Rule ${index} (${rule.name}): Invalid template for "${path}" - ${message}`);
+                            });
+                        });
+                    });
+                });
+
                 // Check for action clauses
                 if (!rule.then && !rule.else) {
                     errors.push(`Rule ${index} (${rule.name}): Must have 'then' or 'else' clause`);
@@ -341,39 +1027,207 @@
 
         /**
          * Add entry to audit trail
-         * @param {string} message - Log message
+         * Structured entries carry an `event`: start, order, iteration,
+         * rule, conflict, conflicts, error, cycle, limit, stage,
+         * stage-complete, stage-skipped, halt, skip or complete. Rule
+         * entries record the condition, its result, the branch applied and
+         * a { path, before, after } diff for every field whose value
+         * changed (`before` is absent when the field did not exist).
+         *
+         * With the `chain` option every entry also carries the SHA-256 of
+         * the rules (`rulesHash`) and input (`inputHash`), the `hash` of the
+         * entry before it (`prev`) and its own `hash`. The chain continues
+         * across apply() calls on the same engine; see verifyAudit().
+         * @param {string} message - Human-readable message
          * @param {string} level - Log level (info, warning, error)
+         * @param {Object} details - Structured fields (event, rule, changes, ...)
          */
-        log(message, level = 'info') {
-            this.auditTrail.push({
-                timestamp: new Date().toISOString(),
+        log(message, level = 'info', details = {}) {
+            const entry = {
+                ...this.context,
+                timestamp: new Date(this.now()).toISOString(),
                 level,
-                message
-            });
+                message,
+                iteration: this.currentIteration,
+                ...details
+            };
+            if (this.chain) {
+                Object.assign(entry, this.hashes, { prev: this.chainHead });
+                entry.hash = entryHash(entry);
+                this.chainHead = entry.hash;
+            }
+            this.auditTrail.push(entry);
         }
 
         /**
          * Get list of rules that were applied during execution
+         * Rules applied through their 'else' clause are listed as "name (else)"
          * @returns {string[]} Array of rule names that were applied
          */
         getRulesApplied() {
             return this.auditTrail
-                .filter(entry => entry.message.startsWith('Applied:'))
-                .map(entry => entry.message.replace('Applied: ', ''));
+                .filter(entry => entry.event === 'rule' && entry.applied)
+                .map(entry => (entry.branch === 'else' ? `${entry.rule} (else)` : entry.rule));
+        }
+
+        /**
+         * Every change made to a field during the last apply(), in order
+         * Answers "which rule set credit.status, and from what?"
+         * @param {string} path - Dot-separated field path
+         * @returns {Object[]} { rule, branch, iteration, before, after }
+         */
+        getFieldChanges(path) {
+            return this.auditTrail
+                .filter(entry => entry.event === 'rule')
+                .reduce((found, entry) => found.concat(entry.changes
+                    .filter(change => change.path === path)
+                    .map(change => ({
+                        rule: entry.rule,
+                        index: entry.index,
+                        branch: entry.branch,
+                        iteration: entry.iteration,
+                        before: change.before,
+                        after: change.after
+                    }))), []);
+        }
+
+        /**
+         * Serialize audit entries as JSON Lines
+         * @param {Object[]} entries - Entries to export (defaults to the last apply's trail)
+         * @returns {string} One JSON object per line, newline-terminated
+         */
+        exportAudit(entries = this.auditTrail) {
+            return entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+        }
+
+        /**
+         * Expand a configuration's `include` entries into one flat rules list
+         * Each entry is a path or URL relative to the including file, a
+         * registry name, or { from, as, with }. `as` (or the rule set's own
+         * `namespace`) prefixes its rule names, e.g. "loyalty/min-income",
+         * so one rule set can be included twice. `with` fills the `${name}`
+         * parameters the rule set declares in `params`. Included rules come
+         * before the configuration's own; only their `rules` are taken, so
+         * stages and limits are the including configuration's.
+         * @param {Object} rulesConfig - Rules configuration with `include`
+         * @param {Object} options - Expansion options
+         * @param {Object} options.registry - Name → rules configuration, or the path/URL to load it from
+         * @param {Function} options.resolve - (ref, from) → location of `ref` included by the file at `from` (null at the top level)
+         * @param {Function} options.load - (location) → rules configuration, or a promise of one
+         * @param {string} options.from - Location of `rulesConfig` itself
+         * @returns {Promise<Object>} Configuration without `include`, ready for apply()
+         * @throws {Error} On unknown rule sets or parameters, missing required parameters and include cycles
+         */
+        static async expand(rulesConfig, options = {}) {
+            const registry = options.registry || {};
+            const loader = method => (...args) => {
+                if (typeof options[method] !== 'function') {
+                    throw new Error(`expand() needs a ${method} function to read included rule sets`);
+                }
+                return options[method](...args);
+            };
+            const resolve = loader('resolve');
+            const load = loader('load');
+
+            const expandConfig = async (config, from, namespace, trail) => {
+                const included = [];
+
+                for (const entry of [].concat(config.include || [])) {
+                    const { from: ref, as, with: given = {} } = typeof entry === 'string' ? { from: entry } : entry;
+                    let location = null;
+                    let source = null;
+
+                    if (typeof ref === 'string' && hasOwn(registry, ref)) {
+                        if (typeof registry[ref] === 'object') {
+                            location = `registry:${ref}`;
+                            source = registry[ref];
+                        } else {
+                            location = resolve(registry[ref], null);
+                        }
+                    } else if (typeof ref === 'string' && isRulePath(ref)) {
+                        location = resolve(ref, from);
+                    } else {
+                        throw new Error(`${from || 'rules'}: unknown rule set ${JSON.stringify(ref)}; ` +
+                            'include a relative path or a registered name');
+                    }
+
+                    if (trail.includes(location)) {
+                        throw new Error(`Include cycle: ${trail.concat(location).join(' → ')}`);
+                    }
+                    source = source || await load(location);
+
+                    const prefix = [namespace, as || source.namespace].filter(Boolean).join(NAMESPACE_SEPARATOR);
+                    const expanded = await expandConfig(bindParams(source, given, location), location, prefix, trail.concat(location));
+                    included.push(...expanded.rules);
+                }
+
+                const own = (config.rules || []).map(rule => (
+                    namespace ? { ...rule, name: `${namespace}${NAMESPACE_SEPARATOR}${rule.name}` } : rule
+                ));
+                const { include, params, namespace: declared, ...rest } = config;
+                return { ...rest, rules: [...included, ...own] };
+            };
+
+            if (!rulesConfig.include) return rulesConfig;
+            return expandConfig(rulesConfig, options.from || null, '', options.from ? [options.from] : []);
+        }
+
+        /**
+         * Verify a hash-chained audit trail
+         * Detects edited entries (hash mismatch), removed or reordered
+         * entries (broken `prev` link) and a trail cut short (a chain that
+         * does not end with a `complete` entry). Several chains may follow
+         * each other, e.g. from separate runs appending to one file.
+         * @param {Object[]} entries - Audit entries in logged order
+         * @returns {Object} { valid, entries, chains, head, errors: [{ line, message }] }
+         */
+        static verifyAudit(entries) {
+            const errors = [];
+            let chains = 0;
+            let head = null;
+
+            const checkComplete = index => {
+                if (index >= 0 && (entries[index] || {}).event !== 'complete') {
+                    errors.push({ line: index + 1, message: 'chain ends without a "complete" entry (entries removed after it?)' });
+                }
+            };
+
+            entries.forEach((entry, index) => {
+                const line = index + 1;
+                if (!entry || typeof entry.hash !== 'string') {
+                    errors.push({ line, message: 'entry has no hash; was the trail written with chaining on?' });
+                    head = null;
+                    return;
+                }
+
+                if (entryHash(entry) !== entry.hash) {
+                    errors.push({ line, message: 'entry was modified (hash mismatch)' });
+                }
+                if (entry.prev === GENESIS) {
+                    checkComplete(index - 1);
+                    chains++;
+                } else if (head === null || entry.prev !== head) {
+                    errors.push({ line, message: 'entry does not follow the previous one (entries removed or reordered)' });
+                }
+                head = entry.hash;
+            });
+            checkComplete(entries.length - 1);
+
+            return { valid: errors.length === 0, entries: entries.length, chains, head, errors };
         }
 
         /**
          * Generate configuration hash for auditing
          * @param {Object} rulesConfig - Rules configuration
-         * @returns {string} Hash of the configuration
+         * @returns {string} SHA-256 of the canonical JSON configuration
          */
         generateRulesHash(rulesConfig) {
-            const canonical = JSON.stringify(rulesConfig, Object.keys(rulesConfig).sort());
-            return this.simpleHash(canonical);
+            return sha256(canonicalJSON(rulesConfig));
         }
 
         /**
-         * Simple hash function for configuration fingerprinting
+         * Fast 32-bit string checksum; collides easily, so use
+         * generateRulesHash() where integrity matters
          * @param {string} str - String to hash
          * @returns {string} Hex hash
          */
@@ -388,6 +1242,116 @@
         }
     }
 
+    /**
+     * Cursor over a recorded apply(): frame 0 is the input, every later
+     * frame the state right after one rule fired
+     */
+    class RuleReplay {
+        /**
+         * @param {Object} result - apply() result recorded with { record: true }
+         */
+        constructor(result) {
+            if (!result.frames) throw new Error('Result has no frames; apply with { record: true }');
+            this.result = result;
+            this.frames = result.frames;
+            this.position = 0;
+        }
+
+        /** Current frame: { iteration, rule, branch, changes, state } */
+        get frame() {
+            return this.frames[this.position];
+        }
+
+        /** State at the current frame */
+        get state() {
+            return this.frame.state;
+        }
+
+        /** Number of fixpoint iterations in the recording */
+        get iterations() {
+            return this.result.iterations;
+        }
+
+        /**
+         * Move forward by rule firings, stopping at the last frame
+         * @param {number} count - Frames to move
+         * @returns {Object} Current frame
+         */
+        step(count = 1) {
+            return this.seek(this.position + count);
+        }
+
+        /**
+         * Move backward by rule firings, stopping at the input
+         * @param {number} count - Frames to move
+         * @returns {Object} Current frame
+         */
+        back(count = 1) {
+            return this.seek(this.position - count);
+        }
+
+        /**
+         * Jump to the state at the end of an iteration (0 = the input)
+         * @param {number} iteration - Iteration number
+         * @returns {Object} Current frame
+         */
+        goto(iteration) {
+            if (!Number.isInteger(iteration) || iteration < 0 || iteration > this.iterations) {
+                throw new RangeError(`Iteration must be between 0 and ${this.iterations}`);
+            }
+            let index = 0;
+            this.frames.forEach((frame, i) => {
+                if (frame.iteration <= iteration) index = i;
+            });
+            return this.seek(index);
+        }
+
+        /**
+         * Jump to a frame by index, clamped to the recording
+         * @param {number} index - Frame index
+         * @returns {Object} Current frame
+         */
+        seek(index) {
+            this.position = Math.max(0, Math.min(this.frames.length - 1, index));
+            return this.frame;
+        }
+
+        /**
+         * Explain a field's value at the current frame
+         * Finds the latest firing at or before this frame that wrote the
+         * field, one of its parents or anything inside it (`why user` after
+         * a write to `user.status`).
+         * @param {string} path - Dot-separated field path
+         * @returns {Object|null} { value, frame, iteration, rule, branch, path, before, after }, or null when the value is the input's
+         */
+        why(path) {
+            for (let index = this.position; index > 0; index--) {
+                const frame = this.frames[index];
+                const change = frame.changes.find(c => (
+                    c.path === path || path.startsWith(`${c.path}.`) || path.startsWith(`${c.path}[`) ||
+                    c.path.startsWith(`${path}.`) || c.path.startsWith(`${path}[`)
+                ));
+                if (change) {
+                    return {
+                        value: readPath(this.state, path),
+                        frame: index,
+                        iteration: frame.iteration,
+                        rule: frame.rule,
+                        index: frame.index,
+                        branch: frame.branch,
+                        path: change.path,
+                        before: change.before,
+                        after: change.after
+                    };
+                }
+            }
+            return null;
+        }
+    }
+
+    AxisRulesEngine.Replay = RuleReplay;
+    AxisRulesEngine.ConvergenceError = ConvergenceError;
+
     // Export for different environments
     if (typeof module !== 'undefined' && module.exports) {
         // Node.js
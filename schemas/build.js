@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+// Writes spc-<version>.schema.js beside every spc-<version>.schema.json:
+// the same schema as a script, for pages that cannot fetch JSON (opened
+// from file://). The scripts are generated; edit the JSON and run
+//
+//   node schemas/build.js
+//
+// The AXIS CLI tests fail when a script is out of date.
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_FILE = /^spc-(\d+\.\d+)\.schema\.json$/;
+
+function render(version, schema) {
+  const body = JSON.stringify(schema, null, 4).split('\n').join('\n    ');
+  return `/**
+ * SPC ${version} JSON Schema as a script
+ * Generated from spc-${version}.schema.json by schemas/build.js; do not
+ * edit. Loaded beside spc-validator.js, it lets SPCValidator.forVersion()
+ * work in the browser.
+ *
+ * @license MIT
+ * @author AXIS Project
+ */
+
+(function(global) {
+    'use strict';
+
+    const schema = ${body};
+
+    global.SPCSchemas = Object.assign(global.SPCSchemas || {}, { '${version}': schema });
+
+})(typeof window !== 'undefined' ? window : this);
+`;
+}
+
+// Every schema script as it should be: [{ file, source }]
+function build(dir = __dirname) {
+  return fs.readdirSync(dir)
+    .filter(file => SCHEMA_FILE.test(file))
+    .sort()
+    .map(file => {
+      const version = SCHEMA_FILE.exec(file)[1];
+      const schema = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      return { file: path.join(dir, file.replace(/\.json$/, '.js')), source: render(version, schema) };
+    });
+}
+
+if (require.main === module) {
+  build().forEach(({ file, source }) => {
+    fs.writeFileSync(file, source);
+    console.log(`Wrote ${path.relative(process.cwd(), file)}`);
+  });
+}
+
+module.exports = { build, render };
@@ -0,0 +1,963 @@
+/**
+ * SPC 1.0 JSON Schema as a script
+ * Generated from spc-1.0.schema.json by schemas/build.js; do not
+ * edit. Loaded beside spc-validator.js, it lets SPCValidator.forVersion()
+ * work in the browser.
+ *
+ * @license MIT
+ * @author AXIS Project
+ */
+
+(function(global) {
+    'use strict';
+
+    const schema = {
+        "$schema": "http://json-schema.org/draft-07/schema#",
+        "$id": "https://tree-os.dev/schemas/spc-1.0.schema.json",
+        "title": "SPC file format v1.0",
+        "description": "Single Page Computer document: services, shared state and metadata",
+        "type": "object",
+        "required": [
+            "services"
+        ],
+        "additionalProperties": false,
+        "properties": {
+            "spc_version": {
+                "type": "string",
+                "pattern": "^1\\.\\d+$",
+                "description": "Format version; this schema covers 1.x"
+            },
+            "meta": {
+                "$ref": "#/definitions/meta"
+            },
+            "services": {
+                "type": "object",
+                "description": "Services keyed by id",
+                "additionalProperties": {
+                    "$ref": "#/definitions/service"
+                }
+            },
+            "state": {
+                "type": "object",
+                "description": "Initial shared state"
+            },
+            "ruleSets": {
+                "type": "object",
+                "description": "Rule sets that rules `include` can name: a path relative to this file, or the rules configuration itself",
+                "additionalProperties": {
+                    "oneOf": [
+                        {
+                            "type": "string",
+                            "minLength": 1
+                        },
+                        {
+                            "$ref": "#/definitions/rulesConfig"
+                        }
+                    ]
+                }
+            },
+            "_executionOrder": {
+                "type": "array",
+                "items": {
+                    "type": "string"
+                },
+                "description": "Service order pre-calculated by the KERN optimizer"
+            }
+        },
+        "definitions": {
+            "meta": {
+                "type": "object",
+                "properties": {
+                    "name": {
+                        "type": "string"
+                    },
+                    "author": {
+                        "type": "string"
+                    },
+                    "description": {
+                        "type": "string"
+                    },
+                    "version": {
+                        "type": "string"
+                    },
+                    "exported_at": {
+                        "type": "string"
+                    }
+                }
+            },
+            "service": {
+                "type": "object",
+                "required": [
+                    "type"
+                ],
+                "additionalProperties": false,
+                "properties": {
+                    "type": {
+                        "enum": [
+                            "connector",
+                            "processor",
+                            "monitor",
+                            "interface"
+                        ]
+                    },
+                    "title": {
+                        "type": "string"
+                    },
+                    "description": {
+                        "type": "string"
+                    },
+                    "spec": {
+                        "type": "object"
+                    },
+                    "id": {
+                        "type": "string",
+                        "description": "Runtime field written by MicroService OS"
+                    },
+                    "status": {
+                        "type": "string",
+                        "description": "Runtime field written by MicroService OS"
+                    },
+                    "lastRun": {
+                        "type": [
+                            "string",
+                            "null"
+                        ],
+                        "description": "Runtime field written by MicroService OS"
+                    },
+                    "outputs": {
+                        "type": "object",
+                        "description": "Runtime field written by MicroService OS"
+                    }
+                },
+                "allOf": [
+                    {
+                        "if": {
+                            "properties": {
+                                "type": {
+                                    "const": "connector"
+                                }
+                            }
+                        },
+                        "then": {
+                            "properties": {
+                                "spec": {
+                                    "$ref": "#/definitions/connectorSpec"
+                                }
+                            }
+                        }
+                    },
+                    {
+                        "if": {
+                            "properties": {
+                                "type": {
+                                    "const": "processor"
+                                }
+                            }
+                        },
+                        "then": {
+                            "properties": {
+                                "spec": {
+                                    "$ref": "#/definitions/processorSpec"
+                                }
+                            }
+                        }
+                    },
+                    {
+                        "if": {
+                            "properties": {
+                                "type": {
+                                    "const": "monitor"
+                                }
+                            }
+                        },
+                        "then": {
+                            "properties": {
+                                "spec": {
+                                    "$ref": "#/definitions/monitorSpec"
+                                }
+                            }
+                        }
+                    },
+                    {
+                        "if": {
+                            "properties": {
+                                "type": {
+                                    "const": "interface"
+                                }
+                            }
+                        },
+                        "then": {
+                            "properties": {
+                                "spec": {
+                                    "$ref": "#/definitions/interfaceSpec"
+                                }
+                            }
+                        }
+                    }
+                ]
+            },
+            "stateKey": {
+                "type": "string",
+                "minLength": 1
+            },
+            "keyDeclaration": {
+                "oneOf": [
+                    {
+                        "type": "array",
+                        "minItems": 1,
+                        "items": {
+                            "$ref": "#/definitions/stateKey"
+                        }
+                    },
+                    {
+                        "type": "object",
+                        "additionalProperties": {
+                            "$ref": "#/definitions/stateKey"
+                        }
+                    }
+                ]
+            },
+            "connectorSpec": {
+                "type": "object",
+                "anyOf": [
+                    {
+                        "required": [
+                            "url"
+                        ]
+                    },
+                    {
+                        "required": [
+                            "source"
+                        ]
+                    }
+                ],
+                "additionalProperties": false,
+                "properties": {
+                    "url": {
+                        "type": "string",
+                        "minLength": 1
+                    },
+                    "source": {
+                        "type": "object",
+                        "required": [
+                            "type"
+                        ],
+                        "additionalProperties": false,
+                        "properties": {
+                            "type": {
+                                "enum": [
+                                    "file",
+                                    "glob",
+                                    "stdin"
+                                ]
+                            },
+                            "path": {
+                                "type": "string",
+                                "minLength": 1
+                            },
+                            "pattern": {
+                                "type": "string",
+                                "minLength": 1
+                            },
+                            "format": {
+                                "enum": [
+                                    "json",
+                                    "ndjson",
+                                    "csv"
+                                ]
+                            },
+                            "delimiter": {
+                                "type": "string",
+                                "minLength": 1
+                            }
+                        },
+                        "allOf": [
+                            {
+                                "if": {
+                                    "properties": {
+                                        "type": {
+                                            "const": "file"
+                                        }
+                                    }
+                                },
+                                "then": {
+                                    "required": [
+                                        "path"
+                                    ]
+                                }
+                            },
+                            {
+                                "if": {
+                                    "properties": {
+                                        "type": {
+                                            "const": "glob"
+                                        }
+                                    }
+                                },
+                                "then": {
+                                    "required": [
+                                        "pattern"
+                                    ]
+                                }
+                            }
+                        ]
+                    },
+                    "method": {
+                        "enum": [
+                            "GET",
+                            "POST",
+                            "PUT",
+                            "PATCH",
+                            "DELETE",
+                            "HEAD"
+                        ]
+                    },
+                    "headers": {
+                        "type": "object",
+                        "additionalProperties": {
+                            "type": "string"
+                        }
+                    },
+                    "body": {},
+                    "outputKey": {
+                        "$ref": "#/definitions/stateKey"
+                    },
+                    "rules": {
+                        "$ref": "#/definitions/rulesConfig"
+                    },
+                    "timeout": {
+                        "type": "integer",
+                        "minimum": 1
+                    },
+                    "retries": {
+                        "type": "integer",
+                        "minimum": 0
+                    },
+                    "backoff": {
+                        "$ref": "#/definitions/backoff"
+                    },
+                    "retryOn": {
+                        "type": "array",
+                        "items": {
+                            "type": "integer",
+                            "minimum": 100,
+                            "maximum": 599
+                        }
+                    },
+                    "cache": {
+                        "type": "object",
+                        "additionalProperties": false,
+                        "properties": {
+                            "ttl": {
+                                "type": "integer",
+                                "minimum": 0
+                            },
+                            "staleOnError": {
+                                "type": "boolean"
+                            }
+                        }
+                    }
+                }
+            },
+            "source": {
+                "type": "object",
+                "required": [
+                    "type"
+                ],
+                "additionalProperties": false,
+                "properties": {
+                    "type": {
+                        "enum": [
+                            "file",
+                            "glob",
+                            "stdin"
+                        ]
+                    },
+                    "path": {
+                        "type": "string",
+                        "minLength": 1
+                    },
+                    "pattern": {
+                        "type": "string",
+                        "minLength": 1
+                    },
+                    "format": {
+                        "enum": [
+                            "json",
+                            "ndjson",
+                            "csv"
+                        ]
+                    },
+                    "delimiter": {
+                        "type": "string",
+                        "minLength": 1
+                    }
+                },
+                "allOf": [
+                    {
+                        "if": {
+                            "properties": {
+                                "type": {
+                                    "const": "file"
+                                }
+                            }
+                        },
+                        "then": {
+                            "required": [
+                                "path"
+                            ]
+                        }
+                    },
+                    {
+                        "if": {
+                            "properties": {
+                                "type": {
+                                    "const": "glob"
+                                }
+                            }
+                        },
+                        "then": {
+                            "required": [
+                                "pattern"
+                            ]
+                        }
+                    }
+                ]
+            },
+            "backoff": {
+                "type": "object",
+                "additionalProperties": false,
+                "properties": {
+                    "strategy": {
+                        "enum": [
+                            "fixed",
+                            "linear",
+                            "exponential"
+                        ]
+                    },
+                    "delay": {
+                        "type": "integer",
+                        "minimum": 0
+                    },
+                    "maxDelay": {
+                        "type": "integer",
+                        "minimum": 0
+                    }
+                }
+            },
+            "processorSpec": {
+                "type": "object",
+                "additionalProperties": false,
+                "anyOf": [
+                    {
+                        "required": [
+                            "inputKey"
+                        ]
+                    },
+                    {
+                        "required": [
+                            "inputs"
+                        ]
+                    }
+                ],
+                "properties": {
+                    "inputKey": {
+                        "$ref": "#/definitions/stateKey"
+                    },
+                    "outputKey": {
+                        "$ref": "#/definitions/stateKey"
+                    },
+                    "inputs": {
+                        "$ref": "#/definitions/keyDeclaration",
+                        "description": "Named inputs exposed in the rules context: [\"key\"] or { \"name\": \"key\" }"
+                    },
+                    "outputs": {
+                        "$ref": "#/definitions/keyDeclaration",
+                        "description": "Result fields written to their own state keys: [\"field\"] or { \"field\": \"key\" }"
+                    },
+                    "transform": {
+                        "oneOf": [
+                            {
+                                "type": "array",
+                                "items": {
+                                    "$ref": "#/definitions/rule"
+                                }
+                            },
+                            {
+                                "$ref": "#/definitions/rulesConfig"
+                            }
+                        ]
+                    }
+                }
+            },
+            "monitorSpec": {
+                "type": "object",
+                "required": [
+                    "checks"
+                ],
+                "additionalProperties": false,
+                "properties": {
+                    "checks": {
+                        "type": "array",
+                        "items": {
+                            "$ref": "#/definitions/check"
+                        }
+                    },
+                    "thresholds": {
+                        "type": "object",
+                        "additionalProperties": {
+                            "$ref": "#/definitions/threshold"
+                        }
+                    },
+                    "alerting": {
+                        "$ref": "#/definitions/alerting"
+                    },
+                    "history": {
+                        "type": "object",
+                        "additionalProperties": false,
+                        "properties": {
+                            "size": {
+                                "type": "integer",
+                                "minimum": 1
+                            },
+                            "file": {
+                                "type": "string",
+                                "minLength": 1
+                            }
+                        }
+                    },
+                    "statuses": {
+                        "type": "array",
+                        "minItems": 1,
+                        "items": {
+                            "type": "string",
+                            "minLength": 1
+                        }
+                    }
+                }
+            },
+            "alerting": {
+                "type": "object",
+                "additionalProperties": false,
+                "properties": {
+                    "for": {
+                        "type": "integer",
+                        "minimum": 1
+                    },
+                    "sinks": {
+                        "type": "array",
+                        "items": {
+                            "$ref": "#/definitions/sink"
+                        }
+                    }
+                }
+            },
+            "sink": {
+                "type": "object",
+                "required": [
+                    "type"
+                ],
+                "additionalProperties": false,
+                "properties": {
+                    "type": {
+                        "enum": [
+                            "stdout",
+                            "webhook",
+                            "file"
+                        ]
+                    },
+                    "url": {
+                        "type": "string",
+                        "minLength": 1
+                    },
+                    "headers": {
+                        "type": "object",
+                        "additionalProperties": {
+                            "type": "string"
+                        }
+                    },
+                    "path": {
+                        "type": "string",
+                        "minLength": 1
+                    }
+                },
+                "allOf": [
+                    {
+                        "if": {
+                            "properties": {
+                                "type": {
+                                    "const": "webhook"
+                                }
+                            }
+                        },
+                        "then": {
+                            "required": [
+                                "url"
+                            ]
+                        }
+                    },
+                    {
+                        "if": {
+                            "properties": {
+                                "type": {
+                                    "const": "file"
+                                }
+                            }
+                        },
+                        "then": {
+                            "required": [
+                                "path"
+                            ]
+                        }
+                    }
+                ]
+            },
+            "check": {
+                "type": "object",
+                "required": [
+                    "name",
+                    "dataKey",
+                    "expression"
+                ],
+                "additionalProperties": false,
+                "properties": {
+                    "name": {
+                        "type": "string",
+                        "minLength": 1
+                    },
+                    "dataKey": {
+                        "$ref": "#/definitions/stateKey"
+                    },
+                    "expression": {
+                        "type": "string",
+                        "minLength": 1
+                    },
+                    "for": {
+                        "type": "integer",
+                        "minimum": 1
+                    }
+                }
+            },
+            "threshold": {
+                "type": "object",
+                "additionalProperties": false,
+                "properties": {
+                    "above": {
+                        "$ref": "#/definitions/bound"
+                    },
+                    "below": {
+                        "$ref": "#/definitions/bound"
+                    },
+                    "warnAbove": {
+                        "$ref": "#/definitions/bound"
+                    },
+                    "warnBelow": {
+                        "$ref": "#/definitions/bound"
+                    },
+                    "critical": {
+                        "$ref": "#/definitions/bound"
+                    },
+                    "warning": {
+                        "$ref": "#/definitions/bound"
+                    },
+                    "levels": {
+                        "type": "array",
+                        "minItems": 1,
+                        "items": {
+                            "$ref": "#/definitions/thresholdLevel"
+                        }
+                    },
+                    "default": {
+                        "type": "string",
+                        "minLength": 1
+                    }
+                }
+            },
+            "thresholdLevel": {
+                "type": "object",
+                "required": [
+                    "status"
+                ],
+                "additionalProperties": false,
+                "properties": {
+                    "status": {
+                        "type": "string",
+                        "minLength": 1
+                    },
+                    "min": {
+                        "$ref": "#/definitions/bound"
+                    },
+                    "max": {
+                        "$ref": "#/definitions/bound"
+                    },
+                    "equals": {
+                        "type": [
+                            "string",
+                            "number",
+                            "boolean",
+                            "null"
+                        ]
+                    },
+                    "in": {
+                        "oneOf": [
+                            {
+                                "type": "array"
+                            },
+                            {
+                                "$ref": "#/definitions/template"
+                            }
+                        ]
+                    },
+                    "when": {
+                        "type": "string",
+                        "minLength": 1
+                    }
+                }
+            },
+            "bound": {
+                "oneOf": [
+                    {
+                        "type": "number"
+                    },
+                    {
+                        "$ref": "#/definitions/template"
+                    }
+                ]
+            },
+            "template": {
+                "type": "string",
+                "pattern": "\\{\\{[\\s\\S]*\\}\\}"
+            },
+            "interfaceSpec": {
+                "type": "object",
+                "additionalProperties": false,
+                "properties": {
+                    "inputs": {
+                        "type": "array",
+                        "items": {
+                            "type": "object",
+                            "required": [
+                                "name"
+                            ],
+                            "additionalProperties": false,
+                            "properties": {
+                                "name": {
+                                    "type": "string",
+                                    "minLength": 1
+                                },
+                                "label": {
+                                    "type": "string"
+                                },
+                                "type": {
+                                    "type": "string"
+                                },
+                                "default": {}
+                            }
+                        }
+                    },
+                    "calculation": {
+                        "type": "string"
+                    },
+                    "outputKey": {
+                        "$ref": "#/definitions/stateKey"
+                    }
+                }
+            },
+            "rulesConfig": {
+                "type": "object",
+                "additionalProperties": false,
+                "anyOf": [
+                    {
+                        "required": [
+                            "rules"
+                        ]
+                    },
+                    {
+                        "required": [
+                            "include"
+                        ]
+                    }
+                ],
+                "properties": {
+                    "mode": {
+                        "enum": [
+                            "merge",
+                            "replace",
+                            "dual"
+                        ]
+                    },
+                    "include": {
+                        "type": "array",
+                        "description": "Rule sets whose rules come before these: a relative path, a ruleSets name, or { from, as, with }",
+                        "items": {
+                            "oneOf": [
+                                {
+                                    "type": "string",
+                                    "minLength": 1
+                                },
+                                {
+                                    "type": "object",
+                                    "required": [
+                                        "from"
+                                    ],
+                                    "additionalProperties": false,
+                                    "properties": {
+                                        "from": {
+                                            "type": "string",
+                                            "minLength": 1
+                                        },
+                                        "as": {
+                                            "type": "string",
+                                            "minLength": 1,
+                                            "description": "Namespace prefixed to the rule names"
+                                        },
+                                        "with": {
+                                            "type": "object",
+                                            "description": "Values for the rule set's params"
+                                        }
+                                    }
+                                }
+                            ]
+                        }
+                    },
+                    "namespace": {
+                        "type": "string",
+                        "minLength": 1,
+                        "description": "Default namespace when this rule set is included"
+                    },
+                    "params": {
+                        "type": "object",
+                        "description": "Parameters used as ${name}, with defaults; null marks a required one"
+                    },
+                    "max_iterations": {
+                        "type": "integer",
+                        "minimum": 1
+                    },
+                    "stages": {
+                        "type": "array",
+                        "items": {
+                            "oneOf": [
+                                {
+                                    "type": "string",
+                                    "minLength": 1
+                                },
+                                {
+                                    "type": "object",
+                                    "required": [
+                                        "name"
+                                    ],
+                                    "additionalProperties": false,
+                                    "properties": {
+                                        "name": {
+                                            "type": "string",
+                                            "minLength": 1
+                                        },
+                                        "max_iterations": {
+                                            "type": "integer",
+                                            "minimum": 1
+                                        }
+                                    }
+                                }
+                            ]
+                        }
+                    },
+                    "rules": {
+                        "type": "array",
+                        "items": {
+                            "$ref": "#/definitions/rule"
+                        }
+                    }
+                }
+            },
+            "ruleActions": {
+                "type": "object",
+                "properties": {
+                    "$halt": {
+                        "type": [
+                            "boolean",
+                            "string"
+                        ]
+                    },
+                    "$skipGroup": {
+                        "oneOf": [
+                            {
+                                "type": "boolean"
+                            },
+                            {
+                                "type": "string",
+                                "minLength": 1
+                            },
+                            {
+                                "type": "array",
+                                "items": {
+                                    "type": "string",
+                                    "minLength": 1
+                                }
+                            }
+                        ]
+                    }
+                }
+            },
+            "rule": {
+                "type": "object",
+                "required": [
+                    "name"
+                ],
+                "additionalProperties": false,
+                "anyOf": [
+                    {
+                        "required": [
+                            "then"
+                        ]
+                    },
+                    {
+                        "required": [
+                            "else"
+                        ]
+                    }
+                ],
+                "properties": {
+                    "name": {
+                        "type": "string",
+                        "minLength": 1
+                    },
+                    "description": {
+                        "type": "string"
+                    },
+                    "priority": {
+                        "type": "number",
+                        "minimum": 0
+                    },
+                    "group": {
+                        "type": "string",
+                        "minLength": 1
+                    },
+                    "forEach": {
+                        "type": "string",
+                        "minLength": 1
+                    },
+                    "as": {
+                        "type": "string",
+                        "pattern": "^(?!\\$index$)[A-Za-z_$][A-Za-z0-9_$]*$",
+                        "description": "Name of the current element; not $index, which holds its position"
+                    },
+                    "if": {
+                        "type": [
+                            "string",
+                            "boolean"
+                        ]
+                    },
+                    "then": {
+                        "$ref": "#/definitions/ruleActions"
+                    },
+                    "else": {
+                        "$ref": "#/definitions/ruleActions"
+                    }
+                }
+            }
+        }
+    };
+
+    global.SPCSchemas = Object.assign(global.SPCSchemas || {}, { '1.0': schema });
+
+})(typeof window !== 'undefined' ? window : this);
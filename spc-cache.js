@@ -0,0 +1,121 @@
+/**
+ * SPC Cache v1.0.0
+ * Connector response stores for the SPC core
+ *
+ * Every store has the same small interface, sync or async:
+ *   get(key) → { data, fetchedAt } | undefined
+ *   set(key, entry)
+ * MemoryCache is the core's default; StorageCache persists to
+ * localStorage in the browser shells; FileCache persists to a
+ * directory under Node.js.
+ *
+ * @license MIT
+ * @author AXIS Project
+ */
+
+(function(global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+
+    /**
+     * In-memory store; lives as long as the runtime instance
+     */
+    class MemoryCache {
+        constructor() {
+            this.entries = new Map();
+        }
+
+        get(key) {
+            return this.entries.get(key);
+        }
+
+        set(key, entry) {
+            this.entries.set(key, entry);
+        }
+    }
+
+    /**
+     * Web Storage store (localStorage / sessionStorage)
+     * Quota and serialization failures are ignored; a cache miss is harmless.
+     */
+    class StorageCache {
+        /**
+         * @param {Storage} storage - Web Storage object, e.g. window.localStorage
+         * @param {string} prefix - Key prefix separating SPC entries from other data
+         */
+        constructor(storage, prefix = 'spc-cache:') {
+            this.storage = storage;
+            this.prefix = prefix;
+        }
+
+        get(key) {
+            try {
+                const raw = this.storage.getItem(this.prefix + key);
+                return raw ? JSON.parse(raw) : undefined;
+            } catch (e) {
+                return undefined;
+            }
+        }
+
+        set(key, entry) {
+            try {
+                this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+            } catch (e) {
+                // Storage full or unavailable
+            }
+        }
+    }
+
+    /**
+     * Directory store, one JSON file per entry (Node.js only)
+     */
+    class FileCache {
+        /**
+         * @param {string} dir - Cache directory, created on first write
+         */
+        constructor(dir) {
+            if (!isNode) {
+                throw new Error('FileCache requires Node.js; use StorageCache in the browser');
+            }
+            this.fs = require('fs');
+            this.path = require('path');
+            this.crypto = require('crypto');
+            this.dir = dir;
+        }
+
+        file(key) {
+            const name = this.crypto.createHash('sha1').update(key).digest('hex');
+            return this.path.join(this.dir, `${name}.json`);
+        }
+
+        get(key) {
+            try {
+                const entry = JSON.parse(this.fs.readFileSync(this.file(key), 'utf8'));
+                return entry.key === key ? entry : undefined;
+            } catch (e) {
+                return undefined;
+            }
+        }
+
+        set(key, entry) {
+            this.fs.mkdirSync(this.dir, { recursive: true });
+            this.fs.writeFileSync(this.file(key), JSON.stringify({ key, ...entry }));
+        }
+    }
+
+    const SPCCache = { MemoryCache, StorageCache, FileCache };
+
+    // Export for different environments
+    if (isNode) {
+        // Node.js
+        module.exports = SPCCache;
+    } else if (typeof define === 'function' && define.amd) {
+        // AMD
+        define(function() { return SPCCache; });
+    } else {
+        // Browser global
+        global.SPCCache = SPCCache;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,1130 @@
+/**
+ * SPC Core Runtime v1.0.0
+ * Shared service runtime for AXIS CLI, Deck Shell, MicroService OS and KERN
+ *
+ * Connectors, processors and monitors with one set of semantics. Rules
+ * run through AxisRulesEngine (priority, fixpoint, nested paths) and
+ * expressions through the AxisExpression sandbox.
+ *
+ * @license MIT
+ * @author AXIS Project
+ */
+
+(function(global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const AxisRulesEngine = isNode ? require('./axis-rules') : global.AxisRulesEngine;
+    const SPCCache = isNode ? require('./spc-cache') : global.SPCCache;
+
+    // Service types in the order their phases execute
+    const PHASES = ['connector', 'processor', 'monitor'];
+
+    // Connector retry defaults; network errors and timeouts are always retried
+    const RETRY_ON = [408, 429, 500, 502, 503, 504];
+    const BACKOFF = { strategy: 'exponential', delay: 500, maxDelay: 30000 };
+
+    // Values kept per check when a monitor's `history` sets no size
+    const DEFAULT_HISTORY_SIZE = 100;
+
+    /**
+     * Built-in alert sinks, called as (sink, event, core)
+     * Hosts add more (e.g. the AXIS CLI's append-only `file`) via options.sinks.
+     */
+    const SINKS = {
+        // One JSON line per transition on the core's logger
+        stdout: (sink, event, core) => {
+            core.logger.log(JSON.stringify(event));
+        },
+        // POST the transition as JSON
+        webhook: async (sink, event, core) => {
+            if (!core.fetch) throw new Error('No fetch implementation available');
+            const response = await core.fetch(sink.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(sink.headers || {}) },
+                body: JSON.stringify(event)
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        }
+    };
+
+    /**
+     * SPC Core
+     * Loads an SPC document and executes its services against shared state
+     */
+    class SPCCore {
+        /**
+         * @param {Object} options - Runtime options
+         * @param {Function} options.fetch - fetch implementation (defaults to the global fetch)
+         * @param {Function} options.onStateChange - Called with (key, value) on every state write
+         * @param {Object} options.logger - Logger for verbose output (defaults to console)
+         * @param {Function} options.sleep - Returns a promise resolved after (ms); used between connector retries
+         * @param {Object} options.cache - Connector response store (see spc-cache.js; defaults to MemoryCache)
+         * @param {Object} options.env - Variables visible to connector templates as `env` (e.g. process.env)
+         * @param {Object} options.sources - Loaders for connector `source` types, called as (source, core)
+         * @param {string} options.baseDir - Directory that relative source paths resolve against
+         * @param {Object} options.sinks - Extra alert sinks by type, called as (sink, event, core)
+         * @param {Object} options.historyStore - Sidecar store for monitor `history.file`: { load(file, core), save(file, history, core) }
+         * @param {boolean} options.audit - Keep every rules audit entry, hash-chained, in `auditLog`
+         * @param {Function|number|string} options.clock - Fixed clock for rules templates, audit timestamps, monitor history and transitions and connector cache ages
+         * @param {number|string} options.seed - Seed for uuid() in rules (see AxisRulesEngine#setClock)
+         * @param {boolean} options.strict - Throw when rules never settle instead of storing the last state
+         * @param {Object} options.registry - Rule sets that `include` can name, beside the document's `ruleSets`
+         * @param {Object} options.ruleLoader - { resolve(ref, from), load(location) } for included rule files (defaults to fetch against baseDir or the page)
+         */
+        constructor(options = {}) {
+            this.state = {};
+            this.services = {};
+            this.meta = {};
+            this.fetch = options.fetch || (typeof fetch === 'function' ? fetch.bind(global) : null);
+            this.onStateChange = options.onStateChange || null;
+            this.logger = options.logger || console;
+            this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+            this.cache = options.cache || new SPCCache.MemoryCache();
+            this.env = options.env || {};
+            this.sources = options.sources || {};
+            this.baseDir = options.baseDir || null;
+            this.sinks = { ...SINKS, ...(options.sinks || {}) };
+            this.monitorMemory = {};
+            this.historyStore = options.historyStore || null;
+            this.histories = {};
+            this.audit = Boolean(options.audit);
+            this.auditLog = [];
+            this.deliveries = [];
+            this.registry = options.registry || {};
+            this.ruleSets = {};
+            this.ruleLoader = options.ruleLoader || {
+                resolve: (ref, from) => this.resolveRuleSet(ref, from),
+                load: location => this.loadRuleSet(location)
+            };
+            // Original rules configuration → expanded copy, so reloading a document does not fetch again
+            this.expandedRules = new WeakMap();
+            this.rulesEngine = new AxisRulesEngine({
+                chain: this.audit,
+                clock: options.clock,
+                seed: options.seed,
+                strict: options.strict
+            });
+            this.version = '1.0.0';
+        }
+
+        /**
+         * Load an SPC document
+         * @param {Object} spc - SPC document with services, state and meta
+         * @returns {SPCCore} this
+         */
+        load(spc) {
+            this.services = spc.services || {};
+            this.state = spc.state || {};
+            this.meta = spc.meta || {};
+            this.ruleSets = spc.ruleSets || {};
+            return this;
+        }
+
+        /**
+         * Execute all services in dependency order
+         * Services in the same level do not depend on each other and run concurrently.
+         * @param {Object} options - Execution options
+         * @param {boolean} options.verbose - Log each level
+         * @returns {Promise<Object>} Resulting state
+         * @throws {Error} First processor or monitor failure, e.g. a ConvergenceError in strict mode
+         */
+        async execute(options = {}) {
+            const { verbose = false } = options;
+            const levels = this.executionLevels();
+
+            for (const service of Object.values(this.services)) {
+                await this.expandRules(service);
+            }
+
+            for (let i = 0; i < levels.length; i++) {
+                if (verbose) this.logger.log(`🔄 Level ${i + 1}: ${levels[i].join(', ')}`);
+                const settled = await Promise.allSettled(levels[i].map(id => this.runService(id, this.services[id])));
+                // Connector failures are already recorded as <id>_error; anything
+                // else (a strict ConvergenceError, a bad rule) stops the run once
+                // the rest of the level has settled
+                const failed = settled.find(result => result.status === 'rejected');
+                if (failed) throw failed.reason;
+            }
+
+            return this.state;
+        }
+
+        /**
+         * Service ids in execution order (topological; phase then declaration order breaks ties)
+         * @returns {string[]} Ordered service ids
+         */
+        executionOrder() {
+            return this.executionLevels().reduce((order, level) => order.concat(level), []);
+        }
+
+        /**
+         * Group services into dependency levels
+         * A service's level is one more than the deepest service it reads from.
+         * @returns {string[][]} Service ids per level
+         * @throws {Error} If services depend on each other in a cycle
+         */
+        executionLevels() {
+            const graph = this.buildDependencyGraph();
+            const cycle = this.findCycle(graph);
+            if (cycle) {
+                throw new Error(`Circular dependency: ${cycle.join(' → ')}`);
+            }
+
+            const ids = Object.keys(graph);
+            const rank = id => {
+                const phase = PHASES.indexOf(this.services[id].type);
+                return (phase === -1 ? PHASES.length : phase) * ids.length + ids.indexOf(id);
+            };
+
+            const depth = {};
+            const levelOf = (id) => {
+                if (depth[id] === undefined) {
+                    depth[id] = graph[id].reduce((max, dep) => Math.max(max, levelOf(dep) + 1), 0);
+                }
+                return depth[id];
+            };
+
+            const levels = [];
+            ids.forEach(id => {
+                const level = levelOf(id);
+                (levels[level] = levels[level] || []).push(id);
+            });
+
+            return levels.filter(Boolean).map(level => level.sort((a, b) => rank(a) - rank(b)));
+        }
+
+        /**
+         * Build the service dependency graph from inputKey/inputs/dataKey and output keys
+         * @returns {Object} Map of service id to the ids it depends on
+         */
+        buildDependencyGraph() {
+            const producers = {};
+            Object.entries(this.services).forEach(([id, service]) => {
+                this.outputKeys(id, service).forEach(key => {
+                    (producers[key] = producers[key] || []).push(id);
+                });
+            });
+
+            const graph = {};
+            Object.entries(this.services).forEach(([id, service]) => {
+                const deps = new Set();
+                this.inputKeys(service).forEach(key => {
+                    (producers[key] || []).forEach(producer => {
+                        if (producer !== id) deps.add(producer);
+                    });
+                });
+                graph[id] = [...deps];
+            });
+
+            return graph;
+        }
+
+        /**
+         * Find a dependency cycle
+         * @param {Object} graph - Dependency graph from buildDependencyGraph()
+         * @returns {string[]|null} Offending chain, first id repeated at the end, or null
+         */
+        findCycle(graph) {
+            const visited = new Set();
+            const stack = [];
+
+            const visit = (id) => {
+                if (stack.includes(id)) return stack.slice(stack.indexOf(id)).concat(id);
+                if (visited.has(id)) return null;
+
+                visited.add(id);
+                stack.push(id);
+                for (const dep of graph[id] || []) {
+                    const cycle = visit(dep);
+                    if (cycle) return cycle;
+                }
+                stack.pop();
+                return null;
+            };
+
+            for (const id of Object.keys(graph)) {
+                const cycle = visit(id);
+                if (cycle) return cycle.reverse();
+            }
+            return null;
+        }
+
+        /**
+         * State keys a service reads
+         * @param {Object} service - Service definition
+         * @returns {string[]} State keys
+         */
+        inputKeys(service) {
+            const spec = service.spec || {};
+            switch (service.type) {
+                case 'processor':
+                    return spec.inputs
+                        ? Object.values(this.namedKeys(spec.inputs))
+                        : (spec.inputKey ? [spec.inputKey] : []);
+                case 'monitor':
+                    return (spec.checks || []).map(check => check.dataKey).filter(Boolean)
+                        .concat(this.thresholdReferences(spec));
+                case 'connector':
+                    return this.requestReferences(spec)
+                        .map(path => path[0])
+                        .filter(key => key !== 'env');
+                default:
+                    return [];
+            }
+        }
+
+        /**
+         * State keys a service writes
+         * @param {string} id - Service id
+         * @param {Object} service - Service definition
+         * @returns {string[]} State keys
+         */
+        outputKeys(id, service) {
+            const spec = service.spec || {};
+            switch (service.type) {
+                case 'connector': {
+                    const key = spec.outputKey || `${id}_data`;
+                    const keys = [key, `${key}_processed`];
+                    return spec.cache ? keys.concat(`${key}_fetchedAt`, `${key}_stale`) : keys;
+                }
+                case 'processor': {
+                    const keys = Object.values(this.namedKeys(spec.outputs));
+                    return spec.outputKey || !spec.outputs ? keys.concat(spec.outputKey || `${id}_output`) : keys;
+                }
+                case 'monitor':
+                    return spec.history && !(spec.history.file && this.historyStore)
+                        ? [`${id}_monitoring`, `${id}_history`]
+                        : [`${id}_monitoring`];
+                case 'interface':
+                    return [spec.outputKey || `${id}_result`];
+                default:
+                    return [];
+            }
+        }
+
+        /**
+         * Run a single service by type
+         * Connector failures are recorded as `${id}_error` instead of thrown.
+         * @param {string} id - Service id
+         * @param {Object} service - Service definition
+         */
+        async runService(id, service) {
+            switch (service.type) {
+                case 'connector':
+                    try {
+                        await this.runConnector(id, service);
+                    } catch (err) {
+                        this.setState(`${id}_error`, err.message);
+                    }
+                    break;
+                case 'processor':
+                    this.runProcessor(id, service);
+                    break;
+                case 'monitor':
+                    this.runMonitor(id, service);
+                    await this.flushAlerts();
+                    break;
+            }
+        }
+
+        async executeConnectors() {
+            const tasks = this.idsOfType('connector')
+                .map(id => this.runService(id, this.services[id]));
+
+            await Promise.allSettled(tasks);
+        }
+
+        executeProcessors() {
+            this.idsOfType('processor').forEach(id => this.runProcessor(id, this.services[id]));
+        }
+
+        executeMonitors() {
+            this.idsOfType('monitor').forEach(id => this.runMonitor(id, this.services[id]));
+        }
+
+        /**
+         * Fetch a connector's data and store it under its output key
+         * A `source` connector reads local data through a registered loader
+         * instead. `{{...}}` templates in url, headers and body resolve
+         * against the current state plus `env`. With `cache`, a response younger than
+         * `ttl` ms by the `clock` is reused without fetching, and `staleOnError` falls back
+         * to the last cached response when every attempt fails.
+         * @param {string} id - Service id
+         * @param {Object} service - Connector definition
+         * @throws {Error} Last attempt's error once retries are exhausted
+         */
+        async runConnector(id, service) {
+            const spec = service.spec || {};
+            const { cache } = spec;
+            if (spec.source) {
+                this.storeConnectorData(id, service, await this.readSource(spec.source));
+                return;
+            }
+            if (!spec.url) return;
+            if (!this.fetch) throw new Error('No fetch implementation available');
+
+            const secrets = this.requestSecrets(spec);
+            const { url, ...init } = this.resolveRequest(spec);
+            const cacheKey = this.redact([id, init.method, url, init.body].filter(Boolean).join(' '), secrets);
+            const cached = cache ? await this.cache.get(cacheKey) : undefined;
+            if (cached && cache.ttl && this.now() - cached.fetchedAt < cache.ttl) {
+                this.storeConnectorData(id, service, cached.data, { fetchedAt: cached.fetchedAt, stale: false });
+                return;
+            }
+
+            let data;
+            try {
+                data = await this.fetchWithRetries(id, url, init, spec, secrets);
+            } catch (err) {
+                if (cached && cache.staleOnError) {
+                    this.storeConnectorData(id, service, cached.data, { fetchedAt: cached.fetchedAt, stale: true });
+                }
+                throw err;
+            }
+
+            const fetchedAt = this.now();
+            if (cache) await this.cache.set(cacheKey, { data, fetchedAt });
+            this.storeConnectorData(id, service, data, cache ? { fetchedAt, stale: false } : undefined);
+        }
+
+        /**
+         * Fetch JSON, retrying per the connector's `retries`, `backoff` and `retryOn`
+         * Every attempt is recorded in `${id}_attempts`.
+         * @param {string} id - Service id
+         * @param {string} url - Request URL
+         * @param {Object} init - fetch options
+         * @param {Object} spec - Connector spec with the retry policy
+         * @param {string[]} secrets - Values to redact from recorded errors
+         * @returns {Promise<*>} Parsed response body
+         * @throws {Error} Last attempt's error once retries are exhausted
+         */
+        async fetchWithRetries(id, url, init, spec, secrets = []) {
+            const { timeout, retries = 0, retryOn = RETRY_ON } = spec;
+            const attempts = [];
+
+            for (let attempt = 1; ; attempt++) {
+                const started = Date.now();
+                try {
+                    const { status, data } = await this.fetchJSON(url, init, timeout);
+                    attempts.push({ attempt, ok: true, status, ms: Date.now() - started });
+                    this.setState(`${id}_attempts`, attempts.slice());
+                    return data;
+                } catch (err) {
+                    err.message = this.redact(err.message, secrets);
+                    attempts.push({ attempt, ok: false, status: err.status || null, error: err.message, ms: Date.now() - started });
+                    this.setState(`${id}_attempts`, attempts.slice());
+
+                    const retryable = err.status === undefined || retryOn.includes(err.status);
+                    if (!retryable || attempt > retries) {
+                        if (attempt > 1) err.message += ` (after ${attempt} attempts)`;
+                        throw err;
+                    }
+                    await this.sleep(this.backoffDelay(spec.backoff, attempt));
+                }
+            }
+        }
+
+        /**
+         * Load a connector `source` through the loader for its type
+         * @param {Object} source - Source spec, e.g. { type: "file", path }
+         * @returns {Promise<*>} Loaded data
+         * @throws {Error} If no loader is registered for the type
+         */
+        async readSource(source) {
+            const loader = this.sources[source.type];
+            if (!loader) throw new Error(`Unsupported source type "${source.type}"`);
+            return loader(source, this);
+        }
+
+        /**
+         * Resolve a connector's request templates against state and `env`
+         * Values interpolated into the url are URI-encoded (as components
+         * in the query string); an object body is sent as JSON.
+         * @param {Object} spec - Connector spec
+         * @returns {Object} { url, method, headers, body }
+         */
+        resolveRequest(spec) {
+            const expressions = this.rulesEngine.expressions;
+            const scope = { ...this.state, env: this.env };
+            const resolve = (value) => {
+                if (Array.isArray(value)) return value.map(resolve);
+                if (value !== null && typeof value === 'object') {
+                    return Object.keys(value).reduce((out, key) => ({ ...out, [key]: resolve(value[key]) }), {});
+                }
+                return expressions.resolveTemplate(value, scope);
+            };
+
+            const queryStart = spec.url.replace(/\{\{[\s\S]*?\}\}/g, match => ' '.repeat(match.length)).indexOf('?');
+            const encode = (value, offset) => (queryStart !== -1 && offset > queryStart
+                ? encodeURIComponent(String(value))
+                : encodeURI(String(value)));
+            const url = String(expressions.resolveTemplate(spec.url, scope, encode));
+            const headers = {};
+            Object.entries(spec.headers || {}).forEach(([name, value]) => {
+                headers[name] = String(resolve(value) ?? '');
+            });
+
+            const request = { url, method: spec.method || 'GET', headers };
+            if (spec.body !== undefined) {
+                const body = resolve(spec.body);
+                if (typeof body === 'string') {
+                    request.body = body;
+                } else {
+                    request.body = JSON.stringify(body);
+                    const hasType = Object.keys(headers).some(name => name.toLowerCase() === 'content-type');
+                    if (!hasType) headers['Content-Type'] = 'application/json';
+                }
+            }
+            return request;
+        }
+
+        /**
+         * Variable paths read by a connector's url, header and body templates
+         * @param {Object} spec - Connector spec
+         * @returns {string[][]} Paths such as [["env", "API_TOKEN"], ["page"]]
+         */
+        requestReferences(spec) {
+            const expressions = this.rulesEngine.expressions;
+            const templates = [];
+            const collect = (value) => {
+                if (typeof value === 'string') templates.push(value);
+                else if (value !== null && typeof value === 'object') Object.values(value).forEach(collect);
+            };
+            collect([spec.url, spec.headers, spec.body]);
+
+            const paths = [];
+            templates.forEach(template => expressions.templateExpressions(template).forEach(source => {
+                try {
+                    paths.push(...expressions.references(source));
+                } catch (e) {
+                    // Syntax errors surface when the template is resolved
+                }
+            }));
+            return paths;
+        }
+
+        /**
+         * State keys read by a monitor's threshold templates and `when` conditions
+         * @param {Object} spec - Monitor spec
+         * @returns {string[]} State keys (excluding the bound `value` and `data`)
+         */
+        thresholdReferences(spec) {
+            const expressions = this.rulesEngine.expressions;
+            const sources = [];
+            const collect = (bounds) => Object.keys(bounds).forEach(key => {
+                if (key === 'when') sources.push(bounds.when);
+                else if (typeof bounds[key] === 'string') sources.push(...expressions.templateExpressions(bounds[key]));
+            });
+
+            Object.values(spec.thresholds || {}).forEach(threshold => {
+                collect(threshold);
+                (threshold.levels || []).forEach(collect);
+            });
+
+            const keys = [];
+            sources.forEach(source => {
+                try {
+                    expressions.references(source).forEach(path => keys.push(path[0]));
+                } catch (e) {
+                    // Syntax errors surface when the threshold is evaluated
+                }
+            });
+            return keys.filter(key => key !== 'value' && key !== 'data');
+        }
+
+        /**
+         * `env` values a connector's templates read; these never reach state
+         * A dynamic lookup such as env[name] treats every env value of
+         * 8+ characters as secret.
+         * @param {Object} spec - Connector spec
+         * @returns {string[]} Secret values
+         */
+        requestSecrets(spec) {
+            const envPaths = this.requestReferences(spec).filter(path => path[0] === 'env');
+            if (envPaths.some(path => path.length === 1)) {
+                return Object.values(this.env).filter(value => typeof value === 'string' && value.length >= 8);
+            }
+            return envPaths
+                .map(path => this.env[path[1]])
+                .filter(value => typeof value === 'string' && value.length > 0);
+        }
+
+        /**
+         * Replace secret values (raw or URI-encoded) with ***
+         * @param {string} text - Text that may contain secrets
+         * @param {string[]} secrets - Values to hide
+         * @returns {string} Redacted text
+         */
+        redact(text, secrets = []) {
+            return secrets
+                .reduce((forms, secret) => forms.concat(secret, encodeURIComponent(secret)), [])
+                .sort((a, b) => b.length - a.length)
+                .reduce((out, secret) => out.split(secret).join('***'), String(text));
+        }
+
+        /**
+         * Fetch and parse a JSON response, failing after `timeout` ms
+         * HTTP errors carry the response status as `err.status`.
+         * @param {string} url - Request URL
+         * @param {Object} init - fetch options
+         * @param {number} timeout - Milliseconds before the attempt fails (none when unset)
+         * @returns {Promise<Object>} { status, data } with the parsed response body
+         */
+        async fetchJSON(url, init, timeout) {
+            const request = async (signal) => {
+                const response = await this.fetch(url, signal ? { ...init, signal } : init);
+                if (!response.ok) {
+                    const err = new Error(`HTTP ${response.status}`);
+                    err.status = response.status;
+                    throw err;
+                }
+                return { status: response.status, data: await response.json() };
+            };
+            if (!timeout) return request();
+
+            const controller = typeof AbortController === 'function' ? new AbortController() : null;
+            let timer;
+            const expired = new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    reject(new Error(`Timeout after ${timeout}ms`));
+                    if (controller) controller.abort();
+                }, timeout);
+            });
+
+            try {
+                return await Promise.race([request(controller && controller.signal), expired]);
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        /**
+         * Delay before the retry that follows a failed attempt
+         * @param {Object} backoff - { strategy: fixed | linear | exponential, delay, maxDelay }
+         * @param {number} attempt - Number of the attempt that failed (1-based)
+         * @returns {number} Milliseconds to wait
+         */
+        backoffDelay(backoff = {}, attempt) {
+            const { strategy, delay, maxDelay } = { ...BACKOFF, ...backoff };
+            const factor = strategy === 'fixed' ? 1
+                : strategy === 'linear' ? attempt
+                    : Math.pow(2, attempt - 1);
+            return Math.min(delay * factor, maxDelay);
+        }
+
+        /**
+         * Apply connector rules (merge | replace | dual) and write the result
+         * @param {string} id - Service id
+         * @param {Object} service - Connector definition
+         * @param {*} data - Raw connector data
+         * @param {Object} freshness - { fetchedAt, stale } for cached connectors, written as `${key}_fetchedAt` / `${key}_stale`
+         */
+        storeConnectorData(id, service, data, freshness) {
+            const { outputKey } = service.spec || {};
+            const key = outputKey || `${id}_data`;
+            const rules = this.rulesConfigOf(service);
+
+            let final = data;
+            if (rules) {
+                const processed = this.applyRules(data, rules, id);
+                const mode = rules.mode || 'merge';
+
+                if (mode === 'replace') {
+                    final = processed;
+                } else if (mode === 'dual') {
+                    this.setState(`${key}_processed`, processed);
+                } else {
+                    final = { ...data, ...processed };
+                }
+            }
+
+            this.setState(key, final);
+            if (freshness) {
+                this.setState(`${key}_fetchedAt`, freshness.fetchedAt);
+                this.setState(`${key}_stale`, freshness.stale);
+            }
+            delete this.state[`${id}_error`];
+        }
+
+        /**
+         * Run a processor's transform rules over its input(s)
+         * A single `inputKey` is the rules context itself; named `inputs`
+         * are exposed in the context by name. `outputs` copies result
+         * fields to their own state keys.
+         * @param {string} id - Service id
+         * @param {Object} service - Processor definition
+         * @returns {*} Processor output, or undefined when an input is missing
+         */
+        runProcessor(id, service) {
+            const { outputKey, outputs } = service.spec || {};
+            const transform = this.rulesConfigOf(service);
+
+            const inputData = this.processorInput(service);
+            if (inputData === undefined) return undefined;
+
+            let result = inputData;
+            if (transform) {
+                result = this.applyRules(inputData, transform, id);
+            }
+
+            if (outputs) {
+                Object.entries(this.namedKeys(outputs)).forEach(([field, key]) => {
+                    const value = result !== null && typeof result === 'object' ? result[field] : undefined;
+                    if (value !== undefined) this.setState(key, value);
+                });
+            }
+            if (outputKey || !outputs) {
+                this.setState(outputKey || `${id}_output`, result);
+            }
+            return result;
+        }
+
+        /**
+         * Build the rules context a processor runs against
+         * @param {Object} service - Processor definition
+         * @returns {*} `inputKey`'s value or { name: value } for `inputs`; undefined while an input is missing
+         */
+        processorInput(service) {
+            const { inputKey, inputs } = service.spec || {};
+            if (!inputs) return this.state[inputKey];
+
+            const inputData = {};
+            for (const [name, key] of Object.entries(this.namedKeys(inputs))) {
+                if (this.state[key] === undefined) return undefined;
+                inputData[name] = this.state[key];
+            }
+            return inputData;
+        }
+
+        /**
+         * Normalize an inputs/outputs declaration to a name → state key map
+         * @param {string[]|Object} declaration - ["key", ...] or { name: "key" }
+         * @returns {Object} Map of context name to state key
+         */
+        namedKeys(declaration) {
+            if (Array.isArray(declaration)) {
+                return declaration.reduce((map, key) => ({ ...map, [key]: key }), {});
+            }
+            return declaration || {};
+        }
+
+        /**
+         * Evaluate a monitor's checks against their thresholds
+         * With `alerting`, each check remembers its status across runs of
+         * this core: a new status must hold for `for` consecutive runs
+         * before it replaces the current one, and every change is sent to
+         * the alerting sinks as a transition event.
+         * With `history`, each check's values are kept in a ring buffer
+         * that later checks read as `history.<check>` (values only), so
+         * expressions can use avg(), change() and the other aggregates.
+         * @param {string} id - Service id
+         * @param {Object} service - Monitor definition
+         * @returns {Object} Check results keyed by check name
+         */
+        runMonitor(id, service) {
+            const spec = service.spec || {};
+            const { checks = [], thresholds = {}, alerting } = spec;
+            const healthy = (spec.statuses || [])[0] || 'ok';
+            const history = spec.history ? this.loadHistory(id, spec.history) : null;
+            const results = {};
+
+            checks.forEach(check => {
+                const data = this.state[check.dataKey];
+                if (data === undefined) return;
+
+                const value = this.evaluateExpression(check.expression, data, history && this.historyValues(history));
+                if (history && value !== null && value !== undefined) {
+                    const size = spec.history.size || DEFAULT_HISTORY_SIZE;
+                    history[check.name] = (history[check.name] || [])
+                        .concat({ at: this.now(), value })
+                        .slice(-size);
+                }
+
+                const threshold = thresholds[check.name] || {};
+                const status = this.evaluateThreshold(value, threshold, { data, healthy });
+
+                results[check.name] = alerting
+                    ? this.trackStatus(id, check, value, status, alerting, healthy)
+                    : { value, status };
+            });
+
+            if (history) this.saveHistory(id, spec.history, history);
+            this.setState(`${id}_monitoring`, results);
+            return results;
+        }
+
+        /**
+         * Load a monitor's history: from the sidecar `file` when the host
+         * provides a history store, otherwise from `${id}_history` in state.
+         * The core keeps its own copy too, so history survives a reload of
+         * the SPC (every `axis watch` tick re-reads the file's state).
+         * @param {string} id - Monitor service id
+         * @param {Object} config - { size, file }
+         * @returns {Object} Copy of the series by check name, as [{ at, value }]
+         */
+        loadHistory(id, config) {
+            const sidecar = config.file && this.historyStore;
+            if (!sidecar && this.state[`${id}_history`]) return { ...this.state[`${id}_history`] };
+            if (!this.histories[id]) {
+                this.histories[id] = sidecar ? this.historyStore.load(config.file, this) || {} : {};
+            }
+            return { ...this.histories[id] };
+        }
+
+        /**
+         * Store a monitor's history where loadHistory() reads it
+         * @param {string} id - Monitor service id
+         * @param {Object} config - { size, file }
+         * @param {Object} history - Series by check name
+         */
+        saveHistory(id, config, history) {
+            this.histories[id] = history;
+            if (config.file && this.historyStore) {
+                this.historyStore.save(config.file, history, this);
+            } else {
+                this.setState(`${id}_history`, history);
+            }
+        }
+
+        /**
+         * Expose history to expressions as plain value arrays
+         * @param {Object} history - Series by check name, as [{ at, value }]
+         * @returns {Object} Values by check name
+         */
+        historyValues(history) {
+            return Object.keys(history).reduce((values, name) => ({
+                ...values,
+                [name]: history[name].map(entry => entry.value)
+            }), {});
+        }
+
+        /**
+         * Debounce a check's status and emit a transition when it changes
+         * The first observation sets the status at once and only alerts
+         * when it is not the healthy status.
+         * @param {string} id - Monitor service id
+         * @param {Object} check - Check definition
+         * @param {*} value - Checked value
+         * @param {string} observed - Status computed for this run
+         * @param {Object} alerting - { for, sinks }
+         * @param {string} healthy - Status that needs no alert on first observation
+         * @returns {Object} { value, status, previous, since, pending? }
+         */
+        trackStatus(id, check, value, observed, alerting, healthy = 'ok') {
+            const ticks = check.for || alerting.for || 1;
+            const memoryKey = `${id}/${check.name}`;
+            const memory = this.monitorMemory[memoryKey] ||
+                (this.monitorMemory[memoryKey] = { status: null, previous: null, since: null, candidate: null, count: 0 });
+
+            if (observed === memory.status) {
+                memory.candidate = null;
+                memory.count = 0;
+            } else {
+                memory.count = observed === memory.candidate ? memory.count + 1 : 1;
+                memory.candidate = observed;
+
+                if (memory.status === null || memory.count >= ticks) {
+                    const from = memory.status;
+                    memory.previous = from;
+                    memory.status = observed;
+                    memory.since = new Date(this.now()).toISOString();
+                    memory.candidate = null;
+                    memory.count = 0;
+
+                    if (from !== null || observed !== healthy) {
+                        this.emitTransition(alerting.sinks || [], {
+                            monitor: id,
+                            check: check.name,
+                            from,
+                            to: observed,
+                            value,
+                            at: memory.since
+                        });
+                    }
+                }
+            }
+
+            const result = { value, status: memory.status, previous: memory.previous, since: memory.since };
+            if (memory.candidate) result.pending = { status: memory.candidate, count: memory.count, for: ticks };
+            return result;
+        }
+
+        /**
+         * Queue a transition event for each sink
+         * Deliveries complete in flushAlerts(); a failing sink is logged and skipped.
+         * @param {Object[]} sinks - Sink specs, e.g. { type: "webhook", url }
+         * @param {Object} event - { monitor, check, from, to, value, at }
+         */
+        emitTransition(sinks, event) {
+            sinks.forEach(sink => {
+                const deliver = this.sinks[sink.type];
+                const delivery = Promise.resolve()
+                    .then(() => {
+                        if (!deliver) throw new Error('unsupported sink type');
+                        return deliver(sink, event, this);
+                    })
+                    .catch(err => {
+                        this.logger.warn(`Alert sink "${sink.type}" failed for ${event.monitor}/${event.check}: ${err.message}`);
+                    });
+                this.deliveries.push(delivery);
+            });
+        }
+
+        /**
+         * Wait for queued alert deliveries
+         * @returns {Promise<void>}
+         */
+        async flushAlerts() {
+            const pending = this.deliveries;
+            this.deliveries = [];
+            await Promise.all(pending);
+        }
+
+        /**
+         * Current time in epoch ms from the `clock` option (the system clock by default)
+         * @returns {number} Milliseconds since the epoch
+         */
+        now() {
+            return this.rulesEngine.now();
+        }
+
+        /**
+         * Write a state key and notify the host
+         * @param {string} key - State key
+         * @param {*} value - New value
+         */
+        setState(key, value) {
+            this.state[key] = value;
+            if (this.onStateChange) this.onStateChange(key, value);
+        }
+
+        /**
+         * Rules configuration of a connector (`rules`) or processor (`transform`)
+         * A transform may be a bare rules array or a full configuration;
+         * either way the result has `include` expanded once expandRules()
+         * has run.
+         * @param {Object} service - Service definition
+         * @returns {Object|null} Rules configuration, or null when the service has no rules
+         */
+        rulesConfigOf(service) {
+            const spec = service.spec || {};
+            const config = service.type === 'processor' ? spec.transform : spec.rules;
+            if (!config) return null;
+            if (Array.isArray(config)) return { rules: config };
+            return this.expandedRules.get(config) || config;
+        }
+
+        /**
+         * Expand `include` in a service's rules (see AxisRulesEngine.expand)
+         * Included rule sets come from the document's `ruleSets`, the
+         * `registry` option, or relative paths read through `ruleLoader`.
+         * Hosts that run services one by one call this before each run;
+         * execute() does it for every service.
+         * @param {Object} service - Service definition
+         * @returns {Promise<void>}
+         */
+        async expandRules(service) {
+            const spec = service.spec || {};
+            const config = service.type === 'processor' ? spec.transform : spec.rules;
+            if (!config || !config.include || this.expandedRules.has(config)) return;
+
+            this.expandedRules.set(config, await AxisRulesEngine.expand(config, {
+                registry: { ...this.registry, ...this.ruleSets },
+                resolve: this.ruleLoader.resolve,
+                load: this.ruleLoader.load
+            }));
+        }
+
+        /**
+         * Location of an included rule file: relative to the including file,
+         * else to baseDir or the page (browser default for ruleLoader)
+         */
+        resolveRuleSet(ref, from) {
+            return new URL(ref, from || this.baseDir || global.location.href).href;
+        }
+
+        /**
+         * Fetch an included rule file (browser default for ruleLoader)
+         */
+        async loadRuleSet(location) {
+            try {
+                return (await this.fetchJSON(location, {})).data;
+            } catch (e) {
+                throw new Error(`${location}: ${e.message}`);
+            }
+        }
+
+        /**
+         * Apply a rules configuration with AxisRulesEngine
+         * With the `audit` option, the engine's audit entries are kept in
+         * `auditLog`, each tagged with the service that applied the rules
+         * and chained across services and runs (AxisRulesEngine.verifyAudit).
+         * @param {*} data - Input data
+         * @param {Object} ruleConfig - Rules configuration ({ rules, max_iterations, mode })
+         * @param {string} service - Id of the service applying the rules
+         * @returns {*} Transformed data
+         */
+        applyRules(data, ruleConfig, service) {
+            const result = this.rulesEngine.apply(data, ruleConfig || {}, { context: { service } });
+            if (this.audit) {
+                this.auditLog.push(...result.audit);
+            }
+            return result.output;
+        }
+
+        /**
+         * Evaluate a condition against a data context
+         * @param {string} condition - AXIS expression
+         * @param {Object} context - Data context
+         * @returns {boolean|null} Condition result, or null if it could not be evaluated
+         */
+        evaluateCondition(condition, context) {
+            return this.rulesEngine.evaluateCondition(condition, context);
+        }
+
+        /**
+         * Evaluate a monitor expression with the checked value bound to `data`
+         * @param {string} expression - AXIS expression
+         * @param {*} data - Value bound to `data`
+         * @param {Object} history - Past values by check name, bound to `history`
+         * @returns {*} Result, or null if evaluation fails
+         */
+        evaluateExpression(expression, data, history = {}) {
+            try {
+                return this.rulesEngine.expressions.evaluate(expression, { data, history });
+            } catch {
+                return null;
+            }
+        }
+
+        /**
+         * Map a value to a status
+         * `levels` are tried in order and the first match wins; a level
+         * matches when all of its conditions hold:
+         *   min / max   value in [min, max)
+         *   equals      value === equals (strings, enums, booleans)
+         *   in          value is one of the listed values
+         *   when        AXIS expression over the state plus `value` and `data`
+         * A level without conditions always matches. With no match the
+         * status is `default` (or the healthy status). Without `levels`,
+         * the above/below/warnAbove/warnBelow/critical/warning cutoffs
+         * map to ok | warning | critical. Any bound may be a {{...}}
+         * template over the state, e.g. "{{baseline * 1.5}}".
+         * @param {*} value - Checked value
+         * @param {Object} threshold - Threshold definition
+         * @param {Object} context - { data, healthy } for the check being evaluated
+         * @returns {string} Status
+         */
+        evaluateThreshold(value, threshold = {}, context = {}) {
+            const scope = { ...this.state, data: context.data, value };
+
+            if (Array.isArray(threshold.levels)) {
+                const level = threshold.levels.find(level => this.matchesLevel(value, level, scope));
+                return level ? level.status : (threshold.default || context.healthy || 'ok');
+            }
+
+            const cutoff = key => {
+                const limit = this.resolveBound(threshold[key], scope);
+                return typeof limit === 'number' ? limit : null;
+            };
+            const atLeast = key => cutoff(key) !== null && value >= cutoff(key);
+            const atMost = key => cutoff(key) !== null && value <= cutoff(key);
+
+            if (atLeast('above')) return 'critical';
+            if (atMost('below')) return 'critical';
+            if (atLeast('warnAbove')) return 'warning';
+            if (atMost('warnBelow')) return 'warning';
+            if (atLeast('critical')) return 'critical';
+            if (atLeast('warning')) return 'warning';
+            return 'ok';
+        }
+
+        /**
+         * Classify a status as ok, warning or critical for display
+         * With a custom `statuses` list (healthiest first), the first is ok,
+         * the last is critical and anything between is a warning.
+         * @param {string} status - Check status
+         * @param {string[]} statuses - Monitor's custom status set, if any
+         * @returns {string} ok | warning | critical
+         */
+        severityOf(status, statuses) {
+            if (!Array.isArray(statuses) || statuses.length === 0) {
+                return status === 'ok' || status === 'warning' ? status : 'critical';
+            }
+            const index = statuses.indexOf(status);
+            if (index === 0) return 'ok';
+            return index === -1 || index === statuses.length - 1 ? 'critical' : 'warning';
+        }
+
+        /**
+         * Test a threshold level's conditions against a value
+         * @param {*} value - Checked value
+         * @param {Object} level - { status, min, max, equals, in, when }
+         * @param {Object} scope - State plus `value` and `data`
+         * @returns {boolean} Whether every condition holds
+         */
+        matchesLevel(value, level, scope) {
+            const bound = key => this.resolveBound(level[key], scope);
+
+            if (level.min !== undefined) {
+                const min = bound('min');
+                if (typeof value !== 'number' || typeof min !== 'number' || value < min) return false;
+            }
+            if (level.max !== undefined) {
+                const max = bound('max');
+                if (typeof value !== 'number' || typeof max !== 'number' || value >= max) return false;
+            }
+            if (level.equals !== undefined && value !== bound('equals')) return false;
+            if (level.in !== undefined) {
+                const options = bound('in');
+                if (!Array.isArray(options) || !options.includes(value)) return false;
+            }
+            if (level.when !== undefined) {
+                try {
+                    if (!this.rulesEngine.expressions.evaluate(level.when, scope)) return false;
+                } catch {
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        /**
+         * Resolve a threshold bound, evaluating {{...}} templates against the scope
+         * @param {*} bound - Literal bound or template string
+         * @param {Object} scope - State plus `value` and `data`
+         * @returns {*} Resolved bound, or null if a template fails
+         */
+        resolveBound(bound, scope) {
+            if (typeof bound !== 'string' || !bound.includes('{{')) return bound;
+            try {
+                return this.rulesEngine.expressions.resolveTemplate(bound, scope);
+            } catch {
+                return null;
+            }
+        }
+
+        /**
+         * Service ids of one type in execution order
+         * @param {string} type - Service type
+         * @returns {string[]} Service ids
+         */
+        idsOfType(type) {
+            return this.executionOrder().filter(id => this.services[id].type === type);
+        }
+    }
+
+    // Export for different environments
+    if (isNode) {
+        // Node.js
+        module.exports = SPCCore;
+    } else if (typeof define === 'function' && define.amd) {
+        // AMD
+        define(function() { return SPCCore; });
+    } else {
+        // Browser global
+        global.SPCCore = SPCCore;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,125 @@
+/**
+ * SPC Documents v1.0.0
+ * JSON and YAML reading and writing for SPC, rules and data files
+ *
+ * The format follows the file extension (.yaml/.yml, anything else is
+ * JSON). Parse errors name the file and the 1-based line and column,
+ * e.g. "rules.yaml:3:1: missed comma between flow collection entries".
+ * YAML uses the core schema, so documents hold plain JSON values (dates
+ * stay strings) and convert to JSON and back unchanged.
+ *
+ * YAML needs a js-yaml instance: pass it as `yaml` (Node.js hosts
+ * require their own copy), or load js-yaml in the page for `jsyaml`.
+ *
+ * @license MIT
+ * @author AXIS Project
+ */
+
+(function(global) {
+    'use strict';
+
+    const YAML_EXTENSIONS = ['.yaml', '.yml'];
+
+    /**
+     * 1-based line and column of a character offset
+     */
+    function position(text, offset) {
+        const lines = text.slice(0, offset).split('\n');
+        return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+    }
+
+    /**
+     * SPC Documents
+     * Parses and writes documents as JSON or YAML
+     */
+    class SPCDocuments {
+        /**
+         * @param {Object} options - Reader options
+         * @param {Object} options.yaml - js-yaml module (defaults to the browser global `jsyaml`)
+         */
+        constructor(options = {}) {
+            this.yaml = options.yaml || global.jsyaml || null;
+        }
+
+        /**
+         * Format of a file by its extension
+         * @param {string} file - File name or path
+         * @returns {string} yaml | json
+         */
+        formatOf(file) {
+            const extension = (/\.[^./\\]*$/.exec(String(file)) || [''])[0].toLowerCase();
+            return YAML_EXTENSIONS.includes(extension) ? 'yaml' : 'json';
+        }
+
+        /**
+         * Parse a document
+         * @param {string} text - Document text
+         * @param {string} format - yaml | json
+         * @param {string} label - File name used in error messages
+         * @returns {*} Parsed value
+         * @throws {Error} "label:line:column: reason" for syntax errors, or on an empty YAML document
+         */
+        parse(text, format, label) {
+            return format === 'yaml' ? this.parseYAML(text, label) : this.parseJSON(text, label);
+        }
+
+        parseYAML(text, label) {
+            const yaml = this.requireYAML();
+            let document;
+            try {
+                document = yaml.load(text, { schema: yaml.CORE_SCHEMA, filename: label });
+            } catch (e) {
+                if (!e.mark) throw e;
+                throw new Error(`${label}:${e.mark.line + 1}:${e.mark.column + 1}: ${e.reason}`);
+            }
+            if (document === undefined) throw new Error(`${label}: empty document`);
+            return document;
+        }
+
+        parseJSON(text, label) {
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                const at = / at position (\d+)/.exec(e.message);
+                const offset = at ? Number(at[1]) : /end of JSON input/.test(e.message) ? text.length : null;
+                if (offset === null) throw new Error(`${label}: ${e.message}`);
+                const { line, column } = position(text, offset);
+                throw new Error(`${label}:${line}:${column}: ${e.message.replace(/ in JSON at position \d+.*$/, '')}`);
+            }
+        }
+
+        /**
+         * Write a value as a document
+         * @param {*} value - JSON value
+         * @param {string} format - yaml | json
+         * @returns {string} Document text, newline-terminated
+         */
+        stringify(value, format) {
+            if (format === 'yaml') {
+                const yaml = this.requireYAML();
+                return yaml.dump(value, { schema: yaml.CORE_SCHEMA, lineWidth: -1, noRefs: true });
+            }
+            return `${JSON.stringify(value, null, 2)}\n`;
+        }
+
+        requireYAML() {
+            if (!this.yaml) {
+                throw new Error('YAML documents need js-yaml; pass it as the "yaml" option or load it in the page');
+            }
+            return this.yaml;
+        }
+    }
+
+    // Export for different environments
+    if (typeof module !== 'undefined' && module.exports) {
+        // Node.js
+        module.exports = SPCDocuments;
+    } else if (typeof define === 'function' && define.amd) {
+        // AMD
+        define(function() { return SPCDocuments; });
+    } else {
+        // Browser global
+        global.SPCDocuments = SPCDocuments;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,283 @@
+/**
+ * SPC Validator v1.0.0
+ * JSON Schema validation for SPC documents
+ *
+ * Implements the draft-07 keywords used by schemas/spc-*.schema.json
+ * and reports every error with the JSON path of the offending value.
+ *
+ * @license MIT
+ * @author AXIS Project
+ */
+
+(function(global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const DEFAULT_VERSION = '1.0';
+
+    const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+    /**
+     * SPC Validator
+     * Validates documents against an SPC JSON Schema
+     */
+    class SPCValidator {
+        /**
+         * @param {Object} schema - JSON Schema (draft-07 subset)
+         */
+        constructor(schema) {
+            this.schema = schema;
+        }
+
+        /**
+         * Load the bundled schema for an SPC version
+         * Browsers read it from the schemas/spc-<major>.0.schema.js script.
+         * @param {string} version - spc_version, e.g. "1.0"
+         * @returns {SPCValidator} Validator for that version
+         * @throws {Error} If no schema is bundled (or loaded) for the version
+         */
+        static forVersion(version = DEFAULT_VERSION) {
+            const major = String(version).split('.')[0];
+            if (!isNode) {
+                const schema = (global.SPCSchemas || {})[`${major}.0`];
+                if (!schema) {
+                    throw new Error(`No SPC ${major}.0 schema loaded; add <script src="schemas/spc-${major}.0.schema.js">`);
+                }
+                return new SPCValidator(schema);
+            }
+            try {
+                return new SPCValidator(require(`./schemas/spc-${major}.0.schema.json`));
+            } catch (e) {
+                throw new Error(`Unsupported spc_version "${version}"`);
+            }
+        }
+
+        /**
+         * Validate an SPC document against the schema for its spc_version
+         * @param {Object} spc - SPC document
+         * @returns {Object[]} Errors as { path, message }
+         */
+        static validateSPC(spc) {
+            const version = spc && typeof spc.spc_version === 'string' ? spc.spc_version : DEFAULT_VERSION;
+            return SPCValidator.forVersion(version).validate(spc);
+        }
+
+        /**
+         * Format errors as "path: message" lines
+         * @param {Object[]} errors - Errors from validate()
+         * @returns {string[]} Formatted lines
+         */
+        static format(errors) {
+            return errors.map(error => `${error.path}: ${error.message}`);
+        }
+
+        /**
+         * Validate a document
+         * @param {*} document - Value to validate
+         * @returns {Object[]} Errors as { path, message }
+         */
+        validate(document) {
+            const errors = [];
+            this.check(document, this.schema, '$', errors);
+            return errors;
+        }
+
+        /**
+         * Check a value against a schema node, appending errors
+         * @param {*} value - Value to check
+         * @param {Object} schema - Schema node
+         * @param {string} path - JSON path of the value
+         * @param {Object[]} errors - Error accumulator
+         */
+        check(value, schema, path, errors) {
+            if (schema === true || schema === undefined) return;
+            if (schema === false) {
+                errors.push({ path, message: 'value is not allowed' });
+                return;
+            }
+            if (schema.$ref) {
+                this.check(value, this.resolveRef(schema.$ref), path, errors);
+                return;
+            }
+
+            if (schema.type !== undefined) {
+                const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+                if (!types.some(type => matchesType(value, type))) {
+                    errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+                    return;
+                }
+            }
+
+            if (hasOwn(schema, 'const') && !deepEqual(value, schema.const)) {
+                errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+            }
+            if (schema.enum && !schema.enum.some(option => deepEqual(value, option))) {
+                errors.push({
+                    path,
+                    message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`
+                });
+            }
+
+            if (typeof value === 'string') {
+                if (schema.minLength !== undefined && value.length < schema.minLength) {
+                    errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+                }
+                if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                    errors.push({ path, message: `must match pattern ${schema.pattern}` });
+                }
+            }
+
+            if (typeof value === 'number') {
+                if (schema.minimum !== undefined && value < schema.minimum) {
+                    errors.push({ path, message: `must be >= ${schema.minimum}` });
+                }
+                if (schema.maximum !== undefined && value > schema.maximum) {
+                    errors.push({ path, message: `must be <= ${schema.maximum}` });
+                }
+            }
+
+            if (Array.isArray(value)) {
+                if (schema.minItems !== undefined && value.length < schema.minItems) {
+                    errors.push({ path, message: `must have at least ${schema.minItems} items` });
+                }
+                if (schema.items) {
+                    value.forEach((item, index) => this.check(item, schema.items, `${path}[${index}]`, errors));
+                }
+            }
+
+            if (isObject(value)) {
+                this.checkObject(value, schema, path, errors);
+            }
+
+            if (schema.allOf) {
+                schema.allOf.forEach(sub => this.check(value, sub, path, errors));
+            }
+            if (schema.anyOf && !schema.anyOf.some(sub => this.matches(value, sub))) {
+                errors.push({ path, message: describeAlternatives(schema.anyOf) });
+            }
+            if (schema.oneOf && schema.oneOf.filter(sub => this.matches(value, sub)).length !== 1) {
+                errors.push({ path, message: describeAlternatives(schema.oneOf, 'exactly one of') });
+            }
+            if (schema.if) {
+                const branch = this.matches(value, schema.if) ? schema.then : schema.else;
+                if (branch) this.check(value, branch, path, errors);
+            }
+        }
+
+        /**
+         * Object keywords: required, properties, patternProperties, additionalProperties
+         */
+        checkObject(value, schema, path, errors) {
+            (schema.required || []).forEach(key => {
+                if (!hasOwn(value, key)) {
+                    errors.push({ path, message: `missing required property "${key}"` });
+                }
+            });
+
+            const properties = schema.properties || {};
+            const patterns = Object.keys(schema.patternProperties || {}).map(pattern => new RegExp(pattern));
+
+            Object.keys(value).forEach(key => {
+                const childPath = joinPath(path, key);
+                let known = false;
+
+                if (hasOwn(properties, key)) {
+                    known = true;
+                    this.check(value[key], properties[key], childPath, errors);
+                }
+                patterns.forEach((regex, index) => {
+                    if (regex.test(key)) {
+                        known = true;
+                        const pattern = Object.keys(schema.patternProperties)[index];
+                        this.check(value[key], schema.patternProperties[pattern], childPath, errors);
+                    }
+                });
+
+                if (known || schema.additionalProperties === undefined || schema.additionalProperties === true) {
+                    return;
+                }
+                if (schema.additionalProperties === false) {
+                    const suggestion = Object.keys(properties).find(name => name.toLowerCase() === key.toLowerCase());
+                    errors.push({
+                        path: childPath,
+                        message: `unknown property "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+                    });
+                } else {
+                    this.check(value[key], schema.additionalProperties, childPath, errors);
+                }
+            });
+        }
+
+        /**
+         * Test whether a value satisfies a schema without collecting errors
+         */
+        matches(value, schema) {
+            const errors = [];
+            this.check(value, schema, '$', errors);
+            return errors.length === 0;
+        }
+
+        /**
+         * Resolve a local "#/definitions/..." reference
+         * @param {string} ref - JSON pointer reference
+         * @returns {Object} Referenced schema node
+         */
+        resolveRef(ref) {
+            if (!ref.startsWith('#')) throw new Error(`Only local $ref is supported: ${ref}`);
+            return ref.slice(1).split('/').filter(Boolean).reduce((node, segment) => {
+                const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+                if (!node || !hasOwn(node, key)) throw new Error(`Unresolved $ref: ${ref}`);
+                return node[key];
+            }, this.schema);
+        }
+    }
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        switch (type) {
+            case 'object': return isObject(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && isFinite(value);
+            case 'null': return value === null;
+            default: return typeof value === type;
+        }
+    }
+
+    function deepEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    function joinPath(path, key) {
+        return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+    }
+
+    function describeAlternatives(alternatives, prefix = 'one of') {
+        const required = alternatives.map(sub => (sub.required || []).join(' + ')).filter(Boolean);
+        return required.length === alternatives.length
+            ? `must have ${prefix}: ${required.map(r => `"${r}"`).join(', ')}`
+            : `must match ${prefix} the allowed shapes`;
+    }
+
+    // Export for different environments
+    if (isNode) {
+        // Node.js
+        module.exports = SPCValidator;
+    } else if (typeof define === 'function' && define.amd) {
+        // AMD
+        define(function() { return SPCValidator; });
+    } else {
+        // Browser global
+        global.SPCValidator = SPCValidator;
+    }
+
+})(typeof window !== 'undefined' ? window : this);